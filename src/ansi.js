@@ -0,0 +1,225 @@
+import _ from 'lodash';
+
+// capture-pane -e writes colors and attributes as SGR escape sequences, and only when they change,
+// so a style can carry over from one line to the next. Lines are parsed into spans of text that
+// share a style: { text, fg, bg, bold, dim, italic, underline, blink, inverse, hidden, strikethrough }
+// with only the attributes that are set. Colors 0-15 are named ("red", "bright-red") so they can be
+// matched without knowing the palette; the rest are "#rrggbb".
+
+export const OUTPUT_FORMATS = ['text', 'ansi', 'html', 'spans'];
+
+const COLOR_NAMES = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+// xterm's defaults for the 16 named colors
+const PALETTE = [
+    '#000000', '#cd0000', '#00cd00', '#cdcd00', '#0000ee', '#cd00cd', '#00cdcd', '#e5e5e5',
+    '#7f7f7f', '#ff0000', '#00ff00', '#ffff00', '#5c5cff', '#ff00ff', '#00ffff', '#ffffff'
+];
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+const ATTRIBUTES = {
+    1: { bold: true },
+    2: { dim: true },
+    3: { italic: true },
+    4: { underline: true },
+    5: { blink: true },
+    6: { blink: true },
+    7: { inverse: true },
+    8: { hidden: true },
+    9: { strikethrough: true },
+    21: { underline: true },
+    22: { bold: false, dim: false },
+    23: { italic: false },
+    24: { underline: false },
+    25: { blink: false },
+    27: { inverse: false },
+    28: { hidden: false },
+    29: { strikethrough: false }
+};
+const ATTRIBUTE_SGR = { bold: 1, dim: 2, italic: 3, underline: 4, blink: 5, inverse: 7, hidden: 8, strikethrough: 9 };
+
+// CSI sequences (SGR ends in "m"), OSC sequences such as hyperlinks, and any other two-byte escape
+const ESCAPE_PATTERN = /\x1b(?:\[([\x30-\x3f]*)[\x20-\x2f]*([\x40-\x7e])|\][^\x07\x1b]*(?:\x07|\x1b\\)|[\x40-\x5f])/g;
+
+function hex(red, green, blue) {
+    return `#${_.map([red, green, blue], value => _.padStart(_.clamp(value, 0, 255).toString(16), 2, '0')).join('')}`;
+}
+
+function indexedColor(index) {
+    if(index < 8) {
+        return COLOR_NAMES[index];
+    }
+    if(index < 16) {
+        return `bright-${COLOR_NAMES[index - 8]}`;
+    }
+    if(index < 232) {
+        const cube = index - 16;
+        return hex(CUBE_LEVELS[Math.floor(cube / 36)], CUBE_LEVELS[Math.floor(cube / 6) % 6], CUBE_LEVELS[cube % 6]);
+    }
+    const gray = 8 + (index - 232) * 10;
+    return hex(gray, gray, gray);
+}
+
+// 38/48 take either ;5;n or ;2;r;g;b, or the colon forms 5:n and 2:[colorspace]:r:g:b
+function extendedColor(params, index) {
+    const param = params[index];
+    if(_.includes(param, ':')) {
+        const [, mode, ...rest] = _.map(_.split(param, ':'), Number);
+        const rgb = _.takeRight(rest, 3);
+        const color = mode === 5 ? indexedColor(rest[0]) : hex(...rgb);
+        return { color, next: index + 1 };
+    }
+    if(Number(params[index + 1]) === 5) {
+        return { color: indexedColor(Number(params[index + 2])), next: index + 3 };
+    }
+    const [red, green, blue] = _.map(params.slice(index + 2, index + 5), Number);
+    return { color: hex(red, green, blue), next: index + 5 };
+}
+
+function applySgr(style, parameters) {
+    const params = parameters === '' ? ['0'] : _.split(parameters, ';');
+    let next = { ...style };
+    let index = 0;
+
+    while(index < params.length) {
+        const code = parseInt(params[index], 10) || 0;
+        if(code === 38 || code === 48) {
+            const { color, next: after } = extendedColor(params, index);
+            next[code === 38 ? 'fg' : 'bg'] = color;
+            index = after;
+            continue;
+        }
+
+        if(code === 0) {
+            next = {};
+        } else if(_.has(ATTRIBUTES, code)) {
+            Object.assign(next, ATTRIBUTES[code]);
+        } else if(code >= 30 && code <= 37) {
+            next.fg = indexedColor(code - 30);
+        } else if(code === 39) {
+            delete next.fg;
+        } else if(code >= 40 && code <= 47) {
+            next.bg = indexedColor(code - 40);
+        } else if(code === 49) {
+            delete next.bg;
+        } else if(code >= 90 && code <= 97) {
+            next.fg = indexedColor(code - 82);
+        } else if(code >= 100 && code <= 107) {
+            next.bg = indexedColor(code - 92);
+        }
+        index++;
+    }
+
+    return _.omitBy(next, value => value === false);
+}
+
+export function stripAnsi(text) {
+    return _.replace(text, ESCAPE_PATTERN, '');
+}
+
+// Returns one array of spans per line; empty lines have no spans
+export function parseAnsi(text) {
+    let style = {};
+
+    return _.map(_.split(text, '\n'), (line) => {
+        const spans = [];
+        const push = (chunk) => {
+            if(chunk === '') {
+                return;
+            }
+            const last = _.last(spans);
+            if(last && _.isEqual(_.omit(last, 'text'), style)) {
+                last.text += chunk;
+            } else {
+                spans.push({ text: chunk, ...style });
+            }
+        };
+
+        let position = 0;
+        for(const match of line.matchAll(ESCAPE_PATTERN)) {
+            push(line.slice(position, match.index));
+            if(match[2] === 'm') {
+                style = applySgr(style, match[1]);
+            }
+            position = match.index + match[0].length;
+        }
+        push(line.slice(position));
+
+        return spans;
+    });
+}
+
+function spanToAnsi(span) {
+    const { text, fg, bg, ...attributes } = span;
+    const codes = _.map(_.keys(attributes), attribute => ATTRIBUTE_SGR[attribute]);
+    const colorCode = (color, base) => {
+        const named = _.indexOf(COLOR_NAMES, _.replace(color, /^bright-/, ''));
+        if(named === -1) {
+            const [red, green, blue] = _.map([1, 3, 5], offset => parseInt(color.slice(offset, offset + 2), 16));
+            return `${base + 8};2;${red};${green};${blue}`;
+        }
+        return String((_.startsWith(color, 'bright-') ? base + 60 : base) + named);
+    };
+    if(fg) {
+        codes.push(colorCode(fg, 30));
+    }
+    if(bg) {
+        codes.push(colorCode(bg, 40));
+    }
+    return _.isEmpty(codes) ? text : `\x1b[${codes.join(';')}m${text}\x1b[0m`;
+}
+
+function cssColor(color) {
+    const named = _.indexOf(COLOR_NAMES, _.replace(color, /^bright-/, ''));
+    if(named === -1) {
+        return color;
+    }
+    return PALETTE[_.startsWith(color, 'bright-') ? named + 8 : named];
+}
+
+function escapeHtml(text) {
+    return _.replace(text, /[&<>"]/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[character]);
+}
+
+function spanToHtml(span) {
+    const { text, fg, bg, bold, dim, italic, underline, inverse, hidden, strikethrough } = span;
+    let color = fg && cssColor(fg);
+    let background = bg && cssColor(bg);
+    if(inverse) {
+        // The page's own colors stand in for the defaults
+        [color, background] = [background ?? 'Canvas', color ?? 'CanvasText'];
+    }
+    const decorations = _.compact([underline && 'underline', strikethrough && 'line-through']);
+
+    const styles = _.compact([
+        color && `color:${color}`,
+        background && `background-color:${background}`,
+        bold && 'font-weight:bold',
+        dim && 'opacity:0.5',
+        italic && 'font-style:italic',
+        !_.isEmpty(decorations) && `text-decoration:${decorations.join(' ')}`,
+        hidden && 'visibility:hidden'
+    ]);
+
+    return _.isEmpty(styles) ? escapeHtml(text) : `<span style="${styles.join(';')}">${escapeHtml(text)}</span>`;
+}
+
+// lines are parsed lines; lineNumbers gives the 0-based line of the scrollback each one came from, for spans
+export function formatLines(lines, format, lineNumbers = _.range(lines.length)) {
+    switch(format) {
+        case 'ansi':
+            // Every line stands on its own, so a slice of the output keeps its colors
+            return _.map(lines, spans => _.map(spans, spanToAnsi).join('')).join('\n');
+        case 'html':
+            return _.map(lines, spans => _.map(spans, spanToHtml).join('')).join('\n');
+        case 'spans': {
+            // One line per entry keeps the JSON readable; blank lines are left out
+            const entries = _.compact(_.map(lines, (spans, index) => (_.isEmpty(spans)
+                ? null
+                : JSON.stringify({ line: lineNumbers[index] + 1, spans }))));
+            return _.isEmpty(entries) ? '[]' : `[\n${entries.join(',\n')}\n]`;
+        }
+        default:
+            return _.map(lines, spans => _.map(spans, 'text').join('')).join('\n');
+    }
+}
@@ -0,0 +1,42 @@
+import _ from 'lodash';
+
+// get_output's clean-up options, applied to lines of spans (see ansi.js) so colors come through them.
+// lineNumbers says which line of the scrollback each line came from, and is kept in step as lines go.
+
+// C0 and C1 control characters other than tab; escape sequences are already gone once a line is parsed
+const CONTROL_CHARACTERS = /[\x00-\x08\x0a-\x1f\x7f-\x9f]/g;
+
+function isBlank(spans) {
+    return _.every(spans, span => _.trim(span.text) === '');
+}
+
+function stripControl(spans) {
+    return _.reject(_.map(spans, span => ({ ...span, text: _.replace(span.text, CONTROL_CHARACTERS, '') })), { text: '' });
+}
+
+function trimTrailing(spans) {
+    const kept = _.dropRightWhile(spans, span => _.trimEnd(span.text) === '');
+    if(_.isEmpty(kept)) {
+        return kept;
+    }
+    return [..._.dropRight(kept), { ..._.last(kept), text: _.trimEnd(_.last(kept).text) }];
+}
+
+// options: strip removes control characters, trim removes trailing whitespace, collapse turns each run
+// of blank lines into a single one
+export function normalizeLines(lines, lineNumbers, options = {}) {
+    const { strip = false, trim = false, collapse = false } = options;
+    const normalized = { lines: [], lineNumbers: [] };
+
+    _.forEach(lines, (line, index) => {
+        let spans = strip ? stripControl(line) : line;
+        spans = trim ? trimTrailing(spans) : spans;
+        if(collapse && isBlank(spans) && !_.isEmpty(normalized.lines) && isBlank(_.last(normalized.lines))) {
+            return;
+        }
+        normalized.lines.push(spans);
+        normalized.lineNumbers.push(lineNumbers[index]);
+    });
+
+    return normalized;
+}
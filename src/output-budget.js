@@ -0,0 +1,83 @@
+import _ from 'lodash';
+
+// Keeps get_output results within a character budget. Output that is too long keeps its first and
+// last lines, with a marker in between saying how much was left out.
+
+export const DEFAULT_MAX_OUTPUT_CHARS = 40000;
+// A rough figure for English text and code, which is all a budget in tokens needs
+export const CHARS_PER_TOKEN = 4;
+
+// Room left for the marker when splitting the budget between the head and the tail
+const MARKER_ROOM = 120;
+const ERROR_PATTERN = /\b(?:error|errors|fail|failed|failure|fatal|exception|panic)\b/i;
+
+function countLines(text) {
+    const newlines = _.split(text, '\n').length - 1;
+    return _.endsWith(text, '\n') ? newlines : newlines + 1;
+}
+
+// Cut at a line boundary where there is one, so only a single very long line is split. With wholeLines
+// a line that doesn't fit is left out instead.
+function takeHead(text, length, wholeLines = false) {
+    const head = text.slice(0, length);
+    const end = head.lastIndexOf('\n');
+    if(end === -1) {
+        return wholeLines ? '' : head;
+    }
+    return head.slice(0, end + 1);
+}
+
+function takeTail(text, length, wholeLines = false) {
+    const tail = length > 0 ? text.slice(-length) : '';
+    const start = tail.indexOf('\n');
+    if(start === -1) {
+        return wholeLines ? '' : tail;
+    }
+    return tail.slice(start + 1);
+}
+
+function describeDropped(dropped, countErrors) {
+    const omitted = { lines: countLines(dropped), bytes: Buffer.byteLength(dropped) };
+    if(countErrors) {
+        omitted.errors = _.filter(_.split(dropped, '\n'), line => ERROR_PATTERN.test(line)).length;
+    }
+    return omitted;
+}
+
+// The spans format puts one entry on each line between the brackets, so only whole entries are kept and
+// the brackets stay even when the budget is too small for anything else
+function elideEntries(entries, maxChars, countErrors) {
+    const half = Math.floor(Math.max(maxChars - MARKER_ROOM, 0) / 2);
+    const head = takeHead(entries, half, true);
+    const rest = entries.slice(head.length);
+    const tail = takeTail(rest, half, true);
+    const marker = JSON.stringify({ omitted: describeDropped(rest.slice(0, rest.length - tail.length), countErrors) });
+    // No comma when the marker is the last entry
+    return `[\n${head}${tail === '' ? marker : `${marker},\n${tail}`}\n]`;
+}
+
+// options: countErrors adds how many of the dropped lines look like errors, and json writes the marker
+// as an entry of the spans format's array so the result still parses
+export function elideOutput(text, maxChars, options = {}) {
+    const { countErrors = false, json = false } = options;
+    if(!maxChars || text.length <= maxChars) {
+        return text;
+    }
+    if(json && _.startsWith(text, '[\n') && _.endsWith(text, '\n]')) {
+        return elideEntries(text.slice(2, -2), maxChars - 4, countErrors);
+    }
+
+    const half = Math.floor(Math.max(maxChars - MARKER_ROOM, 0) / 2);
+    let head = takeHead(text, half);
+    const tail = takeTail(text.slice(head.length), half);
+    const dropped = text.slice(head.length, text.length - tail.length);
+
+    const omitted = describeDropped(dropped, countErrors);
+
+    if(head !== '' && !_.endsWith(head, '\n')) {
+        head += '\n';
+    }
+    const errors = countErrors ? `; ${omitted.errors} of them look like errors` : '';
+    const lines = omitted.lines === 1 ? '1 line' : `${omitted.lines} lines`;
+    return `${head}[${lines} (${omitted.bytes} bytes) omitted${errors}]\n${tail}`;
+}
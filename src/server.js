@@ -8,10 +8,14 @@ import {
 } from '@modelcontextprotocol/sdk/types.js';
 import _ from 'lodash';
 
+import { formatLines, OUTPUT_FORMATS, parseAnsi, stripAnsi } from './ansi.js';
+import { normalizeLines } from './normalize-output.js';
+import { CHARS_PER_TOKEN, DEFAULT_MAX_OUTPUT_CHARS, elideOutput } from './output-budget.js';
 import TmuxManager from './tmux-manager.js';
+import { parseWorkspaceDefinition, readWorkspaceDefinition } from './workspace-definition.js';
 
 class TmuxMcpServer {
-    constructor() {
+    constructor(options = {}) {
         this.server = new Server(
             {
                 name: 'tmux-mcp-server',
@@ -25,7 +29,9 @@ class TmuxMcpServer {
             }
         );
 
-        this.tmuxManager = new TmuxManager();
+        this.tmuxManager = new TmuxManager({ strictWindows: options.strictWindows, stateDir: options.stateDir });
+        this.workspaceFiles = options.workspaceFiles ?? []; // loaded before the server starts taking requests
+        this.maxOutputChars = options.maxOutputChars ?? DEFAULT_MAX_OUTPUT_CHARS; // 0 means no limit
 
         // Set up handlers - they'll wait for initialization internally
         this.setupToolHandlers();
@@ -36,6 +42,29 @@ class TmuxMcpServer {
         const tools = [];
         const useParentSession = this.tmuxManager.isUsingParentSession;
 
+        // Options for starting a new window, shared by the tools that can create one
+        const windowOptions = {
+            cwd: {
+                type: 'string',
+                description: 'Directory to start a new window in'
+            },
+            env: {
+                type: 'object',
+                additionalProperties: { type: 'string' },
+                description: 'Environment variables to set in a new window, e.g. {"NODE_ENV": "test"}'
+            },
+            shell: {
+                type: 'string',
+                description: 'Program to run in a new window instead of the default shell, e.g. "zsh" or "bash --norc". The window closes when it exits.'
+            }
+        };
+
+        // Tools that act on a window can target one of its panes instead of the active one
+        const paneProperty = {
+            type: 'string',
+            description: 'Pane within the window, by index (e.g. "1") or id (e.g. "%3"); defaults to the active pane'
+        };
+
         // Helper to create schema with optional workspace_id
         const createSchema = (properties, required = []) => {
             const schema = {
@@ -59,7 +88,7 @@ class TmuxMcpServer {
         // Tools that work with or without parent session
         tools.push({
             name: 'run_command',
-            description: 'Start a command in a tmux window and return immediately. To stop a running command, use send_keys with ["C-c"].',
+            description: 'Start a command in a tmux window and return immediately, or set wait to block until it finishes and get its output and exit code. Set timeout_ms to stop it automatically if it runs too long; otherwise use send_keys with ["C-c"] to stop it.',
             inputSchema: createSchema({
                 command: {
                     type: 'string',
@@ -70,49 +99,280 @@ class TmuxMcpServer {
                     description: 'Window name',
                     'default': 'main',
                 },
+                pane: paneProperty,
+                wait: {
+                    type: 'boolean',
+                    description: 'Wait for the command to finish and return only its output and exit code (requires a POSIX-style shell). Leave false for interactive or long-running commands.',
+                    'default': false,
+                },
+                timeout_ms: {
+                    type: 'integer',
+                    description: 'Stop the command if it is still running after this many milliseconds: sends C-c, then SIGTERM and SIGKILL to its foreground process group. Without timeout_ms, wait gives up after 30000ms and leaves the command running. Like wait, requires a POSIX-style shell.',
+                },
+                ...windowOptions,
             }, ['command'])
         });
 
+        tools.push({
+            name: 'run_sequence',
+            description: 'Run an ordered list of commands in one window, each waiting for the previous one to finish, and return a per-step summary with exit code, duration and the tail of its output. Stops at the first failing step unless stop_on_failure is false.',
+            inputSchema: createSchema({
+                commands: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Shell commands to run in order, e.g. ["npm ci", "npm run build", "npm test"]'
+                },
+                window_name: {
+                    type: 'string',
+                    description: 'Window name',
+                    'default': 'main',
+                },
+                pane: paneProperty,
+                stop_on_failure: {
+                    type: 'boolean',
+                    description: 'Skip the remaining steps after a step exits non-zero',
+                    'default': true,
+                },
+                timeout_ms: {
+                    type: 'integer',
+                    description: 'Per-step deadline: a step still running after this many milliseconds is stopped like run_command timeout_ms and counts as failed. Without it, the sequence gives up after 30000ms on a step and leaves it running.',
+                },
+                output_lines: {
+                    type: 'integer',
+                    description: 'Number of trailing output lines to include for each step',
+                    'default': 10,
+                },
+            }, ['commands'])
+        });
+
+        tools.push({
+            name: 'run_batch',
+            description: 'Start several commands in parallel, each in its own window (created if needed), and by default wait for all of them. Returns one report with each command\'s exit code, duration and the tail of its output.',
+            inputSchema: createSchema({
+                commands: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            window_name: { type: 'string', description: 'Window to run the command in' },
+                            pane: paneProperty,
+                            command: { type: 'string', description: 'The shell command to run' }
+                        },
+                        required: ['window_name', 'command']
+                    },
+                    description: 'Commands to run, one window each, e.g. [{"window_name": "lint", "command": "npm run lint"}, {"window_name": "test", "command": "npm test"}]'
+                },
+                wait: {
+                    type: 'boolean',
+                    description: 'Wait for every command to finish. Set to false to just start them and follow up with get_output or wait_for_idle.',
+                    'default': true,
+                },
+                timeout_ms: {
+                    type: 'integer',
+                    description: 'Per-command deadline: a command still running after this many milliseconds is stopped like run_command timeout_ms. Without it, waiting gives up after 30000ms and leaves the commands running.',
+                },
+                output_lines: {
+                    type: 'integer',
+                    description: 'Number of trailing output lines to include for each command',
+                    'default': 10,
+                },
+            }, ['commands'])
+        });
+
         tools.push({
             name: 'get_output',
-            description: 'Capture terminal output. Use either lines mode OR search mode, not both.',
+            description: 'Capture terminal output. Use either lines mode OR search mode, not both. Results end with a cursor; pass it back as since to get only output added after that read.',
             inputSchema: createSchema({
                 window_name: {
                     type: 'string',
                     description: 'Window name',
                     'default': 'main'
                 },
+                pane: paneProperty,
                 lines: {
                     type: 'integer',
                     description: 'Number of scrollback lines to capture (optional, defaults to visible screen)',
                 },
+                command: {
+                    type: 'string',
+                    description: 'Return only the output of one run_command: "last", or a 1-based index among the commands still in the scrollback (negative counts back from the latest). Can be combined with search.',
+                },
+                since: {
+                    type: 'string',
+                    description: 'Cursor returned by a previous get_output call; only output added after it is returned (cannot be used with lines)',
+                },
+                start_line: {
+                    type: 'integer',
+                    description: 'First line to capture, numbered from the top of the scrollback like search results (1-based). With end_line, pages through long histories; the result says how many lines there are (cannot be used with lines, since or command)',
+                },
+                end_line: {
+                    type: 'integer',
+                    description: 'Last line to capture, inclusive (optional, defaults to the last line)',
+                },
+                join_wrapped: {
+                    type: 'boolean',
+                    description: 'Join lines that wrapped at the pane width back into one line',
+                    'default': false
+                },
+                trim_whitespace: {
+                    type: 'boolean',
+                    description: 'Remove whitespace from the end of each line',
+                    'default': false
+                },
+                collapse_blank_lines: {
+                    type: 'boolean',
+                    description: 'Replace each run of blank lines with a single one',
+                    'default': false
+                },
+                strip_control: {
+                    type: 'boolean',
+                    description: 'Remove control characters left in the output',
+                    'default': false
+                },
+                max_chars: {
+                    type: 'integer',
+                    description: 'Most characters to return; longer output keeps its first and last lines and says how many lines and bytes were left out in between (defaults to the server\'s limit, which it cannot raise)',
+                },
+                max_tokens: {
+                    type: 'integer',
+                    description: `Like max_chars, counting about ${CHARS_PER_TOKEN} characters per token`,
+                },
+                count_errors: {
+                    type: 'boolean',
+                    description: 'When output is cut short, also say how many of the lines left out look like errors',
+                    'default': false
+                },
+                format: {
+                    type: 'string',
+                    'enum': OUTPUT_FORMATS,
+                    description: 'text drops colors; ansi keeps them as escape sequences; html turns them into styled <span>s; spans returns JSON lines of {text, fg, bg, bold, ...} runs, with colors 0-15 named (e.g. "red", "bright-green") and others as #rrggbb (cannot be used with search)',
+                    'default': 'text'
+                },
                 search: {
                     type: 'object',
-                    description: 'Search for patterns in output (cannot be used with lines)',
+                    description: 'Search for patterns in output (cannot be used with lines). Give either pattern or patterns.',
                     properties: {
                         pattern: {
                             type: 'string',
                             description: 'JavaScript regex pattern (no delimiters, e.g., "error|warning")'
                         },
+                        patterns: {
+                            type: 'array',
+                            description: 'Several patterns searched at once; matches come back in a section for each pattern',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    pattern: {
+                                        type: 'string',
+                                        description: 'JavaScript regex pattern'
+                                    },
+                                    label: {
+                                        type: 'string',
+                                        description: 'Name for the section (defaults to the pattern)'
+                                    }
+                                },
+                                required: ['pattern']
+                            }
+                        },
+                        flags: {
+                            type: 'string',
+                            description: 'Regex flags for every pattern, e.g. "i" to ignore case'
+                        },
+                        invert: {
+                            type: 'boolean',
+                            description: 'Return the lines that match none of the patterns instead',
+                            'default': false
+                        },
+                        max_matches: {
+                            type: 'integer',
+                            description: 'Most matching lines to return for each pattern'
+                        },
+                        from_end: {
+                            type: 'boolean',
+                            description: 'List the newest matches first, so max_matches keeps the latest ones',
+                            'default': false
+                        },
                         context_lines: {
                             type: 'integer',
                             description: 'Lines before/after matches',
                             'default': 2
                         },
+                        before: {
+                            type: 'integer',
+                            description: 'Lines before matches (defaults to context_lines)'
+                        },
+                        after: {
+                            type: 'integer',
+                            description: 'Lines after matches (defaults to context_lines)'
+                        },
                         include_line_numbers: {
                             type: 'boolean',
-                            description: 'Include absolute line numbers from scrollback top',
+                            description: 'Include absolute line numbers from scrollback top (joining and clean-up options don\'t change them)',
                             'default': true
                         }
-                    },
-                    required: ['pattern']
+                    }
+                }
+            })
+        });
+
+        tools.push({
+            name: 'wait_for_output',
+            description: 'Block until a regex matches the output of a window (e.g. a dev server printing "ready"), then return the matching lines with context. On timeout, returns the last screen.',
+            inputSchema: createSchema({
+                pattern: {
+                    type: 'string',
+                    description: 'JavaScript regex pattern (no delimiters, e.g., "listening on|ready")'
+                },
+                window_name: {
+                    type: 'string',
+                    description: 'Window name',
+                    'default': 'main'
+                },
+                pane: paneProperty,
+                timeout_ms: {
+                    type: 'integer',
+                    description: 'Maximum time to wait in milliseconds',
+                    'default': 30000
+                },
+                new_only: {
+                    type: 'boolean',
+                    description: 'Only match output produced after this call starts',
+                    'default': false
+                },
+                context_lines: {
+                    type: 'integer',
+                    description: 'Lines before/after matches',
+                    'default': 2
+                }
+            }, ['pattern'])
+        });
+
+        tools.push({
+            name: 'wait_for_idle',
+            description: 'Block until a window has produced no new output for a quiet period (useful for installers and builds without a predictable "done" line). Reports whether the window is back at the shell prompt.',
+            inputSchema: createSchema({
+                window_name: {
+                    type: 'string',
+                    description: 'Window name',
+                    'default': 'main'
+                },
+                pane: paneProperty,
+                quiet_ms: {
+                    type: 'integer',
+                    description: 'How long the output must stay unchanged, in milliseconds',
+                    'default': 2000
+                },
+                timeout_ms: {
+                    type: 'integer',
+                    description: 'Maximum time to wait in milliseconds',
+                    'default': 30000
                 }
             })
         });
 
         tools.push({
             name: 'send_input',
-            description: 'Send text to a window (automatically appends Enter).',
+            description: 'Send text to a window (automatically appends Enter). Use mode "paste" for multi-line blocks such as functions typed into a Python or Node REPL.',
             inputSchema: createSchema({
                 text: {
                     type: 'string',
@@ -123,180 +383,1052 @@ class TmuxMcpServer {
                     description: 'Target window',
                     'default': 'main'
                 },
+                pane: paneProperty,
+                mode: {
+                    type: 'string',
+                    'enum': ['literal', 'paste'],
+                    description: 'literal types the text as-is, so each newline is submitted as it arrives. paste sends it as one bracketed paste, which keeps indented multi-line blocks together in programs that support it.',
+                    'default': 'literal'
+                },
             }, ['text'])
         });
 
-        tools.push({
-            name: 'send_keys',
-            description: 'Send key sequences using tmux syntax. Common keys: C-c (interrupt), C-d (EOF), C-z (suspend), Up/Down/Left/Right, Enter, Tab, Escape.',
-            inputSchema: createSchema({
-                keys: {
-                    type: 'array',
-                    items: { type: 'string' },
-                    description: 'Array of keys to send. Examples: ["C-c"] for Ctrl+C, ["Up", "Enter"] for up arrow then enter'
-                },
-                window_name: {
-                    type: 'string',
-                    description: 'Target window',
-                    'default': 'main'
-                },
-            }, ['keys'])
+        tools.push({
+            name: 'send_keys',
+            description: 'Send key sequences using tmux syntax. Common keys: C-c (interrupt), C-d (EOF), C-z (suspend), Up/Down/Left/Right, Enter, Tab, Escape.',
+            inputSchema: createSchema({
+                keys: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Array of keys to send. Examples: ["C-c"] for Ctrl+C, ["Up", "Enter"] for up arrow then enter'
+                },
+                window_name: {
+                    type: 'string',
+                    description: 'Target window',
+                    'default': 'main'
+                },
+                pane: paneProperty,
+            }, ['keys'])
+        });
+
+        tools.push({
+            name: 'send_signal',
+            description: 'Send a signal to the foreground process group of a window, e.g. SIGTERM to stop a program that ignores C-c, SIGHUP or SIGUSR1 to make a server reload its configuration. Fails if only the shell is in the foreground.',
+            inputSchema: createSchema({
+                signal: {
+                    type: 'string',
+                    description: 'Signal name, with or without the SIG prefix, e.g. "SIGTERM", "HUP", "USR1", "KILL"'
+                },
+                window_name: {
+                    type: 'string',
+                    description: 'Target window',
+                    'default': 'main'
+                },
+                pane: paneProperty,
+            }, ['signal'])
+        });
+
+        tools.push({
+            name: 'window_status',
+            description: 'Show what windows are doing without reading their scrollback: the foreground command (or whether the shell is idle), pane pid, current directory, whether the pane is dead, its size, cursor position, history size and last activity time.',
+            inputSchema: createSchema({
+                window_name: {
+                    type: 'string',
+                    description: 'Only show this window (optional, defaults to all windows)'
+                },
+                pane: paneProperty
+            })
+        });
+
+        tools.push({
+            name: 'resource_usage',
+            description: 'Show CPU and memory used by the processes running in each window and workspace, heaviest first, to find out which one is slowing the machine down. Without workspace_id, covers every workspace.',
+            inputSchema: createSchema({
+                sort_by: {
+                    type: 'string',
+                    'enum': ['cpu', 'memory'],
+                    description: 'Which measure decides the order',
+                    'default': 'cpu'
+                }
+            })
+        });
+
+        tools.push({
+            name: 'command_history',
+            description: 'List the commands sent through run_command and send_input, per window, with start/end times, exit codes and the working directory at launch.',
+            inputSchema: createSchema({
+                window_name: {
+                    type: 'string',
+                    description: 'Only show this window (optional, defaults to all windows)'
+                }
+            })
+        });
+
+        tools.push({
+            name: 'write_file',
+            description: 'Write a file without typing it through the shell. Paths are resolved against the window\'s current directory and must stay inside it. Replaces the file if it exists. Content is limited to 1 MB.',
+            inputSchema: createSchema({
+                path: {
+                    type: 'string',
+                    description: 'File path inside the window\'s current directory, absolute or relative to it'
+                },
+                content: {
+                    type: 'string',
+                    description: 'File content'
+                },
+                encoding: {
+                    type: 'string',
+                    'enum': ['utf8', 'base64'],
+                    description: 'How content is encoded. Use base64 for binary files.',
+                    'default': 'utf8'
+                },
+                window_name: {
+                    type: 'string',
+                    description: 'Window whose current directory relative paths start from',
+                    'default': 'main'
+                },
+                pane: paneProperty,
+            }, ['path', 'content'])
+        });
+
+        tools.push({
+            name: 'read_file',
+            description: 'Read a file without printing it into the terminal. Paths are resolved against the window\'s current directory and must stay inside it. Files are limited to 1 MB.',
+            inputSchema: createSchema({
+                path: {
+                    type: 'string',
+                    description: 'File path inside the window\'s current directory, absolute or relative to it'
+                },
+                encoding: {
+                    type: 'string',
+                    'enum': ['utf8', 'base64'],
+                    description: 'How to return the content. Use base64 for binary files.',
+                    'default': 'utf8'
+                },
+                window_name: {
+                    type: 'string',
+                    description: 'Window whose current directory relative paths start from',
+                    'default': 'main'
+                },
+                pane: paneProperty,
+            }, ['path'])
+        });
+
+        tools.push({
+            name: 'scrollback_size',
+            description: 'Get or set the scrollback history limit for the entire tmux session/workspace. This setting only applies to NEW windows created AFTER the change - existing windows keep their original scrollback size. Without lines parameter: returns current value. With lines parameter: sets new value for future windows. 0 means unlimited. Memory estimates: 2,000 lines (~1 MB per 80-col pane), 10,000 lines (~5 MB per 80-col pane), 50,000 lines (~24 MB per 80-col pane).',
+            inputSchema: createSchema({
+                lines: {
+                    type: 'number',
+                    description: 'Number of lines to keep in scrollback history for new windows. 0 means unlimited. If omitted, returns current value.'
+                }
+            })
+        });
+
+        tools.push({
+            name: 'create_window',
+            description: 'Create a window, optionally in a given directory, with extra environment variables or running a different shell. Other tools create windows they are given implicitly; this is for setting one up ahead of time.',
+            inputSchema: createSchema({
+                window_name: {
+                    type: 'string',
+                    description: 'Name of the new window'
+                },
+                ...windowOptions
+            }, ['window_name'])
+        });
+
+        tools.push({
+            name: 'close_window',
+            description: 'Close a window, ending everything running in it. Closing the last window of a workspace ends the workspace.',
+            inputSchema: createSchema({
+                window_name: {
+                    type: 'string',
+                    description: 'Window to close'
+                }
+            }, ['window_name'])
+        });
+
+        tools.push({
+            name: 'rename_window',
+            description: 'Rename a window. Its command history moves with it.',
+            inputSchema: createSchema({
+                window_name: {
+                    type: 'string',
+                    description: 'Current window name'
+                },
+                new_name: {
+                    type: 'string',
+                    description: 'New window name'
+                }
+            }, ['window_name', 'new_name'])
+        });
+
+        tools.push({
+            name: 'split_window',
+            description: 'Split a pane of a window in two, e.g. to run a server and tail its log side by side. The new pane starts a shell (or the given shell command) and the active pane stays the same; use pane with the returned index or id to target the new one.',
+            inputSchema: createSchema({
+                window_name: {
+                    type: 'string',
+                    description: 'Window to split',
+                    'default': 'main'
+                },
+                pane: {
+                    ...paneProperty,
+                    description: 'Pane to split, by index or id; defaults to the active pane'
+                },
+                direction: {
+                    type: 'string',
+                    'enum': ['horizontal', 'vertical'],
+                    description: 'horizontal puts the new pane beside the old one, vertical puts it below',
+                    'default': 'horizontal'
+                },
+                size: {
+                    type: 'string',
+                    description: 'Size of the new pane, in cells (e.g. "20") or as a percentage (e.g. "30%"); defaults to half'
+                },
+                ...windowOptions
+            })
+        });
+
+        tools.push({
+            name: 'select_layout',
+            description: 'Arrange the panes of a window using a tmux layout: even-horizontal, even-vertical, main-horizontal, main-vertical or tiled (or a layout string from tmux).',
+            inputSchema: createSchema({
+                layout: {
+                    type: 'string',
+                    description: 'Layout name, e.g. "even-horizontal" or "tiled"'
+                },
+                window_name: {
+                    type: 'string',
+                    description: 'Window to arrange',
+                    'default': 'main'
+                }
+            }, ['layout'])
+        });
+
+        const loadWorkspaceSchema = createSchema({
+            path: {
+                type: 'string',
+                description: 'YAML or JSON workspace definition file in tmuxp or tmuxinator format'
+            },
+            definition: {
+                type: 'object',
+                description: 'Workspace definition given inline instead of a path, e.g. {"windows": [{"window_name": "server", "start_directory": "~/app", "panes": ["npm run dev", "tail -f log/dev.log"]}]}'
+            }
+        });
+        if(!useParentSession) {
+            loadWorkspaceSchema.properties.workspace_id = {
+                type: 'string',
+                description: 'Workspace to load into; defaults to the session name in the definition, then "default"'
+            };
+        }
+        tools.push({
+            name: 'load_workspace',
+            description: 'Create windows and panes from a tmuxp or tmuxinator style definition, with their directories, environment and startup commands. Loading it again only adds the windows and panes that are missing and starts only their commands.',
+            inputSchema: loadWorkspaceSchema
+        });
+
+        tools.push({
+            name: 'snapshot_workspace',
+            description: 'Save each window\'s name, layout, environment and shell, and each pane\'s directory and last run_command, to a local state file so restore_workspace can recreate them after the tmux server restarts. Replaces the previous snapshot of the workspace.',
+            inputSchema: createSchema({
+                scrollback: {
+                    type: 'boolean',
+                    description: 'Also save each pane\'s scrollback in the snapshot file',
+                    'default': false
+                }
+            })
+        });
+
+        tools.push({
+            name: 'restore_workspace',
+            description: 'Recreate the windows and panes in the last snapshot of a workspace that are missing, in their saved directories and layout. Windows that still exist are left as they are.',
+            inputSchema: createSchema({
+                relaunch: {
+                    type: 'boolean',
+                    description: 'Run each recreated pane\'s last command again',
+                    'default': false
+                }
+            })
+        });
+
+        // Workspace management tools - only add if NOT using parent session
+        if(!useParentSession) {
+            tools.push({
+                name: 'create_workspace',
+                description: 'Create a new workspace with a "main" window. The description and tags are shown by list_workspaces; give them for an existing workspace to replace its own.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        workspace_id: {
+                            type: 'string',
+                            description: 'Unique workspace identifier'
+                        },
+                        description: {
+                            type: 'string',
+                            description: 'What the workspace is for'
+                        },
+                        tags: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Labels for the workspace, e.g. ["api", "ci"]'
+                        },
+                    },
+                    required: ['workspace_id']
+                },
+            });
+
+            tools.push({
+                name: 'destroy_workspace',
+                description: 'Destroy a workspace and all its windows.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        workspace_id: {
+                            type: 'string',
+                            description: 'Workspace to destroy'
+                        },
+                    },
+                    required: ['workspace_id']
+                },
+            });
+        }
+
+        // List workspaces always available but behaves differently
+        tools.push({
+            name: 'list_workspaces',
+            description: useParentSession
+                ? 'List windows in the current tmux session.'
+                : 'List all active workspaces and their windows.',
+            inputSchema: {
+                type: 'object',
+                properties: {}
+            },
+        });
+
+        return tools;
+    }
+
+    // Helper methods to reduce code duplication
+    _getSessionId(workspace_id = 'default') {
+        return this.tmuxManager.isUsingParentSession ? 'default' : workspace_id;
+    }
+
+    _getLocationDescription(workspace_id, window_name, pane = undefined) {
+        const window = pane === undefined ? window_name : `${window_name}.${pane}`;
+        return this.tmuxManager.isUsingParentSession
+            ? window
+            : `${workspace_id}:${window}`;
+    }
+
+    _getScrollbackLocationDescription(workspace_id) {
+        return this.tmuxManager.isUsingParentSession
+            ? 'current session'
+            : `workspace ${workspace_id}`;
+    }
+
+    getResourceDefinitions() {
+        return [
+            {
+                uri: 'tmux://keys-reference',
+                name: 'Tmux Keys Reference',
+                description: 'Common tmux key sequences and their meanings',
+                mimeType: 'text/plain',
+            },
+            {
+                uri: 'tmux://common-patterns',
+                name: 'Common Tmux Patterns',
+                description: 'Common usage patterns and examples',
+                mimeType: 'text/plain',
+            },
+        ];
+    }
+
+    async handleRunCommand(args) {
+        const { command, workspace_id = 'default', window_name = 'main', pane, wait = false, timeout_ms, cwd, env, shell } = args;
+        const sessionId = this._getSessionId(workspace_id);
+        const location = this._getLocationDescription(workspace_id, window_name, pane);
+        const windowOptions = _.omitBy({ cwd, env, shell }, _.isUndefined);
+
+        // The options only take effect if the window is created here
+        let note = '';
+        if(_.isEmpty(windowOptions)) {
+            await this.tmuxManager.createSession(sessionId);
+        } else if(!await this.tmuxManager.createWindow(sessionId, window_name, windowOptions)) {
+            note = `Window ${this._getLocationDescription(workspace_id, window_name)} already existed, so ${this._describeUnusedOptions(windowOptions)}\n`;
+        }
+
+        if(wait) {
+            const result = await this.tmuxManager.executeCommand(sessionId, window_name, command, {
+                timeout: timeout_ms,
+                interrupt: timeout_ms !== undefined,
+                pane
+            });
+            return { content: [{ type: 'text', text: note + this._formatCommandResult(result, location, timeout_ms !== undefined) }] };
+        }
+
+        await this.tmuxManager.startCommand(sessionId, window_name, command, { timeout: timeout_ms, pane });
+
+        const deadline = timeout_ms === undefined ? '' : ` (will be stopped if still running after ${timeout_ms}ms)`;
+        return { content: [{ type: 'text', text: `${note}Started command in ${location}${deadline}` }] };
+    }
+
+    // "cwd and env were not applied"
+    _describeUnusedOptions(windowOptions) {
+        const names = _.keys(windowOptions);
+        const list = names.length === 1 ? names[0] : `${_.initial(names).join(', ')} and ${_.last(names)}`;
+        return `${list} ${names.length === 1 ? 'was' : 'were'} not applied`;
+    }
+
+    _formatCommandResult({ output, exitCode, timedOut, stoppedBy, closed, duration }, location, interrupted = false) {
+        let header;
+        if(closed) {
+            header = `The shell in ${location} exited before the command finished, so there is no exit code (${duration}ms)`;
+        } else if(!timedOut) {
+            header = `Command exited with code ${exitCode} in ${location} (${duration}ms)`;
+        } else if(!interrupted) {
+            header = `Command still running in ${location} after ${duration}ms (use get_output to follow it)`;
+        } else if(stoppedBy === null) {
+            header = `Command timed out in ${location} and is still running after C-c, SIGTERM and SIGKILL (${duration}ms)`;
+        } else {
+            const exit = exitCode === null ? '' : `, exit code ${exitCode}`;
+            header = `Command timed out in ${location} and was stopped with ${stoppedBy}${exit} (${duration}ms)`;
+        }
+        return output ? `${header}\n${output}` : header;
+    }
+
+    async handleRunSequence(args) {
+        const { commands, workspace_id = 'default', window_name = 'main', pane, stop_on_failure = true, timeout_ms, output_lines = 10 } = args;
+        const sessionId = this._getSessionId(workspace_id);
+        const location = this._getLocationDescription(workspace_id, window_name, pane);
+
+        if(_.isEmpty(commands)) {
+            return { content: [{ type: 'text', text: 'Error: commands must contain at least one command' }] };
+        }
+
+        await this.tmuxManager.createSession(sessionId);
+
+        const startTime = Date.now();
+        const steps = await this.tmuxManager.runSequence(sessionId, window_name, commands, {
+            stopOnFailure: stop_on_failure,
+            timeout: timeout_ms,
+            interrupt: timeout_ms !== undefined,
+            pane
+        });
+        const failed = _.filter(steps, step => step.exitCode !== 0).length;
+
+        let summary = `Ran ${steps.length} of ${commands.length} steps in ${location} (${Date.now() - startTime}ms)`;
+        if(failed > 0) {
+            summary += `, ${failed} failed`;
+        }
+
+        const lines = [`${summary}:`];
+        _.forEach(commands, (command, index) => {
+            const step = steps[index];
+            if(!step) {
+                lines.push(`[${index + 1}] skipped: ${command}`);
+                return;
+            }
+
+            lines.push(`[${index + 1}] ${this._describeRunStatus(step)} (${step.duration}ms): ${command}`);
+            lines.push(...this._indentOutputTail(step.output, output_lines));
+        });
+
+        return { content: [{ type: 'text', text: lines.join('\n') }] };
+    }
+
+    async handleRunBatch(args) {
+        const { commands, workspace_id = 'default', wait = true, timeout_ms, output_lines = 10 } = args;
+        const sessionId = this._getSessionId(workspace_id);
+        const location = this._getScrollbackLocationDescription(workspace_id);
+
+        if(_.isEmpty(commands)) {
+            return { content: [{ type: 'text', text: 'Error: commands must contain at least one command' }] };
+        }
+
+        // Two commands typed into one pane at once would interleave their keystrokes
+        const label = ({ windowName, pane }) => (pane === undefined ? windowName : `${windowName}.${pane}`);
+        const entries = _.map(commands, ({ window_name, pane, command }) => ({ windowName: window_name, pane, command }));
+        const repeated = _.findKey(_.countBy(entries, label), count => count > 1);
+        if(repeated !== undefined) {
+            return { content: [{ type: 'text', text: `Error: Window ${repeated} appears more than once in the batch` }] };
+        }
+
+        await this.tmuxManager.createSession(sessionId);
+
+        const startTime = Date.now();
+        const results = await this.tmuxManager.runBatch(sessionId, entries, {
+            wait,
+            timeout: timeout_ms,
+            interrupt: timeout_ms !== undefined
+        });
+
+        if(!wait) {
+            const started = _.map(results, result => `[${label(result)}] ${result.command}`);
+            return { content: [{ type: 'text', text: `Started ${results.length} commands in ${location}:\n${started.join('\n')}` }] };
+        }
+
+        const succeeded = _.filter(results, { exitCode: 0 }).length;
+        const running = _.filter(results, { timedOut: true, stoppedBy: null }).length;
+        let summary = `Ran ${results.length} commands in ${location} (${Date.now() - startTime}ms): ${succeeded} succeeded, ${results.length - succeeded - running} failed`;
+        if(running > 0) {
+            summary += `, ${running} still running`;
+        }
+
+        const lines = [summary];
+        _.forEach(results, (result) => {
+            lines.push(`[${label(result)}] ${this._describeRunStatus(result)} (${result.duration}ms): ${result.command}`);
+            lines.push(...this._indentOutputTail(result.output, output_lines));
+        });
+
+        return { content: [{ type: 'text', text: lines.join('\n') }] };
+    }
+
+    _indentOutputTail(output, lines) {
+        if(lines <= 0 || !output) {
+            return [];
+        }
+        return _.map(_.takeRight(_.split(output, '\n'), lines), line => `    ${line}`);
+    }
+
+    _describeRunStatus({ exitCode, timedOut, stoppedBy, closed }) {
+        if(closed) {
+            return 'shell exited, no exit code';
+        }
+        if(!timedOut) {
+            return `exit ${exitCode}`;
+        }
+        if(stoppedBy === null) {
+            return 'still running';
+        }
+        return exitCode === null ? `timed out, stopped with ${stoppedBy}` : `timed out, stopped with ${stoppedBy}, exit ${exitCode}`;
+    }
+
+    async handleGetOutput(args) {
+        const { max_chars, max_tokens, count_errors = false, format = 'text' } = args;
+        if(_.some([max_chars, max_tokens], limit => limit !== undefined && limit < 1)) {
+            return { content: [{ type: 'text', text: 'Error: max_chars and max_tokens must be at least 1' }] };
+        }
+
+        const result = await this._getOutput(args);
+        const [output, ...rest] = result.content;
+        const text = elideOutput(output.text, this._outputBudget(max_chars, max_tokens), {
+            countErrors: count_errors,
+            json: format === 'spans'
+        });
+        return { content: [{ ...output, text }, ...rest] };
+    }
+
+    // The tightest of the limits asked for and the server's own; undefined when there is none
+    _outputBudget(maxChars, maxTokens) {
+        return _.min(_.compact([maxChars, maxTokens && maxTokens * CHARS_PER_TOKEN, this.maxOutputChars]));
+    }
+
+    async _getOutput(args) {
+        const {
+            workspace_id = 'default', window_name = 'main', pane, lines, search, since, command, start_line, end_line,
+            format = 'text', join_wrapped = false, trim_whitespace = false, collapse_blank_lines = false, strip_control = false
+        } = args;
+        const sessionId = this._getSessionId(workspace_id);
+
+        // Validate that both lines and search aren't specified
+        if(lines !== undefined && search !== undefined) {
+            return { content: [{ type: 'text', text: 'Error: Cannot specify both lines and search' }] };
+        }
+
+        if(lines !== undefined && since !== undefined) {
+            return { content: [{ type: 'text', text: 'Error: Cannot specify both lines and since' }] };
+        }
+
+        if(command !== undefined && (lines !== undefined || since !== undefined)) {
+            return { content: [{ type: 'text', text: 'Error: Cannot combine command with lines or since' }] };
+        }
+
+        const ranged = start_line !== undefined || end_line !== undefined;
+        if(ranged && (lines !== undefined || since !== undefined || command !== undefined)) {
+            return { content: [{ type: 'text', text: 'Error: Cannot combine start_line or end_line with lines, since or command' }] };
+        }
+
+        if(ranged && (start_line < 1 || end_line < Math.max(start_line ?? 1, 1))) {
+            return { content: [{ type: 'text', text: 'Error: start_line and end_line are 1-based, and end_line cannot come before start_line' }] };
+        }
+
+        if(!_.includes(OUTPUT_FORMATS, format)) {
+            return { content: [{ type: 'text', text: `Error: Unknown output format: ${format} (expected ${OUTPUT_FORMATS.join(', ')})` }] };
+        }
+
+        if(format !== 'text' && search !== undefined) {
+            return { content: [{ type: 'text', text: 'Error: Cannot combine search with a format other than text' }] };
+        }
+
+        const options = { format, join: join_wrapped, trim: trim_whitespace, collapse: collapse_blank_lines, strip: strip_control };
+
+        if(since !== undefined) {
+            return await this._getOutputSince(sessionId, window_name, pane, since, search, options);
+        }
+
+        // Take the cursor before capturing so nothing written in between is skipped later
+        const cursor = await this.tmuxManager.getOutputCursor(sessionId, window_name, pane);
+
+        if(command !== undefined) {
+            const location = this._getLocationDescription(workspace_id, window_name, pane);
+            const text = await this._getCommandOutput(sessionId, window_name, pane, command, search, location, options);
+            return { content: [{ type: 'text', text }, this._cursorContent(cursor)] };
+        }
+
+        if(ranged) {
+            const { view, range } = await this._captureRange(sessionId, window_name, pane, start_line, end_line, options);
+            const text = search ? this._searchView(view, search) : this._renderView(view, format);
+            return { content: [{ type: 'text', text }, this._rangeContent(range), this._cursorContent(cursor)] };
+        }
+
+        // Lines mode, or all output for search or default mode
+        const view = await this._captureOutput(sessionId, window_name, pane, lines, options);
+
+        // If search mode, apply search
+        if(search) {
+            return { content: [{ type: 'text', text: this._searchView(view, search) }, this._cursorContent(cursor)] };
+        }
+
+        return { content: [{ type: 'text', text: this._renderView(view, format) }, this._cursorContent(cursor)] };
+    }
+
+    _searchView(view, search) {
+        return this.searchOutput(view.text, search, { blocks: view.blocks, lineNumbers: view.lineNumbers });
+    }
+
+    _renderView(view, format) {
+        return format === 'text' ? view.text : this._renderOutput(view, format);
+    }
+
+    async _captureRange(sessionId, window_name, pane, start_line, end_line, options) {
+        const lines = { start: (start_line ?? 1) - 1, end: (end_line ?? Infinity) - 1 };
+        const range = await this.tmuxManager.captureRange(sessionId, window_name, lines, pane, {
+            escapes: options.format !== 'text',
+            join: options.join
+        });
+        return { view: this._prepareOutput(range.output, range.lineNumbers, options, range.markers), range };
+    }
+
+    // Where the captured lines sit in the scrollback, numbered like search results
+    _rangeContent({ start, end, historySize, totalLines }) {
+        const history = historySize === 0 ? 'no history' : `history is lines 1-${historySize}`;
+        return { type: 'text', text: `lines ${start + 1}-${end + 1} of ${totalLines}; ${history}, visible screen is lines ${historySize + 1}-${totalLines}` };
+    }
+
+    async _captureOutput(sessionId, window_name, pane, lines, options) {
+        const escapes = options.format !== 'text';
+        let output, lineNumbers;
+        if(options.join) {
+            ({ output, lineNumbers } = await this.tmuxManager.captureJoined(sessionId, window_name, lines, pane, { escapes }));
+        } else {
+            output = await this.tmuxManager.capturePane(sessionId, window_name, lines, pane, { escapes });
+        }
+
+        const markers = await this.tmuxManager.findMarkers(sessionId, window_name, output, lines, pane, { escapes, join: options.join });
+        return this._prepareOutput(output, lineNumbers, options, markers);
+    }
+
+    // What get_output works on: the plain text, which is searched and split into commands, and when
+    // there is a format or clean-up to apply, the lines as spans. lineNumbers maps each line back
+    // to the line of the scrollback it came from; null means they are the same. The markers
+    // run_command adds are left out, so the command blocks are found first and placed in the view:
+    // each block's output is lines [from, to).
+    _prepareOutput(output, lineNumbers, options, markers = []) {
+        const { format, join, ...cleanUp } = options;
+        const blocks = this.tmuxManager.findCommandBlocks(format === 'text' ? output : stripAnsi(output));
+        if(format === 'text' && !join && !_.some(cleanUp) && _.isEmpty(markers)) {
+            return { text: output, lines: null, lineNumbers: lineNumbers ?? null, blocks: this._placeBlocks(blocks, lineNumbers, lineNumbers) };
+        }
+
+        // Colors carry over from line to line, so the markers are only dropped once they are parsed
+        const parsed = parseAnsi(output);
+        const hidden = new Set(markers);
+        const kept = _.reject(_.range(parsed.length), line => hidden.has(line));
+        const numbers = lineNumbers ?? _.range(parsed.length);
+        const normalized = normalizeLines(_.map(kept, line => parsed[line]), _.map(kept, line => numbers[line]), cleanUp);
+        return {
+            ...normalized,
+            text: formatLines(normalized.lines, 'text'),
+            blocks: this._placeBlocks(blocks, numbers, normalized.lineNumbers)
+        };
+    }
+
+    // Where the output of each block starts and ends in a view, given the scrollback lines of the
+    // capture and of the view; null for both means they are the same
+    _placeBlocks(blocks, captureLines, viewLines) {
+        const scrollbackLine = line => (captureLines ? captureLines[line] : line);
+        const place = line => (viewLines ? _.sortedIndex(viewLines, line) : line);
+        return _.map(blocks, (block, index) => {
+            // A block without an end, stopped with C-c, runs until the next one starts
+            const stop = block.end ?? blocks[index + 1]?.start;
+            return {
+                ...block,
+                from: block.start === -1 ? 0 : place(scrollbackLine(block.start) + 1),
+                to: stop === undefined ? Infinity : place(scrollbackLine(stop))
+            };
         });
+    }
 
-        tools.push({
-            name: 'scrollback_size',
-            description: 'Get or set the scrollback history limit for the entire tmux session/workspace. This setting only applies to NEW windows created AFTER the change - existing windows keep their original scrollback size. Without lines parameter: returns current value. With lines parameter: sets new value for future windows. 0 means unlimited. Memory estimates: 2,000 lines (~1 MB per 80-col pane), 10,000 lines (~5 MB per 80-col pane), 50,000 lines (~24 MB per 80-col pane).',
-            inputSchema: createSchema({
-                lines: {
-                    type: 'number',
-                    description: 'Number of lines to keep in scrollback history for new windows. 0 means unlimited. If omitted, returns current value.'
-                }
-            })
+    async _getOutputSince(sessionId, window_name, pane, since, search, options) {
+        const escapes = options.format !== 'text';
+        const { output, fromLine, wrapped, cursor, lineNumbers, markers } = await this.tmuxManager.captureSince(sessionId, window_name, since, pane, {
+            escapes,
+            join: options.join
         });
+        const view = this._prepareOutput(output, lineNumbers, options, markers);
+        // fromLine is a line of the scrollback, which may have been joined to or dropped from the output
+        const from = view.lineNumbers ? _.sortedIndex(view.lineNumbers, fromLine) : fromLine;
 
-        // Workspace management tools - only add if NOT using parent session
-        if(!useParentSession) {
-            tools.push({
-                name: 'create_workspace',
-                description: 'Create a new workspace with a "main" window.',
-                inputSchema: {
-                    type: 'object',
-                    properties: {
-                        workspace_id: {
-                            type: 'string',
-                            description: 'Unique workspace identifier'
-                        },
-                    },
-                    required: ['workspace_id']
-                },
-            });
+        let text;
+        if(search) {
+            text = this.searchOutput(view.text, search, { fromLine: from, blocks: view.blocks, lineNumbers: view.lineNumbers });
+        } else if(escapes) {
+            text = this._renderOutput(view, options.format, { fromLine: from }) || '(no new output)';
+        } else {
+            const newLines = _.drop(_.split(view.text, '\n'), from);
+            text = _.trimEnd(newLines.join('\n'), '\n') || '(no new output)';
+        }
 
-            tools.push({
-                name: 'destroy_workspace',
-                description: 'Destroy a workspace and all its windows.',
-                inputSchema: {
-                    type: 'object',
-                    properties: {
-                        workspace_id: {
-                            type: 'string',
-                            description: 'Workspace to destroy'
-                        },
-                    },
-                    required: ['workspace_id']
-                },
+        if(wrapped) {
+            text = `Warning: scrollback wrapped past the cursor, so some output was lost. Showing all available history.\n${text}`;
+        }
+
+        return { content: [{ type: 'text', text }, this._cursorContent(cursor)] };
+    }
+
+    async _getCommandOutput(sessionId, window_name, pane, command, search, location, options) {
+        const view = await this._captureOutput(sessionId, window_name, pane, undefined, options);
+        const { blocks } = view;
+
+        // "last", or a 1-based index where negative numbers count back from the most recent command
+        const index = command === 'last' ? -1 : parseInt(command, 10);
+        const block = index < 0 ? blocks[blocks.length + index] : blocks[index - 1];
+        if(!block) {
+            return `Error: No command ${command} in the scrollback of ${location} (${blocks.length} found)`;
+        }
+
+        if(search) {
+            return this.searchOutput(view.text, search, {
+                fromLine: block.from,
+                toLine: block.to,
+                blocks,
+                lineNumbers: view.lineNumbers
             });
         }
 
-        // List workspaces always available but behaves differently
-        tools.push({
-            name: 'list_workspaces',
-            description: useParentSession
-                ? 'List windows in the current tmux session.'
-                : 'List all active workspaces and their windows.',
-            inputSchema: {
-                type: 'object',
-                properties: {}
-            },
+        if(options.format !== 'text') {
+            const rendered = this._renderOutput(view, options.format, { fromLine: block.from, toLine: block.to });
+            return `${this._describeCommandBlock(block)}\n${rendered}`;
+        }
+
+        return `${this._describeCommandBlock(block)}\n${block.output}`;
+    }
+
+    // Renders lines [fromLine, toLine) of the output, whose colors were resolved over the whole capture
+    _renderOutput(view, format, { fromLine = 0, toLine = Infinity } = {}) {
+        const lines = _.slice(view.lines, fromLine, toLine);
+        return formatLines(_.dropRightWhile(lines, _.isEmpty), format, _.slice(view.lineNumbers, fromLine, toLine));
+    }
+
+    _describeCommandBlock({ index, command, exitCode, end, timedOut, stoppedBy, closed, interrupted }) {
+        let status;
+        if(timedOut) {
+            status = this._describeRunStatus({ exitCode: end === null ? null : exitCode, timedOut, stoppedBy });
+        } else if(end !== null) {
+            status = `exit ${exitCode}`;
+        } else if(closed) {
+            status = 'shell exited';
+        } else {
+            status = interrupted ? 'interrupted' : 'running';
+        }
+        return `[command #${index} (${status}): ${command ?? 'unknown command'}]`;
+    }
+
+    _cursorContent(cursor) {
+        return { type: 'text', text: `cursor: ${cursor}` };
+    }
+
+    async handleWaitForOutput(args) {
+        const { pattern, workspace_id = 'default', window_name = 'main', pane, timeout_ms, new_only = false, context_lines = 2 } = args;
+        const sessionId = this._getSessionId(workspace_id);
+        const location = this._getLocationDescription(workspace_id, window_name, pane);
+
+        const result = await this.tmuxManager.waitForOutput(sessionId, window_name, pattern, {
+            timeout: timeout_ms,
+            newOnly: new_only,
+            pane
         });
 
-        return tools;
+        if(!result.matched) {
+            const text = `Timed out after ${result.duration}ms waiting for /${pattern}/ in ${location}. Last screen:\n${_.trimEnd(result.screen, '\n')}`;
+            return { content: [{ type: 'text', text }] };
+        }
+
+        const matches = elideOutput(this.searchOutput(result.output, { pattern, context_lines }, { lineNumbers: result.lineNumbers }), this._outputBudget());
+        return { content: [{ type: 'text', text: `Matched /${pattern}/ in ${location} after ${result.duration}ms:\n${matches}` }] };
     }
 
-    // Helper methods to reduce code duplication
-    _getSessionId(workspace_id = 'default') {
-        return this.tmuxManager.isUsingParentSession ? 'default' : workspace_id;
+    async handleWaitForIdle(args) {
+        const { workspace_id = 'default', window_name = 'main', pane, quiet_ms, timeout_ms } = args;
+        const sessionId = this._getSessionId(workspace_id);
+        const location = this._getLocationDescription(workspace_id, window_name, pane);
+
+        const result = await this.tmuxManager.waitForIdle(sessionId, window_name, {
+            quietPeriod: quiet_ms,
+            timeout: timeout_ms,
+            pane
+        });
+
+        const status = result.idle
+            ? `${location} is idle (no new output for ${result.quietFor}ms, waited ${result.duration}ms)`
+            : `Timed out after ${result.duration}ms: ${location} is still producing output`;
+        const foreground = result.atShell
+            ? `back at the shell prompt (${result.command})`
+            : `foreground process: ${result.command}`;
+        return { content: [{ type: 'text', text: `${status}; ${foreground}` }] };
     }
 
-    _getLocationDescription(workspace_id, window_name) {
-        return this.tmuxManager.isUsingParentSession
-            ? window_name
-            : `${workspace_id}:${window_name}`;
+    async handleSendInput(args) {
+        const { text, workspace_id = 'default', window_name = 'main', pane, mode = 'literal' } = args;
+        const sessionId = this._getSessionId(workspace_id);
+
+        await this.tmuxManager.sendInput(sessionId, window_name, text, { mode, pane });
+
+        const location = this._getLocationDescription(workspace_id, window_name, pane);
+        return { content: [{ type: 'text', text: `Sent input to ${location}` }] };
     }
 
-    _getScrollbackLocationDescription(workspace_id) {
-        return this.tmuxManager.isUsingParentSession
-            ? 'current session'
-            : `workspace ${workspace_id}`;
+    async handleSendKeys(args) {
+        const { keys, workspace_id = 'default', window_name = 'main', pane } = args;
+        const sessionId = this._getSessionId(workspace_id);
+
+        await this.tmuxManager.sendKeys(sessionId, window_name, keys, pane);
+
+        const location = this._getLocationDescription(workspace_id, window_name, pane);
+        return { content: [{ type: 'text', text: `Sent keys to ${location}` }] };
     }
 
-    getResourceDefinitions() {
-        return [
-            {
-                uri: 'tmux://keys-reference',
-                name: 'Tmux Keys Reference',
-                description: 'Common tmux key sequences and their meanings',
-                mimeType: 'text/plain',
-            },
-            {
-                uri: 'tmux://common-patterns',
-                name: 'Common Tmux Patterns',
-                description: 'Common usage patterns and examples',
-                mimeType: 'text/plain',
-            },
-        ];
+    async handleSendSignal(args) {
+        const { signal, workspace_id = 'default', window_name = 'main', pane } = args;
+        const sessionId = this._getSessionId(workspace_id);
+        const location = this._getLocationDescription(workspace_id, window_name, pane);
+
+        const result = await this.tmuxManager.sendSignal(sessionId, window_name, signal, pane);
+
+        return { content: [{ type: 'text', text: `Sent ${result.signal} to process group ${result.pgid} (${result.command}) in ${location}` }] };
     }
 
-    async handleRunCommand(args) {
-        const { command, workspace_id = 'default', window_name = 'main' } = args;
+    async handleWindowStatus(args) {
+        const { workspace_id = 'default', window_name, pane } = args;
         const sessionId = this._getSessionId(workspace_id);
+        const location = window_name === undefined
+            ? this._getScrollbackLocationDescription(workspace_id)
+            : this._getLocationDescription(workspace_id, window_name, pane);
 
-        await this.tmuxManager.createSession(sessionId);
-        await this.tmuxManager.sendKeys(sessionId, window_name, [...command, 'C-m']);
+        if(pane !== undefined && window_name === undefined) {
+            return { content: [{ type: 'text', text: 'Error: pane requires window_name' }] };
+        }
 
-        const location = this._getLocationDescription(workspace_id, window_name);
-        return { content: [{ type: 'text', text: `Started command in ${location}` }] };
+        const panes = await this.tmuxManager.getWindowStatus(sessionId, window_name, pane);
+        const paneCounts = _.countBy(panes, 'windowName');
+        const now = Date.now();
+
+        const lines = _.flatMap(panes, (pane) => {
+            const label = paneCounts[pane.windowName] > 1 ? `${pane.windowName}.${pane.paneIndex}` : pane.windowName;
+            let state;
+            if(pane.dead) {
+                state = pane.deadStatus === null ? 'dead' : `dead (exit ${pane.deadStatus})`;
+            } else if(pane.atShell) {
+                state = `idle at the shell (${pane.command})`;
+            } else {
+                state = `running ${pane.command}`;
+            }
+
+            const idleFor = Math.max(0, Math.round((now - pane.lastActivity) / 1000));
+            return [
+                `[${label}] ${state}, pane pid ${pane.pid}, in ${pane.path}`,
+                `    ${pane.width}x${pane.height}, cursor at ${pane.cursorX},${pane.cursorY}, ${pane.historySize} lines of history, last activity ${new Date(pane.lastActivity).toISOString()} (${idleFor}s ago)`
+            ];
+        });
+
+        return { content: [{ type: 'text', text: `Status of ${location}:\n${lines.join('\n')}` }] };
     }
 
-    async handleGetOutput(args) {
-        const { workspace_id = 'default', window_name = 'main', lines, search } = args;
+    async handleResourceUsage(args) {
+        const { workspace_id, sort_by = 'cpu' } = args;
+        const sessionId = workspace_id === undefined ? undefined : this._getSessionId(workspace_id);
+
+        const { windows, workspaces } = await this.tmuxManager.getResourceUsage(sessionId, { sortBy: sort_by });
+        if(windows.length === 0) {
+            return { content: [{ type: 'text', text: 'No active workspaces' }] };
+        }
+
+        const describe = ({ cpu, memory, processes }) => {
+            return `${cpu.toFixed(1)}% CPU, ${(memory / 1024 / 1024).toFixed(1)} MB RSS, ${processes} ${processes === 1 ? 'process' : 'processes'}`;
+        };
+
+        const lines = ['Resource usage by workspace (heaviest first):'];
+        _.forEach(workspaces, (usage) => {
+            lines.push(`  ${this._getScrollbackLocationDescription(usage.workspace)}: ${describe(usage)}`);
+        });
+        lines.push('Resource usage by window:');
+        _.forEach(windows, (usage) => {
+            lines.push(`  ${this._getLocationDescription(usage.workspace, usage.windowName)}: ${describe(usage)}`);
+        });
+
+        return { content: [{ type: 'text', text: lines.join('\n') }] };
+    }
+
+    async handleCommandHistory(args) {
+        const { workspace_id = 'default', window_name } = args;
         const sessionId = this._getSessionId(workspace_id);
+        const location = window_name === undefined
+            ? this._getScrollbackLocationDescription(workspace_id)
+            : this._getLocationDescription(workspace_id, window_name);
 
-        // Validate that both lines and search aren't specified
-        if(lines !== undefined && search !== undefined) {
-            return { content: [{ type: 'text', text: 'Error: Cannot specify both lines and search' }] };
+        const entries = await this.tmuxManager.getCommandHistory(sessionId, window_name);
+        if(entries.length === 0) {
+            return { content: [{ type: 'text', text: `No commands recorded for ${location}.` }] };
         }
 
-        let output;
-        if(lines !== undefined) {
-            // Lines mode
-            output = await this.tmuxManager.capturePane(sessionId, window_name, lines);
+        const lines = _.map(entries, entry => this._formatHistoryEntry(entry));
+        return { content: [{ type: 'text', text: `Command history for ${location}:\n${lines.join('\n')}` }] };
+    }
+
+    _formatHistoryEntry({ windowName, source, command, cwd, started, ended, exitCode, timedOut, stoppedBy, unwrapped, closed }) {
+        let status;
+        if(source === 'send_input') {
+            status = 'input';
+        } else if(unwrapped) {
+            status = 'no exit status, sent as is to a non-POSIX shell';
+        } else if(closed) {
+            status = `no exit status, the shell exited, ended ${new Date(ended).toISOString()} (${ended - started}ms)`;
+        } else if(timedOut) {
+            const exit = exitCode === null ? '' : `, exit ${exitCode}`;
+            status = stoppedBy === null
+                ? 'timed out, could not be stopped'
+                : `timed out, stopped with ${stoppedBy}${exit}, ended ${new Date(ended).toISOString()} (${ended - started}ms)`;
+        } else if(ended === null) {
+            status = 'no exit status yet';
         } else {
-            // Get all output for search or default mode
-            output = await this.tmuxManager.capturePane(sessionId, window_name);
+            status = `exit ${exitCode}, ended ${new Date(ended).toISOString()} (${ended - started}ms)`;
         }
+        return `[${windowName}] ${new Date(started).toISOString()} ${source} in ${cwd}: ${status}\n    ${command}`;
+    }
 
-        // If search mode, apply search
-        if(search) {
-            const searchResult = this.searchOutput(output, search);
-            return { content: [{ type: 'text', text: searchResult }] };
+    async handleCreateWindow(args) {
+        const { window_name, workspace_id = 'default', cwd, env, shell } = args;
+        const sessionId = this._getSessionId(workspace_id);
+        const location = this._getLocationDescription(workspace_id, window_name);
+        const windowOptions = _.omitBy({ cwd, env, shell }, _.isUndefined);
+
+        if(await this.tmuxManager.createWindow(sessionId, window_name, windowOptions)) {
+            return { content: [{ type: 'text', text: `Created window ${location}` }] };
         }
 
-        return { content: [{ type: 'text', text: output }] };
+        const unused = _.isEmpty(windowOptions) ? '' : `; ${this._describeUnusedOptions(windowOptions)}`;
+        return { content: [{ type: 'text', text: `Window ${location} already exists${unused}` }] };
     }
 
-    async handleSendInput(args) {
-        const { text, workspace_id = 'default', window_name = 'main' } = args;
+    async handleCloseWindow(args) {
+        const { window_name, workspace_id = 'default' } = args;
         const sessionId = this._getSessionId(workspace_id);
 
-        await this.tmuxManager.sendKeys(sessionId, window_name, [...text, 'C-m']);
+        await this.tmuxManager.closeWindow(sessionId, window_name);
+        return { content: [{ type: 'text', text: `Closed window ${this._getLocationDescription(workspace_id, window_name)}` }] };
+    }
+
+    async handleRenameWindow(args) {
+        const { window_name, new_name, workspace_id = 'default' } = args;
+        const sessionId = this._getSessionId(workspace_id);
 
-        const location = this._getLocationDescription(workspace_id, window_name);
-        return { content: [{ type: 'text', text: `Sent input to ${location}` }] };
+        await this.tmuxManager.renameWindow(sessionId, window_name, new_name);
+        return { content: [{ type: 'text', text: `Renamed window ${this._getLocationDescription(workspace_id, window_name)} to ${new_name}` }] };
     }
 
-    async handleSendKeys(args) {
-        const { keys, workspace_id = 'default', window_name = 'main' } = args;
+    async handleSplitWindow(args) {
+        const { workspace_id = 'default', window_name = 'main', pane, direction = 'horizontal', size, cwd, env, shell } = args;
         const sessionId = this._getSessionId(workspace_id);
 
-        await this.tmuxManager.sendKeys(sessionId, window_name, keys);
+        const windowOptions = _.omitBy({ cwd, env, shell }, _.isUndefined);
+        const result = await this.tmuxManager.splitWindow(sessionId, window_name, { direction, size, pane, ...windowOptions });
 
-        const location = this._getLocationDescription(workspace_id, window_name);
-        return { content: [{ type: 'text', text: `Sent keys to ${location}` }] };
+        const location = this._getLocationDescription(workspace_id, window_name, result.paneIndex);
+        return { content: [{ type: 'text', text: `Created pane ${location} (id ${result.paneId})` }] };
+    }
+
+    async handleSelectLayout(args) {
+        const { layout, workspace_id = 'default', window_name = 'main' } = args;
+        const sessionId = this._getSessionId(workspace_id);
+
+        await this.tmuxManager.selectLayout(sessionId, window_name, layout);
+        return { content: [{ type: 'text', text: `Applied layout ${layout} to ${this._getLocationDescription(workspace_id, window_name)}` }] };
+    }
+
+    async handleLoadWorkspace(args) {
+        const { path, definition, workspace_id } = args;
+        if((path === undefined) === (definition === undefined)) {
+            return { content: [{ type: 'text', text: 'Error: Pass either path or definition' }] };
+        }
+
+        const parsed = path === undefined
+            ? parseWorkspaceDefinition(definition)
+            : await readWorkspaceDefinition(path);
+        return { content: [{ type: 'text', text: await this._loadWorkspace(parsed, workspace_id) }] };
+    }
+
+    async loadWorkspaceFile(filePath) {
+        return await this._loadWorkspace(await readWorkspaceDefinition(filePath));
+    }
+
+    async _loadWorkspace(definition, workspace_id = undefined) {
+        const workspace = workspace_id ?? definition.name ?? 'default';
+        const sessionId = this._getSessionId(workspace);
+
+        const results = await this.tmuxManager.loadWorkspace(sessionId, definition);
+        return `Loaded definition into ${this._getScrollbackLocationDescription(workspace)}:\n${this._formatLoadedWindows(results)}`;
+    }
+
+    _formatLoadedWindows(results) {
+        const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+        const lines = _.map(results, ({ windowName, created, panesAdded, commandsStarted }) => {
+            let status;
+            if(created) {
+                status = panesAdded > 0 ? `created with ${plural(panesAdded + 1, 'pane')}` : 'created';
+            } else {
+                status = panesAdded > 0 ? `already existed, added ${plural(panesAdded, 'pane')}` : 'already existed, left as is';
+            }
+            const commands = commandsStarted > 0 ? `, started ${plural(commandsStarted, 'command')}` : '';
+            return `[${windowName}] ${status}${commands}`;
+        });
+        return lines.join('\n');
+    }
+
+    async handleSnapshotWorkspace(args) {
+        const { workspace_id = 'default', scrollback = false } = args;
+        const sessionId = this._getSessionId(workspace_id);
+
+        const { path, snapshot } = await this.tmuxManager.snapshotWorkspace(sessionId, { scrollback });
+        const paneCount = _.sumBy(snapshot.windows, window => window.panes.length);
+        const contents = `${snapshot.windows.length} ${snapshot.windows.length === 1 ? 'window' : 'windows'}, ${paneCount} ${paneCount === 1 ? 'pane' : 'panes'}${scrollback ? ' with scrollback' : ''}`;
+        return { content: [{ type: 'text', text: `Saved snapshot of ${this._getScrollbackLocationDescription(workspace_id)} to ${path} (${contents})` }] };
+    }
+
+    async handleRestoreWorkspace(args) {
+        const { workspace_id = 'default', relaunch = false } = args;
+        const sessionId = this._getSessionId(workspace_id);
+
+        const { path, created, windows } = await this.tmuxManager.restoreWorkspace(sessionId, { relaunch });
+        return { content: [{ type: 'text', text: `Restored ${this._getScrollbackLocationDescription(workspace_id)} from ${path} (saved ${created}):\n${this._formatLoadedWindows(windows)}` }] };
     }
 
     async handleCreateWorkspace(args) {
-        const { workspace_id } = args;
+        const { workspace_id, description, tags } = args;
         await this.tmuxManager.createSession(workspace_id);
+        if(description !== undefined || tags !== undefined) {
+            await this.tmuxManager.setWorkspaceMetadata(workspace_id, { description, tags });
+        }
         return { content: [{ type: 'text', text: `Created workspace: ${workspace_id}` }] };
     }
 
@@ -319,11 +1451,44 @@ class TmuxMcpServer {
 
         const workspaces = await this.tmuxManager.listWorkspaces();
         const text = workspaces.length > 0
-            ? _.map(workspaces, ws => `${ws.workspace_id}: ${ws.windows.join(', ')}`).join('\n')
+            ? _.map(workspaces, ws => this._formatWorkspace(ws)).join('\n')
             : 'No active workspaces.';
         return { content: [{ type: 'text', text }] };
     }
 
+    _formatWorkspace({ workspace_id, windows, created, owner, description, tags }) {
+        const lines = [`${workspace_id}: ${windows.join(', ')}`];
+        if(created !== undefined) {
+            const by = owner ? ` by ${owner}` : '';
+            const tagged = _.isEmpty(tags) ? '' : `, tags: ${tags.join(', ')}`;
+            lines.push(`  created ${new Date(created).toISOString()}${by}${tagged}`);
+        }
+        if(description) {
+            lines.push(`  ${description}`);
+        }
+        return lines.join('\n');
+    }
+
+    async handleWriteFile(args) {
+        const { path, content, encoding = 'utf8', workspace_id = 'default', window_name = 'main', pane } = args;
+        const sessionId = this._getSessionId(workspace_id);
+
+        await this.tmuxManager.createSession(sessionId);
+        const result = await this.tmuxManager.writeFile(sessionId, window_name, path, content, { encoding, pane });
+
+        return { content: [{ type: 'text', text: `Wrote ${result.bytes} bytes to ${result.path}` }] };
+    }
+
+    async handleReadFile(args) {
+        const { path, encoding = 'utf8', workspace_id = 'default', window_name = 'main', pane } = args;
+        const sessionId = this._getSessionId(workspace_id);
+
+        await this.tmuxManager.createSession(sessionId);
+        const result = await this.tmuxManager.readFile(sessionId, window_name, path, { encoding, pane });
+
+        return { content: [{ type: 'text', text: result.content }] };
+    }
+
     async handleScrollbackSize(args) {
         const { workspace_id = 'default', lines } = args;
         const sessionId = this._getSessionId(workspace_id);
@@ -367,14 +1532,50 @@ class TmuxMcpServer {
             switch(name) {
                 case 'run_command':
                     return await this.handleRunCommand(args);
+                case 'run_sequence':
+                    return await this.handleRunSequence(args);
+                case 'run_batch':
+                    return await this.handleRunBatch(args);
                 case 'get_output':
                     return await this.handleGetOutput(args);
+                case 'wait_for_output':
+                    return await this.handleWaitForOutput(args);
+                case 'wait_for_idle':
+                    return await this.handleWaitForIdle(args);
                 case 'send_input':
                     return await this.handleSendInput(args);
                 case 'send_keys':
                     return await this.handleSendKeys(args);
+                case 'send_signal':
+                    return await this.handleSendSignal(args);
+                case 'window_status':
+                    return await this.handleWindowStatus(args);
+                case 'resource_usage':
+                    return await this.handleResourceUsage(args);
+                case 'command_history':
+                    return await this.handleCommandHistory(args);
+                case 'write_file':
+                    return await this.handleWriteFile(args);
+                case 'read_file':
+                    return await this.handleReadFile(args);
                 case 'scrollback_size':
                     return await this.handleScrollbackSize(args);
+                case 'create_window':
+                    return await this.handleCreateWindow(args);
+                case 'close_window':
+                    return await this.handleCloseWindow(args);
+                case 'rename_window':
+                    return await this.handleRenameWindow(args);
+                case 'split_window':
+                    return await this.handleSplitWindow(args);
+                case 'select_layout':
+                    return await this.handleSelectLayout(args);
+                case 'load_workspace':
+                    return await this.handleLoadWorkspace(args);
+                case 'snapshot_workspace':
+                    return await this.handleSnapshotWorkspace(args);
+                case 'restore_workspace':
+                    return await this.handleRestoreWorkspace(args);
                 case 'create_workspace':
                     return await this.handleCreateWorkspace(args);
                 case 'destroy_workspace':
@@ -437,26 +1638,88 @@ Running a command:
 2. Use get_output to check the output
 3. Use send_keys(['C-c']) to stop if needed
 
+Running a short command to completion:
+1. Use run_command with wait: true (and optionally timeout_ms)
+2. The result contains only that command's output and its exit code
+3. Without timeout_ms the wait gives up after 30s and the command keeps running - follow it with get_output
+4. With timeout_ms a command that overruns is stopped (C-c, then SIGTERM, then SIGKILL)
+
+Running several steps in order:
+1. Use run_sequence with commands like ["npm ci", "npm run build", "npm test"]
+2. It stops at the first failing step (set stop_on_failure: false to run them all)
+3. The summary lists each step's exit code, duration and last lines of output
+
+Running independent commands in parallel:
+1. Use run_batch with [{window_name: "lint", command: "npm run lint"}, {window_name: "test", command: "npm test"}]
+2. Each command gets its own window and they all run at once
+3. The report lists each window's exit code, duration and last lines of output
+
+Setting up a window for a project:
+1. Use create_window (or run_command) with cwd, env and shell to start a window in the right directory and environment
+2. These options only apply when the window is created - an existing window keeps its own
+
+Creating or reading files:
+1. Use write_file instead of typing a heredoc with send_input - nothing needs quoting
+2. Use read_file instead of cat to keep the file out of the scrollback
+3. Relative paths start from the window's current directory; use encoding: "base64" for binary files
+
 Interactive sessions:
 1. Start with run_command (e.g., 'python3', 'node', 'mysql')
-2. Use send_input to send commands
+2. Use send_input to send commands (mode: 'paste' for multi-line blocks)
 3. Use get_output to see results
 4. Use send_keys(['C-d']) or send_input('exit') to quit
 
+Checking on a window without reading its output:
+1. Use window_status to see whether the shell is idle or which command is running
+2. It also shows the current directory, the pane size and when the window last produced output
+
+Waiting for commands without a predictable "done" line:
+1. Start with run_command (e.g., 'npm install', 'make')
+2. Use wait_for_idle to block until the output settles
+3. Check whether the window is back at the shell prompt, then use get_output
+
 Monitoring long-running processes:
 1. Start with run_command (e.g., 'npm run dev', 'docker compose up')
-2. Periodically use get_output to check status
-3. Use send_keys(['C-c']) to stop when done
+2. Use wait_for_output with a pattern like "ready|listening" (new_only: true) to block until it is up
+3. Periodically use get_output to check status
+4. Use send_keys(['C-c']) to stop when done, or send_signal('SIGTERM') if it ignores C-c
+5. Use send_signal('SIGHUP') to make servers that support it reload their configuration
+
+Reading the output of one command:
+1. Every run_command marks where its output starts and ends
+2. Use get_output with command: "last" (or "1", "2", "-2", ...) to get just that block
+3. Search results are labelled with the command each match belongs to
+
+Reading only new output:
+1. Every get_output result ends with a "cursor: ..." line
+2. Pass that cursor back as since to get only the lines added after that read
+3. Combine since with search to search only the new output
 
 Searching output:
 1. Use get_output with search parameter
 2. Pattern uses JavaScript regex syntax (no delimiters)
 3. Example: search: { pattern: "error|warning", context_lines: 3 }
 
+Watching two things in one window:
+1. Use split_window (e.g. shell: "tail -f server.log") to add a pane next to the active one
+2. Pass pane with the returned index or %id to any tool to target that pane instead of the active one
+3. Use select_layout (e.g. "even-horizontal", "tiled") to rearrange the panes
+
+Setting up a standard workspace:
+1. Describe its windows, panes, directories, environment and startup commands in a tmuxp or tmuxinator YAML file
+2. Use load_workspace with its path (or pass the definition inline) to create everything in one call
+3. Loading it again only adds what's missing, e.g. after closing a window
+
+Surviving a tmux server restart or reboot:
+1. Use snapshot_workspace (scrollback: true to keep the output too) before stopping, or whenever the workspace is set up
+2. After the restart, use restore_workspace to recreate the windows and panes in their directories and layout
+3. Add relaunch: true to run each pane's last command again
+
 Managing multiple tasks:
 1. Create different workspaces for different projects
 2. Use window_name to organize related commands
-3. Use list_workspaces to see what's running`,
+3. Use list_workspaces to see what's running
+4. Use rename_window and close_window to tidy up windows that are done`,
                 }],
             };
         }
@@ -477,58 +1740,99 @@ Managing multiple tasks:
         });
     }
 
-    searchOutput(output, searchOptions) {
-        const { pattern, context_lines = 2, include_line_numbers = true } = searchOptions;
+    // lineNumbers maps lines of a joined or cleaned-up output back to the scrollback for display.
+    // A single pattern gives its matches as they are; patterns give a section for each one.
+    searchOutput(output, searchOptions, { fromLine = 0, toLine = Infinity, blocks = [], lineNumbers = null } = {}) {
+        const {
+            pattern, patterns, flags = '', invert = false, max_matches, from_end = false,
+            context_lines = 2, before = context_lines, after = context_lines, include_line_numbers = true
+        } = searchOptions;
 
         try {
-            const regex = new RegExp(pattern, 'g');
+            if((pattern === undefined) === (patterns === undefined) || _.isEmpty(patterns ?? [pattern])) {
+                throw new Error('Give either pattern or a non-empty list of patterns');
+            }
+            if(max_matches !== undefined && max_matches < 1) {
+                throw new Error('max_matches must be at least 1');
+            }
+
+            // Each line is tested on its own, so the global and sticky flags would only carry lastIndex over
+            const searches = _.map(patterns ?? [{ pattern }], search => ({
+                label: search.label ?? search.pattern,
+                regex: new RegExp(search.pattern, _.replace(flags, /[gy]/g, ''))
+            }));
             const lines = _.split(output, '\n');
-            const matches = [];
-            const matchedLines = new Set();
-
-            // Find all matching lines
-            _.forEach(lines, (line, index) => {
-                if(regex.test(line)) {
-                    // Add context lines
-                    for(let i = Math.max(0, index - context_lines);
-                        i <= Math.min(lines.length - 1, index + context_lines);
-                        i++) {
-                        matchedLines.add(i);
-                    }
+            const searched = _.filter(_.range(lines.length), index => index >= fromLine && index < toLine);
+            const format = { lines, before, after, blocks, lineNumbers, include_line_numbers, from_end, max_matches };
+
+            if(invert || patterns === undefined) {
+                const hits = _.filter(searched, index => _.some(searches, ({ regex }) => regex.test(lines[index])) !== invert);
+                const { text, shown } = this._formatMatches(hits, format);
+                if(!text) {
+                    return 'No matches found';
                 }
-                // Reset regex lastIndex for next line
-                regex.lastIndex = 0;
-            });
-
-            // Build result with grouping
-            const sortedLines = Array.from(matchedLines).sort((a, b) => a - b);
-            let lastLine = -1;
-            let currentGroup = [];
+                return shown < hits.length ? `${text}\n(showing the ${from_end ? 'last' : 'first'} ${shown} of ${hits.length} matches)` : text;
+            }
 
-            _.forEach(sortedLines, (lineNum) => {
-                if(lastLine >= 0 && lineNum - lastLine > 1) {
-                    // Gap detected, flush current group
-                    matches.push(currentGroup.join('\n'));
-                    currentGroup = [];
+            return _.map(searches, ({ label, regex }) => {
+                const hits = _.filter(searched, index => regex.test(lines[index]));
+                const { text, shown } = this._formatMatches(hits, format);
+                if(!text) {
+                    return `=== ${label}: no matches ===`;
                 }
+                const count = shown < hits.length ? `${shown} of ${hits.length}` : `${hits.length}`;
+                return `=== ${label}: ${count} ${hits.length === 1 ? 'match' : 'matches'} ===\n${text}`;
+            }).join('\n\n');
+        } catch(error) {
+            return `Search error: ${error.message}`;
+        }
+    }
 
-                const lineContent = lines[lineNum];
-                const lineStr = include_line_numbers
-                    ? `${lineNum + 1}: ${lineContent}`
-                    : lineContent;
-                currentGroup.push(lineStr);
-                lastLine = lineNum;
-            });
+    // Groups matching lines with their context, separated by --- where there is a gap. from_end lists
+    // the groups newest first and keeps the last max_matches hits rather than the first.
+    _formatMatches(hits, { lines, before, after, blocks, lineNumbers, include_line_numbers, from_end, max_matches }) {
+        const shown = max_matches === undefined ? hits : (from_end ? _.takeRight : _.take)(hits, max_matches);
+        const matchedLines = new Set();
 
-            // Flush last group
-            if(currentGroup.length > 0) {
-                matches.push(currentGroup.join('\n'));
+        _.forEach(shown, (index) => {
+            for(let i = Math.max(0, index - before); i <= Math.min(lines.length - 1, index + after); i++) {
+                matchedLines.add(i);
             }
+        });
 
-            return matches.join('\n---\n') || 'No matches found';
-        } catch(error) {
-            return `Search error: ${error.message}`;
+        const groups = [];
+        let lastLine = -1;
+        let currentGroup = [];
+
+        _.forEach(Array.from(matchedLines).sort((a, b) => a - b), (lineNum) => {
+            if(lastLine >= 0 && lineNum - lastLine > 1) {
+                // Gap detected, flush current group
+                groups.push(currentGroup.join('\n'));
+                currentGroup = [];
+            }
+
+            // Label each group with the run_command block it starts in
+            if(currentGroup.length === 0 && include_line_numbers) {
+                const block = _.findLast(blocks, b => b.from <= lineNum && lineNum < b.to);
+                if(block) {
+                    currentGroup.push(this._describeCommandBlock(block));
+                }
+            }
+
+            const lineContent = lines[lineNum];
+            const lineStr = include_line_numbers
+                ? `${(lineNumbers ? lineNumbers[lineNum] : lineNum) + 1}: ${lineContent}`
+                : lineContent;
+            currentGroup.push(lineStr);
+            lastLine = lineNum;
+        });
+
+        // Flush last group
+        if(currentGroup.length > 0) {
+            groups.push(currentGroup.join('\n'));
         }
+
+        return { text: (from_end ? _.reverse(groups) : groups).join('\n---\n'), shown: shown.length };
     }
 
     setupResourceHandlers() {
@@ -546,6 +1850,10 @@ Managing multiple tasks:
     // Ensure initialization is complete before starting
         await this.tmuxManager.ensureInitialized();
 
+        for(const filePath of this.workspaceFiles) {
+            console.error(await this.loadWorkspaceFile(filePath));
+        }
+
         const transport = new StdioServerTransport();
         await this.server.connect(transport);
         console.error('Tmux MCP Server running on stdio');
@@ -1,10 +1,328 @@
 import { spawn } from 'child_process';
+import { createHash, randomBytes } from 'crypto';
+import { lstat, mkdir, readFile, realpath, rename, stat, writeFile } from 'fs/promises';
+import { homedir, hostname, constants as osConstants, userInfo } from 'os';
+import path from 'path';
 import _ from 'lodash';
 
+import { stripAnsi } from './ansi.js';
+
 // Constants
 const DEFAULT_TMUX_TIMEOUT = 10000; // 10 seconds
 const DEFAULT_SCROLLBACK_SIZE = 50000; // 50k lines for new sessions
+const DEFAULT_COMMAND_TIMEOUT = 30000; // 30 seconds to wait for a command to finish
+const DEFAULT_POLL_INTERVAL = 250; // ms between pane captures while waiting
+const DEFAULT_QUIET_PERIOD = 2000; // ms without output before a window counts as idle
+const DEFAULT_INTERRUPT_GRACE = 2000; // ms to let a timed out command stop before escalating
+const INTERRUPT_STEPS = ['C-c', 'SIGTERM', 'SIGKILL'];
+const LITERAL_CHUNK_SIZE = 2048; // characters per send-keys -l; tmux caps a command at 16 KB
+const INPUT_MODES = ['literal', 'paste'];
+const SPLIT_DIRECTIONS = { horizontal: '-h', vertical: '-v' }; // side by side, or one above the other
+const SIZE_PATTERN = /^\d+%?$/;
+const DEFAULT_MAX_FILE_SIZE = 1024 * 1024; // bytes read_file/write_file move in one call
+const FILE_ENCODINGS = ['utf8', 'base64'];
+const BASE64_PATTERN = /^[\da-z+/]*={0,2}$/i;
+const ENV_NAME_PATTERN = /^[a-z_]\w*$/i;
+const CURSOR_ANCHOR_LINES = 3; // lines above an output cursor used to find it again
+const MAX_COMMAND_LOG_ENTRIES = 1000; // oldest command history entries are dropped beyond this
+const MAX_WINDOW_COMMAND_RECORDS = 100; // command records kept on each window, oldest dropped first
+const MAX_RECORDED_COMMAND_LENGTH = 1024; // characters of a command kept in its record; tmux caps a command at 16 KB
+const COMMAND_RECORD_PREFIX = '@mcp-command-';
+const SHELL_COMMANDS = ['bash', 'zsh', 'sh', 'dash', 'ksh', 'fish', 'tcsh', 'csh', 'nu', 'pwsh'];
+// Shells whose syntax the sentinel wrapper doesn't fit, so run_command types commands into them as they are
+const NON_POSIX_SHELLS = ['fish', 'nu', 'pwsh', 'tcsh', 'csh', 'xonsh', 'elvish'];
 const PANE_DETECTION_FORMAT = '#{pane_tty}::#{session_name}::#{window_name}';
+// The path goes last so a '::' inside it can't shift the other fields. Tabs would be safer,
+// but tmux replaces control characters with '_' for clients without a UTF-8 locale.
+const PANE_STATUS_FIELDS = [
+    'window_name', 'pane_index', 'pane_id', 'pane_active', 'pane_current_command', 'pane_pid',
+    'pane_dead', 'pane_dead_status', 'pane_width', 'pane_height', 'cursor_x', 'cursor_y',
+    'history_size', 'window_activity', 'pane_current_path'
+];
+const PANE_STATUS_FORMAT = _.map(PANE_STATUS_FIELDS, field => `#{${field}}`).join('::');
+// Free text goes last for the same reason as the path above
+const WORKSPACE_METADATA_FORMAT = '#{session_created}::#{@mcp-created}::#{@mcp-owner}::#{@mcp-tags}::#{@mcp-description}';
+const SNAPSHOT_PANE_FORMAT = '#{window_name}::#{window_layout}::#{pane_index}::#{pane_id}::#{pane_active}::#{pane_current_path}';
+const SNAPSHOT_VERSION = 1;
+const START_SENTINEL_PATTERN = /__MCP_START_([0-9a-f]{8})__/;
+const END_SENTINEL_PATTERN = /__MCP_END_([0-9a-f]{8}):(\d+)(?::(\d+))?__/;
+const START_SENTINEL_LINE = /^__MCP_START_[0-9a-f]{8}__$/;
+const END_SENTINEL_LINE = /^__MCP_END_[0-9a-f]{8}:\d+(?::\d+)?__$/;
+// The printf format strings as the shell echoes the wrapped command line
+const WRAPPER_START = '__MCP_START_%s__';
+const WRAPPER_END = '__MCP_END_%s:';
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// tmux treats an argument ending in ';' as a command separator, so escape it
+function escapeKey(key) {
+    return _.endsWith(key, ';') && !_.endsWith(key, '\\;') ? `${key.slice(0, -1)}\\;` : key;
+}
+
+// tmux strips one backslash before a trailing ';', so always add one to keep literal text intact
+function escapeLiteral(text) {
+    return _.endsWith(text, ';') ? `${text.slice(0, -1)}\\;` : text;
+}
+
+// The printf format strings keep the rendered sentinels out of the echoed command line,
+// so only the shell's own output can match them. SGR 8 (conceal) hides them on screen.
+// The command goes through eval as a single-quoted string, so a trailing comment, a `\;` or a
+// heredoc in it can't swallow or break the end sentinel's printf. The end sentinel starts on a line
+// of its own, even after output without a trailing newline, so it isn't split when the line wraps.
+// The leading space keeps the wrapped line out of the history of a shell set to ignore lines that
+// start with one (HISTCONTROL=ignorespace in bash, HIST_IGNORE_SPACE in zsh).
+function wrapWithSentinels(command, id) {
+    // A heredoc's closing delimiter only counts with a newline after it
+    const body = _.includes(command, '\n') && !_.endsWith(command, '\n') ? `${command}\n` : command;
+    const quoted = `'${_.replace(body, /'/g, '\'\\\'\'')}'`;
+    const start = `printf '\\033[8m__MCP_START_%s__\\033[0m\\n' ${id}`;
+    // $? expands before the date substitution, and the epoch seconds date the command's end
+    const end = `printf '\\033[8m\\n__MCP_END_%s:%d:%s__\\033[0m\\n' ${id} $? "$(date +%s)"`;
+    return ` ${start}; eval ${quoted}; ${end}`;
+}
+
+// Arguments shared by new-session and new-window; the shell command has to come last
+function windowOptionArgs({ cwd, env, shell } = {}) {
+    const args = [];
+    if(cwd !== undefined) {
+        args.push('-c', cwd);
+    }
+    _.forEach(env, (value, name) => {
+        if(!ENV_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid environment variable name: ${name}`);
+        }
+        args.push('-e', `${name}=${value}`);
+    });
+    if(shell !== undefined) {
+        args.push(shell);
+    }
+    return args;
+}
+
+function defaultStateDir() {
+    return path.join(process.env.XDG_STATE_HOME || path.join(homedir(), '.local', 'state'), 'tmux-mcp-server');
+}
+
+function defaultOwner() {
+    try {
+        return `${userInfo().username}@${hostname()}`;
+    } catch{
+        // No passwd entry for this uid
+        return hostname();
+    }
+}
+
+// show-options quotes values with shell-style escapes, so records are stored in a form that needs none
+function encodeCommandRecord(entry) {
+    const record = _.omit(entry, ['sessionId', 'windowName']);
+    if(record.command.length > MAX_RECORDED_COMMAND_LENGTH) {
+        record.command = `${record.command.slice(0, MAX_RECORDED_COMMAND_LENGTH)}…`;
+    }
+    return Buffer.from(JSON.stringify(record)).toString('base64url');
+}
+
+function decodeCommandRecord(value) {
+    try {
+        return JSON.parse(Buffer.from(value, 'base64url').toString());
+    } catch{
+        return null;
+    }
+}
+
+function checkFileEncoding(encoding) {
+    if(!FILE_ENCODINGS.includes(encoding)) {
+        throw new Error(`Unknown file encoding: ${encoding} (expected ${FILE_ENCODINGS.join(' or ')})`);
+    }
+}
+
+// Accepts "TERM", "sigterm" or "SIGTERM"
+function normalizeSignal(signal) {
+    const name = _.toUpper(signal);
+    const fullName = _.startsWith(name, 'SIG') ? name : `SIG${name}`;
+    if(!_.has(osConstants.signals, fullName)) {
+        throw new Error(`Unknown signal: ${signal}`);
+    }
+    return fullName;
+}
+
+// false when the group exited between the lookup and the signal
+function killProcessGroup(pgid, signal) {
+    try {
+        process.kill(-pgid, signal);
+        return true;
+    } catch(error) {
+        if(error.code !== 'ESRCH') {
+            throw error;
+        }
+        return false;
+    }
+}
+
+function isShellCommand(command) {
+    // Login shells can report as e.g. "-zsh"
+    return SHELL_COMMANDS.includes(_.trimStart(command, '-'));
+}
+
+function parsePaneStatus(line) {
+    const values = _.split(line, '::');
+    const status = _.zipObject(PANE_STATUS_FIELDS, [
+        ...values.slice(0, PANE_STATUS_FIELDS.length - 1),
+        values.slice(PANE_STATUS_FIELDS.length - 1).join('::')
+    ]);
+    const toInt = value => parseInt(value, 10);
+
+    return {
+        windowName: status.window_name,
+        paneIndex: toInt(status.pane_index),
+        paneId: status.pane_id,
+        active: status.pane_active === '1',
+        command: status.pane_current_command,
+        pid: toInt(status.pane_pid),
+        path: status.pane_current_path,
+        dead: status.pane_dead === '1',
+        deadStatus: status.pane_dead_status === '' ? null : toInt(status.pane_dead_status),
+        width: toInt(status.pane_width),
+        height: toInt(status.pane_height),
+        cursorX: toInt(status.cursor_x),
+        cursorY: toInt(status.cursor_y),
+        historySize: toInt(status.history_size),
+        lastActivity: toInt(status.window_activity) * 1000,
+        atShell: isShellCommand(status.pane_current_command)
+    };
+}
+
+function hashLines(lines) {
+    return createHash('sha1').update(lines.join('\n')).digest('hex').slice(0, 12);
+}
+
+// Cursors are opaque to clients: the absolute line, a hash of the lines just above it,
+// and a hash of the cursor line itself so an untouched prompt isn't reported as new output
+function encodeCursor(line, anchorLines, cursorLine) {
+    const cursor = { line, size: anchorLines.length, anchor: hashLines(anchorLines), current: hashLines([cursorLine]) };
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(token) {
+    try {
+        const cursor = JSON.parse(Buffer.from(token, 'base64url').toString());
+        if(Number.isInteger(cursor.line) && Number.isInteger(cursor.size) && _.isString(cursor.anchor) && _.isString(cursor.current)) {
+            return cursor;
+        }
+    } catch{
+        // Fall through to the error below
+    }
+    throw new Error(`Invalid output cursor: ${token}`);
+}
+
+// Once history-limit is reached, old lines drop off the top and everything moves up,
+// so look for the anchor at or above the recorded line. -1 means it scrolled away.
+function locateCursor(lines, { line, size, anchor }) {
+    for(let candidate = Math.min(line, lines.length); candidate >= size; candidate--) {
+        if(hashLines(lines.slice(candidate - size, candidate)) === anchor) {
+            return candidate;
+        }
+    }
+    return -1;
+}
+
+// Walks a capture taken with -J alongside one taken with -N, which keeps the spaces at the point a
+// line wrapped, to find the line each joined line starts on
+function mapJoinedLines(joinedLines, unjoinedLines) {
+    const starts = [];
+    let next = 0;
+
+    _.forEach(joinedLines, (joined) => {
+        starts.push(next);
+        const length = _.trimEnd(joined).length;
+        let text = unjoinedLines[next] ?? '';
+        next++;
+        while(_.trimEnd(text).length < length && next < unjoinedLines.length) {
+            text += unjoinedLines[next];
+            next++;
+        }
+    });
+
+    return starts;
+}
+
+// The lines run_command adds to the scrollback: the echoed command line with its printf wrapper, the
+// sentinels and the empty line the newline before an end sentinel leaves after output that ended with
+// one. Takes lines without escapes, best joined, and returns their indexes in order.
+function findMarkerLines(lines) {
+    const markers = [];
+
+    for(let index = 0; index < lines.length; index++) {
+        const line = _.trim(lines[index]);
+        if(START_SENTINEL_LINE.test(line)) {
+            markers.push(index);
+        } else if(END_SENTINEL_LINE.test(line)) {
+            if(index > 0 && _.trim(lines[index - 1]) === '' && _.last(markers) !== index - 1) {
+                markers.push(index - 1);
+            }
+            markers.push(index);
+        } else if(_.includes(line, WRAPPER_START)) {
+            // A multi-line command carries the wrapper over several lines. One that never reached its
+            // end format string wasn't run, so only its first line is hidden.
+            const end = _.findIndex(lines, next => _.includes(next, WRAPPER_END) || START_SENTINEL_LINE.test(_.trim(next)), index);
+            const last = end !== -1 && _.includes(lines[end], WRAPPER_END) ? end : index;
+            markers.push(..._.range(index, last + 1));
+            index = last;
+        }
+    }
+
+    return markers;
+}
+
+// Split the scrollback into the blocks delimited by run_command sentinels, in order. The lines should
+// come from a joined capture, where a sentinel in a pane too narrow for it is still on one line.
+function findSentinelBlocks(lines) {
+    const blocks = [];
+
+    _.forEach(lines, (line, index) => {
+        const start = line.match(START_SENTINEL_PATTERN);
+        if(start) {
+            blocks.push({ id: start[1], start: index, end: null, exitCode: null, ended: null });
+            return;
+        }
+
+        const end = line.match(END_SENTINEL_PATTERN);
+        if(end) {
+            let block = _.findLast(blocks, { id: end[1] });
+            if(!block) {
+                // The start sentinel has scrolled out of history
+                block = { id: end[1], start: -1, end: null, exitCode: null, ended: null };
+                blocks.push(block);
+            }
+            block.end = index;
+            block.exitCode = parseInt(end[2], 10);
+            block.ended = end[3] ? parseInt(end[3], 10) * 1000 : null;
+        }
+    });
+
+    const markers = new Set(findMarkerLines(lines));
+    _.forEach(blocks, (block, index) => {
+        // A command stopped with C-c never prints its end sentinel, so its block runs until the next one
+        const stop = block.end ?? blocks[index + 1]?.start ?? lines.length;
+        const outputLines = _.filter(_.range(block.start + 1, stop), line => !markers.has(line));
+        block.output = _.trimEnd(_.map(outputLines, line => lines[line]).join('\n'), '\n');
+    });
+
+    return blocks;
+}
+
+function parseCommandResult(history, id) {
+    const lines = _.split(history, '\n');
+    const block = _.findLast(findSentinelBlocks(lines), { id });
+
+    if(!block) {
+        // Nothing of the command is visible yet, or all of its output outran the scrollback
+        return { output: _.trimEnd(history, '\n'), exitCode: null };
+    }
+
+    return { output: block.output, exitCode: block.exitCode };
+}
 
 async function defaultGetTTYForPid(pid) {
     try {
@@ -24,13 +342,45 @@ async function defaultGetTTYForPid(pid) {
     }
 }
 
+async function defaultListProcesses() {
+    const { default: systeminformation } = await import('systeminformation');
+    const { list } = await systeminformation.processes();
+    return list;
+}
+
+// The pane's shell sees the terminal's foreground process group as its tpgid
+function defaultGetForegroundProcessGroup(pid) {
+    return new Promise((resolve) => {
+        const ps = spawn('ps', ['-o', 'tpgid=', '-p', `${pid}`], { stdio: ['ignore', 'pipe', 'ignore'] });
+        let stdout = '';
+
+        ps.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+        ps.on('error', () => resolve(null));
+        ps.on('close', () => {
+            const pgid = parseInt(_.trim(stdout), 10);
+            resolve(pgid > 0 ? pgid : null);
+        });
+    });
+}
+
 class TmuxManager {
     constructor(options = {}) {
-        this.sessionMetadata = new Map();
         this.parentSession = null;
         this.parentWindow = null;
         this.isUsingParentSession = false;
         this.getTTYForPid = options.getTTYForPid || defaultGetTTYForPid;
+        this.getForegroundProcessGroup = options.getForegroundProcessGroup || defaultGetForegroundProcessGroup;
+        this.listProcesses = options.listProcesses || defaultListProcesses;
+        this.pollInterval = options.pollInterval ?? DEFAULT_POLL_INTERVAL;
+        this.interruptGrace = options.interruptGrace ?? DEFAULT_INTERRUPT_GRACE;
+        this.maxFileSize = options.maxFileSize ?? DEFAULT_MAX_FILE_SIZE;
+        this.strictWindows = options.strictWindows ?? false; // reads from unknown windows fail instead of creating them
+        this.commandLog = new Map(); // command id -> history entry; the records on the windows are shared
+        this.commandTimers = new Map(); // session:window.pane -> timeout of the last command started there
+        this.stateDir = options.stateDir ?? defaultStateDir();
+        this.owner = options.owner ?? defaultOwner(); // recorded on the workspaces this server creates
         this._detectionPromise = this._detectParentSession();
     }
 
@@ -121,11 +471,15 @@ class TmuxManager {
         await this._detectionPromise;
     }
 
-    async _runTmuxCommand(args, timeout = DEFAULT_TMUX_TIMEOUT) {
+    async _runTmuxCommand(args, timeout = DEFAULT_TMUX_TIMEOUT, input = undefined) {
         return new Promise((resolve, reject) => {
             const process = spawn('tmux', args, { stdio: ['pipe', 'pipe', 'pipe'] });
             let stdout = '', stderr = '', timeoutId = null;
 
+            if(input !== undefined) {
+                process.stdin.end(input);
+            }
+
             if(timeout > 0) {
                 timeoutId = setTimeout(() => {
                     process.kill('SIGTERM');
@@ -172,6 +526,28 @@ class TmuxManager {
         });
     }
 
+    _getTarget(sessionId, windowName) {
+        const targetSession = this.isUsingParentSession ? this.parentSession : `${sessionId}-MCP`;
+        return `${targetSession}:${windowName}`;
+    }
+
+    // pane is an index ("1") or id ("%3"); without one, tmux picks the window's active pane
+    async _resolveTarget(sessionId, windowName, pane = undefined) {
+        const target = this._getTarget(sessionId, windowName);
+        if(pane === undefined) {
+            return target;
+        }
+
+        // tmux falls back to some other pane for an index or id that isn't in the window, so look it up
+        const result = await this._runTmuxCommand(['list-panes', '-t', target, '-F', '#{pane_index} #{pane_id}']);
+        const panes = _.map(_.compact(_.split(result.stdout, '\n')), line => _.split(line, ' '));
+        const match = _.find(panes, ids => _.includes(ids, String(pane)));
+        if(!match) {
+            throw new Error(`Pane not found: ${pane} in window ${windowName}`);
+        }
+        return match[1];
+    }
+
     async sessionExists(sessionId) {
         // If using parent session, only check if the requested session matches
         if(this.isUsingParentSession) {
@@ -198,19 +574,22 @@ class TmuxManager {
         }
     }
 
-    async createSession(sessionId = 'default') {
+    // options (cwd, env, shell) apply to the main window; returns whether the session was created
+    async createSession(sessionId = 'default', options = {}) {
+        const optionArgs = windowOptionArgs(options);
+
         // If using parent session, we don't create new sessions
         if(this.isUsingParentSession) {
-            return;
+            return false;
         }
 
         // If the session doesn't exist, create it with a main window
         if(await this.sessionExists(sessionId)) {
-            return;
+            return false;
         }
 
         // Create session with a main window
-        await this._runTmuxCommand(['new-session', '-d', '-s', `${sessionId}-MCP`, '-n', 'main']);
+        await this._runTmuxCommand(['new-session', '-d', '-s', `${sessionId}-MCP`, '-n', 'main', ...optionArgs]);
 
         // Set a reasonable default scrollback size (50,000 lines) if current limit is less
         // This ensures adequate scrollback history for debugging and reviewing command output
@@ -224,35 +603,133 @@ class TmuxManager {
             console.warn(`Failed to set default scrollback size for session ${sessionId}: ${error.message}`);
         }
 
-        this.sessionMetadata.set(sessionId, {
-            id: sessionId,
-            created: Date.now(),
-            windows: ['main']
-        });
+        // Kept on the session itself so that every server using this tmux server sees it
+        await this._runTmuxCommand(['set-option', '-t', `${sessionId}-MCP`, '@mcp-created', String(Date.now())]);
+        await this._runTmuxCommand(['set-option', '-t', `${sessionId}-MCP`, '@mcp-owner', this.owner]);
+        await this._rememberWindowOptions(sessionId, 'main', options);
+        return true;
     }
 
-    async createWindow(sessionId, windowName) {
-        // Ensure session exists
-        await this.createSession(sessionId);
+    // options (cwd, env, shell) only apply if the window is created; returns whether it was
+    async createWindow(sessionId, windowName, options = {}) {
+        // Check the options before anything is created
+        const optionArgs = windowOptionArgs(options);
+
+        // Ensure session exists; a new session's main window is started with the options if it's the one asked for
+        const isMain = windowName === 'main';
+        if(await this.createSession(sessionId, isMain ? options : {}) && isMain) {
+            return true;
+        }
 
         // Check if window already exists
         if(await this.windowExists(sessionId, windowName)) {
-            return;
+            return false;
         }
 
         // Create new window
         const targetSession = this.isUsingParentSession ? this.parentSession : `${sessionId}-MCP`;
-        await this._runTmuxCommand(['new-window', '-t', targetSession, '-n', windowName]);
+        await this._runTmuxCommand(['new-window', '-t', targetSession, '-n', windowName, ...optionArgs]);
 
-        // Update metadata
-        if(!this.isUsingParentSession) {
-            const metadata = this.sessionMetadata.get(sessionId);
-            if(metadata && !metadata.windows.includes(windowName)) {
-                metadata.windows.push(windowName);
-            }
+        await this._rememberWindowOptions(sessionId, windowName, options);
+        return true;
+    }
+
+    // tmux can't report the environment a window was started with, so keep it on the window for snapshots
+    async _rememberWindowOptions(sessionId, windowName, options) {
+        const remembered = _.omitBy(_.pick(options, ['env', 'shell']), _.isEmpty);
+        if(!_.isEmpty(remembered)) {
+            await this._runTmuxCommand(['set-option', '-w', '-t', this._getTarget(sessionId, windowName), '@mcp-options', JSON.stringify(remembered)]);
+        }
+    }
+
+    async _getWindowOptions(sessionId, windowName) {
+        try {
+            return JSON.parse(await this._displayMessage(sessionId, windowName, '#{@mcp-options}'));
+        } catch{
+            return {};
+        }
+    }
+
+    // description and tags are replaced when given; an empty one removes them
+    async setWorkspaceMetadata(sessionId, metadata) {
+        const { description, tags } = metadata;
+        const badTag = _.find(tags, tag => !_.isString(tag) || tag === '' || _.includes(tag, ','));
+        if(badTag !== undefined) {
+            throw new Error(`Invalid tag: ${JSON.stringify(badTag)} (tags can't be empty or contain commas)`);
+        }
+        if(!await this.sessionExists(sessionId)) {
+            throw new Error(`Workspace not found: ${sessionId}`);
+        }
+
+        const values = _.omitBy({ '@mcp-description': description, '@mcp-tags': tags && tags.join(',') }, _.isUndefined);
+        for(const [option, value] of _.toPairs(values)) {
+            await this._runTmuxCommand(value === ''
+                ? ['set-option', '-u', '-t', `${sessionId}-MCP`, option]
+                : ['set-option', '-t', `${sessionId}-MCP`, option, value]);
+        }
+    }
+
+    async getWorkspaceMetadata(sessionId) {
+        const result = await this._runTmuxCommand(['display-message', '-p', '-t', `${sessionId}-MCP`, WORKSPACE_METADATA_FORMAT]);
+        const [sessionCreated, created, owner, tags, ...description] = _.split(_.trimEnd(result.stdout, '\n'), '::');
+
+        // Sessions from before metadata was kept only have tmux's own creation time, in seconds
+        return {
+            created: created ? parseInt(created, 10) : parseInt(sessionCreated, 10) * 1000,
+            owner: owner || null,
+            description: description.join('::') || null,
+            tags: _.compact(_.split(tags, ','))
+        };
+    }
+
+    // Reads go through here so that in strict mode a mistyped window name is an error
+    // rather than a new, empty window
+    async _openWindow(sessionId, windowName) {
+        if(!this.strictWindows) {
+            await this.createWindow(sessionId, windowName);
+            return;
+        }
+
+        if(!await this.windowExists(sessionId, windowName)) {
+            throw new Error(`Window not found: ${windowName}`);
         }
     }
 
+    async closeWindow(sessionId, windowName) {
+        if(this.isUsingParentSession && windowName === this.parentWindow) {
+            throw new Error(`Cannot close own window (${this.parentWindow})`);
+        }
+
+        if(!await this.windowExists(sessionId, windowName)) {
+            throw new Error(`Window not found: ${windowName}`);
+        }
+
+        // The window's options, and with them its command records, go with it
+        await this._runTmuxCommand(['kill-window', '-t', this._getTarget(sessionId, windowName)]);
+    }
+
+    async renameWindow(sessionId, windowName, newName) {
+        if(this.isUsingParentSession && windowName === this.parentWindow) {
+            throw new Error(`Cannot rename own window (${this.parentWindow})`);
+        }
+
+        if(!await this.windowExists(sessionId, windowName)) {
+            throw new Error(`Window not found: ${windowName}`);
+        }
+        if(await this.windowExists(sessionId, newName)) {
+            throw new Error(`Window already exists: ${newName}`);
+        }
+
+        await this._runTmuxCommand(['rename-window', '-t', this._getTarget(sessionId, windowName), newName]);
+
+        // The window keeps its command history under the new name; the records on it move by themselves
+        _.forEach([...this.commandLog.values()], (entry) => {
+            if(entry.sessionId === sessionId && entry.windowName === windowName) {
+                entry.windowName = newName;
+            }
+        });
+    }
+
     async destroySession(sessionId) {
         // Cannot destroy parent session
         if(this.isUsingParentSession) {
@@ -263,7 +740,6 @@ class TmuxManager {
             return;
         }
         await this._runTmuxCommand(['kill-session', '-t', `${sessionId}-MCP`]);
-        this.sessionMetadata.delete(sessionId);
     }
 
     async listSessions() {
@@ -312,16 +788,210 @@ class TmuxManager {
 
         for(const sessionId of sessions) {
             const windows = await this.listWindows(sessionId);
+            let metadata = {};
+            try {
+                metadata = await this.getWorkspaceMetadata(sessionId);
+            } catch{
+                // The session ended while we were listing
+            }
             workspaces.push({
                 workspace_id: sessionId,
-                windows: windows
+                windows: windows,
+                ...metadata
             });
         }
 
         return workspaces;
     }
 
-    async sendKeys(sessionId, windowName, keys) {
+    // options: direction (horizontal puts the new pane beside the old one), size in cells or "30%",
+    // pane to split, and cwd, env and shell as for createWindow
+    async splitWindow(sessionId, windowName, options = {}) {
+        const { direction = 'horizontal', size, pane, ...windowOptions } = options;
+        if(!_.has(SPLIT_DIRECTIONS, direction)) {
+            throw new Error(`Unknown split direction: ${direction} (expected horizontal or vertical)`);
+        }
+        if(size !== undefined && !SIZE_PATTERN.test(String(size))) {
+            throw new Error(`Invalid pane size: ${size} (expected a number of cells or a percentage like "30%")`);
+        }
+        if(this.isUsingParentSession && windowName === this.parentWindow) {
+            throw new Error(`Cannot split own window (${this.parentWindow})`);
+        }
+
+        const optionArgs = windowOptionArgs(windowOptions);
+        await this.createWindow(sessionId, windowName);
+
+        // -d keeps the active pane where it was, so tools without a pane still go to the same place
+        const args = ['split-window', '-d', SPLIT_DIRECTIONS[direction], '-t', await this._resolveTarget(sessionId, windowName, pane), '-P', '-F', '#{pane_index} #{pane_id}'];
+        if(size !== undefined) {
+            args.push('-l', String(size));
+        }
+        const result = await this._runTmuxCommand([...args, ...optionArgs]);
+
+        const [index, paneId] = _.split(_.trim(result.stdout), ' ');
+        return { paneIndex: parseInt(index, 10), paneId };
+    }
+
+    async selectLayout(sessionId, windowName, layout) {
+        if(this.isUsingParentSession && windowName === this.parentWindow) {
+            throw new Error(`Cannot change the layout of own window (${this.parentWindow})`);
+        }
+        if(!await this.windowExists(sessionId, windowName)) {
+            throw new Error(`Window not found: ${windowName}`);
+        }
+
+        await this._runTmuxCommand(['select-layout', '-t', this._getTarget(sessionId, windowName), layout]);
+    }
+
+    async _countPanes(sessionId, windowName) {
+        const result = await this._runTmuxCommand(['list-panes', '-t', this._getTarget(sessionId, windowName), '-F', '#{pane_index}']);
+        return _.compact(_.split(result.stdout, '\n')).length;
+    }
+
+    // definition is normalized by workspace-definition.js. Windows and panes that already exist are left
+    // as they are, so loading a definition again only adds what's missing and starts only its commands.
+    async loadWorkspace(sessionId, definition) {
+        const paneOptions = (window, pane) => _.omitBy({ cwd: pane.cwd, env: pane.env, shell: window.shell }, _.isUndefined);
+
+        // Check every window's options before anything is created
+        _.forEach(definition.windows, (window) => {
+            _.forEach(window.panes, pane => windowOptionArgs(paneOptions(window, pane)));
+        });
+
+        // A new workspace's "main" window becomes the definition's first window
+        const [first] = definition.windows;
+        let createdWithSession = null;
+        if(await this.createSession(sessionId, paneOptions(first, first.panes[0]))) {
+            if(first.name !== 'main') {
+                await this.renameWindow(sessionId, 'main', first.name);
+            }
+            createdWithSession = first.name;
+        }
+
+        const results = [];
+        for(const window of definition.windows) {
+            const [firstPane, ...otherPanes] = window.panes;
+            const created = window.name === createdWithSession || await this.createWindow(sessionId, window.name, paneOptions(window, firstPane));
+
+            // undefined is the active pane, which is the only one in a new window
+            const started = created ? [{ pane: undefined, commands: firstPane.commands }] : [];
+            const missing = created ? otherPanes : _.drop(window.panes, await this._countPanes(sessionId, window.name));
+            for(const pane of missing) {
+                const { paneIndex } = await this.splitWindow(sessionId, window.name, paneOptions(window, pane));
+                // Keep resizing so that later splits still have room
+                await this.selectLayout(sessionId, window.name, window.layout ?? 'tiled');
+                started.push({ pane: String(paneIndex), commands: pane.commands });
+            }
+            if(window.layout !== undefined) {
+                await this.selectLayout(sessionId, window.name, window.layout);
+            }
+
+            let commandsStarted = 0;
+            for(const { pane, commands } of started) {
+                for(const command of commands) {
+                    await this.startCommand(sessionId, window.name, command, { pane });
+                    commandsStarted++;
+                }
+            }
+
+            results.push({ windowName: window.name, created, panesAdded: missing.length, commandsStarted });
+        }
+
+        return results;
+    }
+
+    _snapshotPath(sessionId) {
+        return path.join(this.stateDir, `${encodeURIComponent(sessionId)}.json`);
+    }
+
+    // Saves each window's layout, env and shell, and each pane's directory, last run_command and
+    // optionally its scrollback, to a file in stateDir that outlives the tmux server
+    async snapshotWorkspace(sessionId, options = {}) {
+        const { scrollback = false } = options;
+        if(!this.isUsingParentSession && !await this.sessionExists(sessionId)) {
+            throw new Error(`Workspace not found: ${sessionId}`);
+        }
+
+        const targetSession = this.isUsingParentSession ? this.parentSession : `${sessionId}-MCP`;
+        const result = await this._runTmuxCommand(['list-panes', '-s', '-t', targetSession, '-F', SNAPSHOT_PANE_FORMAT]);
+        const panes = _.chain(result.stdout)
+            .split('\n')
+            .compact()
+            .map((line) => {
+                const [windowName, layout, index, paneId, active, ...cwd] = _.split(line, '::');
+                return { windowName, layout, index: String(index), paneId, active: active === '1', cwd: cwd.join('::') };
+            })
+            .reject(pane => this.isUsingParentSession && pane.windowName === this.parentWindow)
+            .value();
+
+        const windows = [];
+        for(const windowName of _.uniq(_.map(panes, 'windowName'))) {
+            const windowPanes = _.filter(panes, { windowName });
+            await this._syncCommandRecords(sessionId, windowName);
+            const commands = _.sortBy(_.filter([...this.commandLog.values()], { sessionId, windowName, source: 'run_command' }), 'started');
+
+            const snapshotPanes = [];
+            for(const pane of windowPanes) {
+                // Commands sent without a pane went to whichever pane was active
+                const last = _.findLast(commands, entry => (entry.pane === undefined ? pane.active : _.includes([pane.index, pane.paneId], String(entry.pane))));
+                snapshotPanes.push(_.omitBy({
+                    cwd: pane.cwd,
+                    command: last?.command,
+                    scrollback: scrollback ? await this.capturePane(sessionId, windowName, undefined, pane.paneId) : undefined
+                }, _.isUndefined));
+            }
+
+            windows.push({
+                name: windowName,
+                layout: windowPanes[0].layout,
+                ...await this._getWindowOptions(sessionId, windowName),
+                panes: snapshotPanes
+            });
+        }
+
+        const snapshot = { version: SNAPSHOT_VERSION, workspace_id: sessionId, created: new Date().toISOString(), windows };
+        const file = this._snapshotPath(sessionId);
+        // Write then rename so a crash can't leave half a snapshot in place of the last good one
+        await mkdir(this.stateDir, { recursive: true });
+        await writeFile(`${file}.tmp`, JSON.stringify(snapshot, null, 2));
+        await rename(`${file}.tmp`, file);
+
+        return { path: file, snapshot };
+    }
+
+    // Recreates the windows and panes of the last snapshot that are missing, like loadWorkspace;
+    // relaunch re-runs each pane's last command in the panes that are created
+    async restoreWorkspace(sessionId, options = {}) {
+        const { relaunch = false } = options;
+        const file = this._snapshotPath(sessionId);
+
+        let snapshot;
+        try {
+            snapshot = JSON.parse(await readFile(file, 'utf8'));
+        } catch(error) {
+            if(error.code === 'ENOENT') {
+                throw new Error(`No snapshot of workspace ${sessionId} in ${this.stateDir}`);
+            }
+            throw new Error(`Invalid snapshot ${file}: ${error.message}`);
+        }
+
+        const definition = {
+            windows: _.map(snapshot.windows, window => _.omitBy({
+                name: window.name,
+                layout: window.layout,
+                shell: window.shell,
+                panes: _.map(window.panes, pane => ({
+                    cwd: pane.cwd,
+                    env: window.env ?? {},
+                    commands: relaunch && pane.command !== undefined ? [pane.command] : []
+                }))
+            }, _.isUndefined))
+        };
+
+        return { path: file, created: snapshot.created, windows: await this.loadWorkspace(sessionId, definition) };
+    }
+
+    async sendKeys(sessionId, windowName, keys, pane = undefined) {
         // Safety check: don't send to our own window if using parent session
         if(this.isUsingParentSession && windowName === this.parentWindow) {
             throw new Error(`Cannot send keys to own window (${this.parentWindow})`);
@@ -330,26 +1000,490 @@ class TmuxManager {
         // Ensure window exists
         await this.createWindow(sessionId, windowName);
 
-        const targetSession = this.isUsingParentSession ? this.parentSession : `${sessionId}-MCP`;
-        const target = `${targetSession}:${windowName}`;
-        const args = ['send-keys', '-t', target, ...keys];
+        const args = ['send-keys', '-t', await this._resolveTarget(sessionId, windowName, pane), ..._.map(keys, escapeKey)];
         return await this._runTmuxCommand(args);
     }
 
-    async capturePane(sessionId, windowName = 'main', lines = undefined) {
+    async sendLiteral(sessionId, windowName, text, pane = undefined) {
+        if(this.isUsingParentSession && windowName === this.parentWindow) {
+            throw new Error(`Cannot send keys to own window (${this.parentWindow})`);
+        }
+
+        await this.createWindow(sessionId, windowName);
+
+        // Split on code points so a chunk boundary never falls inside a surrogate pair
+        const target = await this._resolveTarget(sessionId, windowName, pane);
+        for(const chunk of _.chunk(Array.from(text), LITERAL_CHUNK_SIZE)) {
+            await this._runTmuxCommand(['send-keys', '-l', '-t', target, escapeLiteral(chunk.join(''))]);
+        }
+    }
+
+    // paste-buffer -p wraps the text in bracketed-paste sequences when the program has asked
+    // for them, so REPLs and editors take a multi-line block as one paste instead of line by line
+    async pasteText(sessionId, windowName, text, pane = undefined) {
+        if(this.isUsingParentSession && windowName === this.parentWindow) {
+            throw new Error(`Cannot send keys to own window (${this.parentWindow})`);
+        }
+
+        await this.createWindow(sessionId, windowName);
+
+        // The text goes through stdin, so its size isn't limited by argv or tmux's message size.
+        // It is pasted in one piece because splitting it would split the bracketed paste too.
+        const target = await this._resolveTarget(sessionId, windowName, pane);
+        const buffer = `mcp-${randomBytes(4).toString('hex')}`;
+        await this._runTmuxCommand(['load-buffer', '-b', buffer, '-'], DEFAULT_TMUX_TIMEOUT, text);
+        await this._runTmuxCommand(['paste-buffer', '-p', '-d', '-b', buffer, '-t', target]);
+    }
+
+    async _getLaunchPath(sessionId, windowName, pane = undefined) {
+        // Read the directory before the command has a chance to change it
+        await this.createWindow(sessionId, windowName);
+        return await this.getCurrentPath(sessionId, windowName, pane);
+    }
+
+    _addToCommandLog(entry) {
+        this.commandLog.set(entry.id, entry);
+        if(this.commandLog.size > MAX_COMMAND_LOG_ENTRIES) {
+            this.commandLog.delete(_.head([...this.commandLog.keys()]));
+        }
+    }
+
+    async _logCommand(entry) {
+        const logged = { ended: null, exitCode: null, timedOut: false, stoppedBy: null, ...entry };
+        this._addToCommandLog(logged);
+        await this._saveCommandRecord(logged);
+    }
+
+    async _updateCommand(id, changes) {
+        const entry = this.commandLog.get(id);
+        if(entry) {
+            Object.assign(entry, changes);
+            await this._saveCommandRecord(entry);
+        }
+    }
+
+    // Each command is also recorded on its window as an @mcp-command-<id> option, so the records
+    // follow renames, go away with the window and are shared by every server using this tmux server
+    async _saveCommandRecord(entry) {
+        try {
+            await this._runTmuxCommand([
+                'set-option', '-w', '-t', this._getTarget(entry.sessionId, entry.windowName),
+                `${COMMAND_RECORD_PREFIX}${entry.id}`, encodeCommandRecord(entry)
+            ]);
+        } catch{
+            // The window was closed, and its history with it
+        }
+    }
+
+    async _loadCommandRecords(sessionId, windowName) {
+        let result;
+        try {
+            result = await this._runTmuxCommand(['show-options', '-w', '-t', this._getTarget(sessionId, windowName)]);
+        } catch{
+            return [];
+        }
+
+        return _.chain(result.stdout)
+            .split('\n')
+            .filter(line => _.startsWith(line, COMMAND_RECORD_PREFIX))
+            .map(line => decodeCommandRecord(_.split(line, ' ')[1]))
+            .compact()
+            .map(record => ({ ...record, sessionId, windowName }))
+            .sortBy('started')
+            .value();
+    }
+
+    // Picks up commands other servers ran in the window, or that finished while they were watching
+    async _syncCommandRecords(sessionId, windowName) {
+        const records = await this._loadCommandRecords(sessionId, windowName);
+
+        for(const { id } of _.dropRight(records, MAX_WINDOW_COMMAND_RECORDS)) {
+            await this._runTmuxCommand(['set-option', '-w', '-u', '-t', this._getTarget(sessionId, windowName), `${COMMAND_RECORD_PREFIX}${id}`]);
+        }
+
+        _.forEach(_.takeRight(records, MAX_WINDOW_COMMAND_RECORDS), (record) => {
+            const known = this.commandLog.get(record.id);
+            if(!known) {
+                this._addToCommandLog(record);
+                return;
+            }
+            // The window may also have been renamed by another server
+            known.windowName = windowName;
+            if(known.ended === null && record.ended !== null) {
+                Object.assign(known, _.pick(record, ['ended', 'exitCode', 'timedOut', 'stoppedBy', 'closed']));
+            }
+        });
+    }
+
+    // In a shell that can't run the sentinel wrapper the command is sent as it is, so it gets no
+    // command block or exit code; a timeout, which needs them, is refused there
+    async startCommand(sessionId, windowName, command, options = {}) {
+        const { timeout, pane } = options;
+        // This creates the window, so the shell looked at next is the window's own
+        const cwd = await this._getLaunchPath(sessionId, windowName, pane);
+        const shell = await this._getNonPosixShell(sessionId, windowName, pane);
+        if(shell !== null && timeout !== undefined) {
+            throw new Error(`Cannot time out a command in ${shell}: the end of a command is only known in a POSIX-style shell (bash, zsh, sh)`);
+        }
+
+        const id = randomBytes(4).toString('hex');
+        const started = Date.now();
+
+        // Typed literally in chunks, so a long command or heredoc isn't held to tmux's limit on one command
+        await this.sendLiteral(sessionId, windowName, shell === null ? wrapWithSentinels(command, id) : command, pane);
+        await this.sendKeys(sessionId, windowName, ['C-m'], pane);
+
+        await this._logCommand({ id, sessionId, windowName, pane, source: 'run_command', command, cwd, started, ...(shell === null ? {} : { unwrapped: true }) });
+
+        // A new command means the previous one in the pane has finished or was abandoned, so its
+        // timeout must not stop this one
+        const timerKey = `${sessionId}:${windowName}.${pane}`;
+        clearTimeout(this.commandTimers.get(timerKey));
+        this.commandTimers.delete(timerKey);
+
+        if(timeout !== undefined) {
+            const paneId = await this._getPaneId(sessionId, windowName, pane);
+            this.commandTimers.set(timerKey, setTimeout(() => {
+                this.commandTimers.delete(timerKey);
+                this._enforceTimeout(sessionId, windowName, id, paneId).catch((error) => {
+                    console.error(`Failed to stop timed out command ${id}:`, error.message);
+                });
+            }, timeout));
+        }
+
+        return id;
+    }
+
+    // paneId is the pane the command was started in, by id
+    async _enforceTimeout(sessionId, windowName, id, paneId) {
+        const history = await this._captureCommandPane(paneId);
+        if(history === null) {
+            await this._recordClosed(id);
+            return;
+        }
+
+        // The end sentinel may have scrolled off the screen if the command finished long ago. A later
+        // command started in the pane, after a C-c that also skipped the end sentinel, isn't ours to stop.
+        const blocks = findSentinelBlocks(_.split(history, '\n'));
+        const block = _.findLast(blocks, { id });
+        if((block && block.end !== null) || (!_.isEmpty(blocks) && _.last(blocks).id !== id)) {
+            return;
+        }
+
+        const stoppedBy = await this.interruptCommand(sessionId, windowName, id, paneId);
+        const stopped = await this._captureCommandPane(paneId) ?? history;
+        await this._recordTimeout(id, stoppedBy, parseCommandResult(stopped, id).exitCode);
+    }
+
+    // The command ended the pane's shell, so there is no end sentinel or exit code to wait for
+    async _recordClosed(id) {
+        if(this.commandLog.get(id)?.ended === null) {
+            await this._updateCommand(id, { closed: true, ended: Date.now() });
+        }
+    }
+
+    async _recordTimeout(id, stoppedBy, exitCode) {
+        await this._updateCommand(id, {
+            timedOut: true,
+            stoppedBy,
+            exitCode,
+            ended: stoppedBy === null ? null : Date.now()
+        });
+    }
+
+    // Wrapped lines are joined so a sentinel split across rows still matches
+    async _captureSentinels(sessionId, windowName, lines = undefined, pane = undefined) {
+        return await this.capturePane(sessionId, windowName, lines, pane, { join: true });
+    }
+
+    async _getPaneId(sessionId, windowName, pane = undefined) {
+        return await this._displayMessage(sessionId, windowName, '#{pane_id}', pane);
+    }
+
+    // A command's pane, captured by id and joined like _captureSentinels, or null once the pane has
+    // closed or its program has exited. Unlike capturePane this never creates a window, so a command
+    // that ended its shell isn't mistaken for one still running in a new window of the same name.
+    async _captureCommandPane(paneId, lines = undefined) {
+        try {
+            // For a pane that is gone tmux prints an empty line rather than failing
+            const state = await this._runTmuxCommand(['display-message', '-p', '-t', paneId, '#{pane_id} #{pane_dead}']);
+            if(_.trim(state.stdout) !== `${paneId} 0`) {
+                return null;
+            }
+            const result = await this._runTmuxCommand(['capture-pane', '-p', '-J', '-t', paneId, '-S', lines === undefined ? '-' : `-${lines}`]);
+            return result.stdout;
+        } catch{
+            return null;
+        }
+    }
+
+    async _getPanePid(sessionId, windowName, pane = undefined) {
+        return parseInt(await this._displayMessage(sessionId, windowName, '#{pane_pid}', pane), 10);
+    }
+
+    // null when the pane's shell is in the foreground, i.e. nothing it launched is still running
+    async _getForegroundGroup(sessionId, windowName, pane = undefined) {
+        const panePid = await this._getPanePid(sessionId, windowName, pane);
+        const pgid = await this.getForegroundProcessGroup(panePid);
+        return pgid === panePid ? null : pgid;
+    }
+
+    async _hasCommandEnded(sessionId, windowName, id, pane = undefined) {
+        if(_.includes(await this._captureSentinels(sessionId, windowName, 0, pane), `__MCP_END_${id}:`)) {
+            return true;
+        }
+        // Shells abort the rest of the command line on C-c, end sentinel included
+        return await this._getForegroundGroup(sessionId, windowName, pane) === null;
+    }
+
+    async _waitForCommandEnd(sessionId, windowName, id, timeout, pane = undefined) {
+        const startTime = Date.now();
+        while(Date.now() - startTime < timeout) {
+            await delay(this.pollInterval);
+            if(await this._hasCommandEnded(sessionId, windowName, id, pane)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Escalate from C-c to SIGTERM and SIGKILL on the pane's foreground process group.
+    // Returns the step that stopped the command, or null if it is still running.
+    async interruptCommand(sessionId, windowName, id, pane = undefined) {
+        for(const step of INTERRUPT_STEPS) {
+            if(step === 'C-c') {
+                await this.sendKeys(sessionId, windowName, ['C-c'], pane);
+            } else {
+                const pgid = await this._getForegroundGroup(sessionId, windowName, pane);
+                if(pgid === null) {
+                    return step;
+                }
+                killProcessGroup(pgid, step);
+            }
+
+            if(await this._waitForCommandEnd(sessionId, windowName, id, this.interruptGrace, pane)) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    async sendSignal(sessionId, windowName, signal, pane = undefined) {
+        // Safety check: the foreground of our own window is the client running this server
+        if(this.isUsingParentSession && windowName === this.parentWindow) {
+            throw new Error(`Cannot send signal to own window (${this.parentWindow})`);
+        }
+
+        const name = normalizeSignal(signal);
+        const pgid = await this._getForegroundGroup(sessionId, windowName, pane);
+        if(pgid === null) {
+            throw new Error('No command is running in the foreground, only the shell');
+        }
+
+        const command = await this.getCurrentCommand(sessionId, windowName, pane);
+        if(!killProcessGroup(pgid, name)) {
+            throw new Error(`Process group ${pgid} exited before it could be signalled`);
+        }
+
+        return { signal: name, pgid, command };
+    }
+
+    async sendInput(sessionId, windowName, text, options = {}) {
+        const { mode = 'literal', pane } = options;
+        if(!INPUT_MODES.includes(mode)) {
+            throw new Error(`Unknown input mode: ${mode} (expected ${INPUT_MODES.join(' or ')})`);
+        }
+
+        const cwd = await this._getLaunchPath(sessionId, windowName, pane);
+        const started = Date.now();
+
+        if(mode === 'paste') {
+            await this.pasteText(sessionId, windowName, text, pane);
+        } else {
+            await this.sendLiteral(sessionId, windowName, text, pane);
+        }
+        await this.sendKeys(sessionId, windowName, ['C-m'], pane);
+
+        // Input may go to any program, so there is no exit code to track
+        await this._logCommand({ id: randomBytes(4).toString('hex'), sessionId, windowName, pane, source: 'send_input', command: text, cwd, started });
+    }
+
+    async getCommandHistory(sessionId, windowName = undefined) {
+        for(const window of windowName === undefined ? await this.listWindows(sessionId) : [windowName]) {
+            await this._syncCommandRecords(sessionId, window);
+        }
+
+        const entries = _.sortBy(_.filter([...this.commandLog.values()], (entry) => {
+            return entry.sessionId === sessionId && (windowName === undefined || entry.windowName === windowName);
+        }), 'started');
+
+        // Commands that weren't waited on learn their exit code from the end sentinel in the scrollback
+        const unfinished = _.filter(entries, { source: 'run_command', ended: null });
+        for(const paneEntries of _.values(_.groupBy(unfinished, ({ windowName: window, pane }) => `${window}.${pane}`))) {
+            const { windowName: window, pane } = paneEntries[0];
+            if(!await this.windowExists(sessionId, window)) {
+                continue;
+            }
+
+            let history;
+            try {
+                history = await this._captureSentinels(sessionId, window, undefined, pane);
+            } catch{
+                continue; // the pane was closed
+            }
+
+            const blocks = findSentinelBlocks(_.split(history, '\n'));
+            for(const entry of paneEntries) {
+                const block = _.findLast(blocks, { id: entry.id });
+                if(block && block.end !== null) {
+                    await this._updateCommand(entry.id, { exitCode: block.exitCode, ended: block.ended ?? Date.now() });
+                }
+            }
+        }
+
+        return _.map(entries, _.clone);
+    }
+
+    // A block without an end sentinel was either stopped with C-c, which the log knows about when it
+    // was a timeout, or is still running, which it can't be once a later command has started
+    findCommandBlocks(output) {
+        const blocks = findSentinelBlocks(_.split(output, '\n'));
+        return _.map(blocks, (block, index) => {
+            const logged = this.commandLog.get(block.id);
+            return {
+                ...block,
+                index: index + 1,
+                command: logged?.command ?? null,
+                timedOut: logged?.timedOut ?? false,
+                stoppedBy: logged?.stoppedBy ?? null,
+                closed: logged?.closed ?? false,
+                interrupted: block.end === null && index < blocks.length - 1
+            };
+        });
+    }
+
+    async executeCommand(sessionId, windowName, command, options = {}) {
+        const { timeout = DEFAULT_COMMAND_TIMEOUT, interrupt = false, pane } = options;
+        // tmux reads a window that doesn't exist yet from another one
+        await this.createWindow(sessionId, windowName);
+        const shell = await this._getNonPosixShell(sessionId, windowName, pane);
+        if(shell !== null) {
+            throw new Error(`Cannot wait for a command in ${shell}: the end of a command is only known in a POSIX-style shell (bash, zsh, sh)`);
+        }
+
+        const paneId = await this._getPaneId(sessionId, windowName, pane);
+        const startTime = Date.now();
+        const id = await this.startCommand(sessionId, windowName, command, { pane });
+        const endMarker = `__MCP_END_${id}:`;
+
+        // Poll only the visible screen; the end sentinel is printed right above the next prompt
+        let screen = '';
+        let history = null;
+        for(;;) {
+            await delay(this.pollInterval);
+            const capture = await this._captureCommandPane(paneId, 0);
+            if(capture === null) {
+                break;
+            }
+            screen = capture;
+            if(_.includes(screen, endMarker) || Date.now() - startTime >= timeout) {
+                history = await this._captureCommandPane(paneId);
+                break;
+            }
+        }
+
+        if(history === null) {
+            // All that is left of the output is what the last poll saw
+            await this._recordClosed(id);
+            return { output: parseCommandResult(screen, id).output, exitCode: null, timedOut: false, stoppedBy: null, closed: true, duration: Date.now() - startTime };
+        }
+
+        let { output, exitCode } = parseCommandResult(history, id);
+        const timedOut = !_.includes(history, endMarker);
+        let stoppedBy = null;
+
+        if(timedOut && interrupt) {
+            stoppedBy = await this.interruptCommand(sessionId, windowName, id, paneId);
+            history = await this._captureCommandPane(paneId) ?? history;
+            ({ output, exitCode } = parseCommandResult(history, id));
+            await this._recordTimeout(id, stoppedBy, exitCode);
+        } else if(!timedOut) {
+            await this._updateCommand(id, { exitCode, ended: Date.now() });
+        }
+
+        return {
+            output,
+            exitCode,
+            timedOut,
+            stoppedBy,
+            closed: false,
+            duration: Date.now() - startTime
+        };
+    }
+
+    async runSequence(sessionId, windowName, commands, options = {}) {
+        const { stopOnFailure = true, timeout, interrupt = false, pane } = options;
+        const steps = [];
+
+        for(const command of commands) {
+            const result = await this.executeCommand(sessionId, windowName, command, { timeout, interrupt, pane });
+            steps.push({ command, ...result });
+
+            // A step that is still running would receive the next command as input, and after one that
+            // ended the shell the rest would run in a new one
+            const stillRunning = result.timedOut && result.stoppedBy === null;
+            if(stillRunning || result.closed || (stopOnFailure && result.exitCode !== 0)) {
+                break;
+            }
+        }
+
+        return steps;
+    }
+
+    async runBatch(sessionId, entries, options = {}) {
+        const { wait = true, timeout, interrupt = false } = options;
+
+        // Create the windows one at a time so concurrent new-window calls can't duplicate them
+        for(const { windowName } of entries) {
+            await this.createWindow(sessionId, windowName);
+        }
+
+        return await Promise.all(_.map(entries, async ({ windowName, pane, command }) => {
+            if(!wait) {
+                const id = await this.startCommand(sessionId, windowName, command, { timeout, pane });
+                return { windowName, pane, command, id };
+            }
+
+            const result = await this.executeCommand(sessionId, windowName, command, { timeout, interrupt, pane });
+            return { windowName, pane, command, ...result };
+        }));
+    }
+
+    // options: escapes keeps colors and attributes as escape sequences (capture-pane -e), join joins
+    // wrapped lines (-J) and trailingSpaces keeps the spaces at the end of each line (-N). start and end
+    // are the -S/-E lines to capture, counted from the top of the visible screen, and override lines.
+    async capturePane(sessionId, windowName = 'main', lines = undefined, pane = undefined, options = {}) {
         // Safety check: don't capture from our own window if using parent session
         if(this.isUsingParentSession && windowName === this.parentWindow) {
             throw new Error(`Cannot capture from own window (${this.parentWindow})`);
         }
 
-        // Ensure window exists
-        await this.createWindow(sessionId, windowName);
+        await this._openWindow(sessionId, windowName);
 
-        const targetSession = this.isUsingParentSession ? this.parentSession : `${sessionId}-MCP`;
-        const target = `${targetSession}:${windowName}`;
-        const args = ['capture-pane', '-p', '-t', target];
+        const args = ['capture-pane', '-p', '-t', await this._resolveTarget(sessionId, windowName, pane)];
+        if(options.escapes) {
+            args.push('-e');
+        }
+        if(options.join) {
+            args.push('-J');
+        }
+        if(options.trailingSpaces) {
+            args.push('-N');
+        }
 
-        if(lines !== undefined) {
+        if(options.start !== undefined) {
+            args.push('-S', `${options.start}`, '-E', `${options.end}`);
+        } else if(lines !== undefined) {
             // Capture specific number of lines from scrollback
             args.push('-S', `-${lines}`);
         } else {
@@ -361,6 +1495,378 @@ class TmuxManager {
         return result.stdout;
     }
 
+    async _displayMessage(sessionId, windowName, format, pane = undefined) {
+        const result = await this._runTmuxCommand([
+            'display-message', '-p', '-t', await this._resolveTarget(sessionId, windowName, pane), format
+        ]);
+        return _.trim(result.stdout);
+    }
+
+    async _getPanePosition(sessionId, windowName, pane = undefined) {
+        const output = await this._displayMessage(sessionId, windowName, '#{history_size} #{cursor_y} #{pane_height}', pane);
+        const [historySize, cursorY, height] = _.map(_.split(output, ' '), Number);
+        return { historySize, cursorY, height };
+    }
+
+    async getCursorLine(sessionId, windowName, pane = undefined) {
+        // Absolute line of the cursor, counted from the top of the scrollback like capturePane output
+        const { historySize, cursorY } = await this._getPanePosition(sessionId, windowName, pane);
+        return historySize + cursorY;
+    }
+
+    async getOutputCursor(sessionId, windowName, pane = undefined) {
+        if(this.isUsingParentSession && windowName === this.parentWindow) {
+            throw new Error(`Cannot capture from own window (${this.parentWindow})`);
+        }
+
+        await this._openWindow(sessionId, windowName);
+
+        const { historySize, cursorY } = await this._getPanePosition(sessionId, windowName, pane);
+        const line = historySize + cursorY;
+        const size = Math.min(CURSOR_ANCHOR_LINES, line);
+
+        // Line numbers for capture-pane are relative to the top of the visible screen
+        const result = await this._runTmuxCommand([
+            'capture-pane', '-p', '-t', await this._resolveTarget(sessionId, windowName, pane),
+            '-S', `${cursorY - size}`, '-E', `${cursorY}`
+        ]);
+        const lines = _.split(result.stdout, '\n');
+
+        return encodeCursor(line, lines.slice(0, size), lines[size] ?? '');
+    }
+
+    // Wrapped lines come back joined, along with the line each one starts on in the scrollback,
+    // so positions can still be compared with cursors and plain captures. unjoined is the plain capture.
+    async captureJoined(sessionId, windowName, lines = undefined, pane = undefined, options = {}) {
+        const output = await this.capturePane(sessionId, windowName, lines, pane, { ...options, join: true });
+        const unjoined = _.split(await this.capturePane(sessionId, windowName, lines, pane, {
+            ..._.pick(options, ['start', 'end']),
+            trailingSpaces: true
+        }), '\n');
+        const joined = _.split(options.escapes ? stripAnsi(output) : output, '\n');
+
+        return {
+            output,
+            lineNumbers: mapJoinedLines(joined, unjoined),
+            unjoined: _.map(unjoined, line => _.trimEnd(line, ' '))
+        };
+    }
+
+    // Indexes of the lines run_command added to a capture taken with these arguments (see
+    // findMarkerLines). Rows are looked at joined, so a wrapped command line is recognised whole.
+    async findMarkers(sessionId, windowName, output, lines = undefined, pane = undefined, options = {}) {
+        const captured = _.split(options.escapes ? stripAnsi(output) : output, '\n');
+        if(!_.some(captured, line => _.includes(line, '__MCP_'))) {
+            return [];
+        }
+        if(options.join) {
+            return findMarkerLines(captured);
+        }
+
+        const joined = await this.captureJoined(sessionId, windowName, lines, pane, _.pick(options, ['start', 'end']));
+        // Output that arrived after the first capture moves the rows, so make do with them as they are
+        if(!_.isEqual(joined.unjoined, _.map(captured, line => _.trimEnd(line, ' ')))) {
+            return findMarkerLines(captured);
+        }
+        return _.flatMap(findMarkerLines(_.split(joined.output, '\n')), (line) => {
+            return _.range(joined.lineNumbers[line], joined.lineNumbers[line + 1] ?? captured.length);
+        });
+    }
+
+    // Captures lines start to end of the scrollback (0-based and inclusive, numbered like a capture of
+    // all of it), with end clamped to the last line. lineNumbers gives the line each line of the output
+    // came from, and markers the lines run_command added. totalLines is the history followed by the
+    // visible screen.
+    async captureRange(sessionId, windowName, { start = 0, end = Infinity }, pane = undefined, options = {}) {
+        if(this.isUsingParentSession && windowName === this.parentWindow) {
+            throw new Error(`Cannot capture from own window (${this.parentWindow})`);
+        }
+
+        await this._openWindow(sessionId, windowName);
+
+        const { historySize, height } = await this._getPanePosition(sessionId, windowName, pane);
+        const totalLines = historySize + height;
+        if(start >= totalLines) {
+            throw new Error(`Line ${start + 1} is past the end of the scrollback (${totalLines} lines)`);
+        }
+
+        const last = Math.min(end, totalLines - 1);
+        // capture-pane counts from the top of the visible screen, so history lines are negative
+        const bounds = { start: start - historySize, end: last - historySize };
+        let output, lineNumbers;
+        if(options.join) {
+            ({ output, lineNumbers } = await this.captureJoined(sessionId, windowName, undefined, pane, { ...options, ...bounds }));
+            lineNumbers = _.map(lineNumbers, line => line + start);
+        } else {
+            output = await this.capturePane(sessionId, windowName, undefined, pane, { ...options, ...bounds });
+            lineNumbers = _.range(start, start + _.split(output, '\n').length);
+        }
+        const markers = await this.findMarkers(sessionId, windowName, output, undefined, pane, { ...options, ...bounds });
+
+        return { output, lineNumbers, markers, start, end: last, historySize, totalLines };
+    }
+
+    // options are as for capturePane; fromLine is a line of the scrollback even when lines are joined,
+    // and lineNumbers is then set as for captureJoined. markers are the lines run_command added.
+    async captureSince(sessionId, windowName, since, pane = undefined, options = {}) {
+        const previous = decodeCursor(since);
+
+        // Take the new cursor first: output arriving in between is repeated next time rather than lost
+        const cursor = await this.getOutputCursor(sessionId, windowName, pane);
+        let output, lines, lineNumbers;
+        if(options.join) {
+            ({ output, lineNumbers, unjoined: lines } = await this.captureJoined(sessionId, windowName, undefined, pane, options));
+        } else {
+            output = await this.capturePane(sessionId, windowName, undefined, pane, options);
+            // Cursors hash the text as it reads without escapes
+            lines = _.split(options.escapes ? stripAnsi(output) : output, '\n');
+        }
+        let fromLine = locateCursor(lines, previous);
+
+        if(fromLine !== -1 && hashLines([lines[fromLine] ?? '']) === previous.current) {
+            fromLine++;
+        }
+
+        return _.omitBy({
+            output,
+            fromLine: Math.max(fromLine, 0),
+            wrapped: fromLine === -1,
+            cursor,
+            lineNumbers,
+            markers: await this.findMarkers(sessionId, windowName, output, undefined, pane, options)
+        }, _.isUndefined);
+    }
+
+    async waitForOutput(sessionId, windowName, pattern, options = {}) {
+        const { timeout = DEFAULT_COMMAND_TIMEOUT, newOnly = false, pane } = options;
+        const regex = new RegExp(pattern);
+        const startTime = Date.now();
+
+        // Open the window first so an unknown one is created before the cursor is read
+        await this._openWindow(sessionId, windowName);
+        const fromLine = newOnly ? await this.getCursorLine(sessionId, windowName, pane) : 0;
+
+        // With newOnly each poll only reads the lines from fromLine on rather than the whole scrollback.
+        // Wrapped lines are joined, so a line longer than the pane is matched whole.
+        const capture = async () => {
+            if(!newOnly) {
+                return await this.captureJoined(sessionId, windowName, undefined, pane);
+            }
+            const { historySize } = await this._getPanePosition(sessionId, windowName, pane);
+            return await this.captureJoined(sessionId, windowName, undefined, pane, { start: fromLine - historySize, end: '-' });
+        };
+        // The lines run_command adds are left out, or a pattern taken from the command would match its
+        // echoed command line. lineNumbers places the lines that are left in the scrollback.
+        const keepOutput = ({ output, lineNumbers }, offset) => {
+            const joined = _.map(_.split(output, '\n'), line => _.trimEnd(line, ' '));
+            const markers = new Set(findMarkerLines(joined));
+            const kept = _.reject(_.range(joined.length), line => markers.has(line));
+            return { lines: _.map(kept, line => joined[line]), lineNumbers: _.map(kept, line => offset + lineNumbers[line]) };
+        };
+
+        for(;;) {
+            const { lines, lineNumbers } = keepOutput(await capture(), fromLine);
+            const output = lines.join('\n');
+            if(_.some(lines, line => regex.test(line))) {
+                return { matched: true, output, lineNumbers, fromLine, duration: Date.now() - startTime };
+            }
+
+            if(Date.now() - startTime >= timeout) {
+                const screen = keepOutput(await this.captureJoined(sessionId, windowName, 0, pane), 0).lines.join('\n');
+                return { matched: false, output, lineNumbers, screen, fromLine, duration: Date.now() - startTime };
+            }
+
+            await delay(this.pollInterval);
+        }
+    }
+
+    async getWindowStatus(sessionId, windowName = undefined, pane = undefined) {
+        if(windowName !== undefined && this.strictWindows && !await this.windowExists(sessionId, windowName)) {
+            throw new Error(`Window not found: ${windowName}`);
+        }
+
+        const targetSession = this.isUsingParentSession ? this.parentSession : `${sessionId}-MCP`;
+        let args;
+        if(windowName === undefined) {
+            args = ['list-panes', '-s', '-t', targetSession, '-F', PANE_STATUS_FORMAT];
+        } else if(pane === undefined) {
+            args = ['list-panes', '-t', this._getTarget(sessionId, windowName), '-F', PANE_STATUS_FORMAT];
+        } else {
+            args = ['display-message', '-p', '-t', await this._resolveTarget(sessionId, windowName, pane), PANE_STATUS_FORMAT];
+        }
+
+        const result = await this._runTmuxCommand(args);
+        return _.map(_.compact(_.split(_.trimEnd(result.stdout, '\n'), '\n')), parsePaneStatus);
+    }
+
+    async getResourceUsage(sessionId = undefined, options = {}) {
+        const { sortBy = 'cpu' } = options;
+        const sessions = sessionId === undefined ? await this.listSessions() : [sessionId];
+
+        const panes = [];
+        for(const session of sessions) {
+            const targetSession = this.isUsingParentSession ? this.parentSession : `${session}-MCP`;
+            const result = await this._runTmuxCommand(['list-panes', '-s', '-t', targetSession, '-F', '#{pane_pid}::#{window_name}']);
+            _.forEach(_.compact(_.split(result.stdout, '\n')), (line) => {
+                const [pid, ...name] = _.split(line, '::');
+                panes.push({ workspace: session, windowName: name.join('::'), pid: parseInt(pid, 10) });
+            });
+        }
+
+        const processes = await this.listProcesses();
+        const byPid = _.keyBy(processes, 'pid');
+        const children = _.groupBy(processes, 'parentPid');
+
+        // Walk each pane's process tree, starting from its shell
+        const windows = _.map(_.groupBy(panes, ({ workspace, windowName }) => `${workspace}:${windowName}`), (windowPanes) => {
+            const usage = { workspace: windowPanes[0].workspace, windowName: windowPanes[0].windowName, cpu: 0, memory: 0, processes: 0 };
+            const pending = _.map(windowPanes, 'pid');
+            while(pending.length > 0) {
+                const pid = pending.pop();
+                if(byPid[pid]) {
+                    usage.cpu += byPid[pid].cpu;
+                    usage.memory += byPid[pid].memRss * 1024;
+                    usage.processes++;
+                }
+                pending.push(..._.map(children[pid], 'pid'));
+            }
+            return usage;
+        });
+
+        const workspaces = _.map(_.groupBy(windows, 'workspace'), (workspaceWindows, workspace) => ({
+            workspace,
+            cpu: _.sumBy(workspaceWindows, 'cpu'),
+            memory: _.sumBy(workspaceWindows, 'memory'),
+            processes: _.sumBy(workspaceWindows, 'processes')
+        }));
+
+        // Heaviest first, with the other measure breaking ties
+        const order = sortBy === 'memory' ? ['memory', 'cpu'] : ['cpu', 'memory'];
+        return {
+            windows: _.orderBy(windows, order, ['desc', 'desc']),
+            workspaces: _.orderBy(workspaces, order, ['desc', 'desc'])
+        };
+    }
+
+    async getCurrentCommand(sessionId, windowName, pane = undefined) {
+        return await this._displayMessage(sessionId, windowName, '#{pane_current_command}', pane);
+    }
+
+    // The pane's shell if it is one the sentinel wrapper doesn't work in, otherwise null. A login
+    // shell's name starts with a dash.
+    async _getNonPosixShell(sessionId, windowName, pane = undefined) {
+        const command = _.trimStart(await this.getCurrentCommand(sessionId, windowName, pane), '-');
+        return _.includes(NON_POSIX_SHELLS, command) ? command : null;
+    }
+
+    async getCurrentPath(sessionId, windowName, pane = undefined) {
+        return await this._displayMessage(sessionId, windowName, '#{pane_current_path}', pane);
+    }
+
+    // Relative paths are taken from the window's current directory, like a command typed there. Paths that
+    // lead outside that directory, whether absolute, through .. or through a symlink, are refused.
+    async resolveWindowPath(sessionId, windowName, filePath, pane = undefined) {
+        const cwd = await this.getCurrentPath(sessionId, windowName, pane);
+        const fullPath = path.resolve(cwd, filePath);
+
+        // A file about to be written doesn't exist yet, so follow links through its directory instead.
+        // A link to a file that doesn't exist can't be checked that way, and writing would follow it.
+        const target = await realpath(fullPath).catch(async () => {
+            if(await lstat(fullPath).then(stats => stats.isSymbolicLink(), _.constant(false))) {
+                throw new Error(`${filePath} is a symlink to a file that doesn't exist`);
+            }
+            return path.join(await realpath(path.dirname(fullPath)), path.basename(fullPath));
+        });
+        const relative = path.relative(await realpath(cwd), target);
+        if(relative === '..' || _.startsWith(relative, `..${path.sep}`) || path.isAbsolute(relative)) {
+            throw new Error(`${filePath} is outside the window's current directory (${cwd})`);
+        }
+        return fullPath;
+    }
+
+    async writeFile(sessionId, windowName, filePath, content, options = {}) {
+        const { encoding = 'utf8', pane } = options;
+        checkFileEncoding(encoding);
+
+        // Buffer.from silently skips characters that aren't base64
+        if(encoding === 'base64' && !BASE64_PATTERN.test(_.replace(content, /\s/g, ''))) {
+            throw new Error('Content is not valid base64');
+        }
+
+        const data = Buffer.from(content, encoding);
+        if(data.length > this.maxFileSize) {
+            throw new Error(`Content is ${data.length} bytes, over the ${this.maxFileSize} byte limit`);
+        }
+
+        await this.createWindow(sessionId, windowName);
+        const fullPath = await this.resolveWindowPath(sessionId, windowName, filePath, pane);
+        await writeFile(fullPath, data);
+        return { path: fullPath, bytes: data.length };
+    }
+
+    async readFile(sessionId, windowName, filePath, options = {}) {
+        const { encoding = 'utf8', pane } = options;
+        checkFileEncoding(encoding);
+
+        await this._openWindow(sessionId, windowName);
+        const fullPath = await this.resolveWindowPath(sessionId, windowName, filePath, pane);
+        const { size } = await stat(fullPath);
+        if(size > this.maxFileSize) {
+            throw new Error(`${fullPath} is ${size} bytes, over the ${this.maxFileSize} byte limit`);
+        }
+
+        const data = await readFile(fullPath);
+        if(encoding === 'base64') {
+            return { path: fullPath, bytes: data.length, content: data.toString('base64') };
+        }
+
+        try {
+            const content = new TextDecoder('utf-8', { fatal: true }).decode(data);
+            return { path: fullPath, bytes: data.length, content };
+        } catch{
+            throw new Error(`${fullPath} is not valid UTF-8 text; read it with encoding base64`);
+        }
+    }
+
+    async waitForIdle(sessionId, windowName, options = {}) {
+        const { quietPeriod = DEFAULT_QUIET_PERIOD, timeout = DEFAULT_COMMAND_TIMEOUT, pane } = options;
+        const startTime = Date.now();
+
+        // The cursor line catches scrolling that leaves the visible screen unchanged
+        const snapshot = async () => {
+            const screen = await this.capturePane(sessionId, windowName, 0, pane);
+            const cursorLine = await this.getCursorLine(sessionId, windowName, pane);
+            return `${cursorLine}\n${screen}`;
+        };
+
+        let lastSnapshot = await snapshot();
+        let lastChange = Date.now();
+        let idle = true;
+
+        while(Date.now() - lastChange < quietPeriod) {
+            if(Date.now() - startTime >= timeout) {
+                idle = false;
+                break;
+            }
+
+            await delay(this.pollInterval);
+            const current = await snapshot();
+            if(current !== lastSnapshot) {
+                lastSnapshot = current;
+                lastChange = Date.now();
+            }
+        }
+
+        const command = await this.getCurrentCommand(sessionId, windowName, pane);
+        return {
+            idle,
+            quietFor: Date.now() - lastChange,
+            duration: Date.now() - startTime,
+            command,
+            atShell: isShellCommand(command)
+        };
+    }
+
     async getScrollbackSize(sessionId) {
         const targetSession = this.isUsingParentSession ? this.parentSession : `${sessionId}-MCP`;
 
@@ -0,0 +1,140 @@
+import { readFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import yaml from 'js-yaml';
+import _ from 'lodash';
+
+// tmuxp and tmuxinator spell the same things differently, so both are normalized to
+// { name, windows: [{ name, layout, shell, panes: [{ cwd, env, commands }] }] }
+// with session-wide directories, environment and setup commands folded into every pane.
+
+const BLANK_PANES = ['blank', 'pane'];
+const PANE_KEYS = ['shell_command', 'shell_command_before', 'start_directory', 'root', 'environment', 'env', 'focus'];
+
+function expandHome(dir) {
+    if(dir === '~' || _.startsWith(dir, '~/')) {
+        return path.join(os.homedir(), dir.slice(1));
+    }
+    return dir;
+}
+
+// Relative directories are relative to the enclosing one, and at the top to the definition file
+function resolveDirectory(dir, parentDir, baseDir) {
+    if(dir === undefined || dir === null) {
+        return parentDir;
+    }
+    return path.resolve(parentDir ?? baseDir, expandHome(String(dir)));
+}
+
+function toCommands(value) {
+    if(value === undefined || value === null || _.includes(BLANK_PANES, value)) {
+        return [];
+    }
+    return _.chain(_.castArray(value))
+        .flattenDeep()
+        .map(command => (_.isPlainObject(command) ? command.cmd : command))
+        .reject(command => command === undefined || command === null)
+        .map(String)
+        .value();
+}
+
+function toEnv(value, where) {
+    if(value === undefined || value === null) {
+        return {};
+    }
+    if(!_.isPlainObject(value)) {
+        throw new Error(`Environment of ${where} must be a map of names to values`);
+    }
+    return _.mapValues(value, String);
+}
+
+function normalizePane(pane, window) {
+    // tmuxinator names panes with a single-key map
+    if(_.isPlainObject(pane) && _.size(pane) === 1 && !_.includes(PANE_KEYS, _.head(_.keys(pane)))) {
+        pane = { shell_command: _.head(_.values(pane)) };
+    }
+    if(!_.isPlainObject(pane)) {
+        pane = { shell_command: pane };
+    }
+
+    return {
+        cwd: resolveDirectory(pane.start_directory ?? pane.root, window.cwd, window.baseDir),
+        env: { ...window.env, ...toEnv(pane.environment ?? pane.env, `a pane in window ${window.name}`) },
+        commands: [...window.before, ...toCommands(pane.shell_command_before), ...toCommands(pane.shell_command)]
+    };
+}
+
+function normalizeWindow(window, index, session) {
+    // tmuxinator: { name: command } or { name: { root, layout, panes } }
+    if(!_.has(window, 'window_name') && _.isPlainObject(window) && _.size(window) === 1) {
+        const [name, value] = _.head(_.toPairs(window));
+        window = _.isPlainObject(value)
+            ? { window_name: name, ...value }
+            : { window_name: name, panes: [value] };
+    }
+
+    const name = window.window_name;
+    if(name === undefined || name === null || name === '') {
+        throw new Error(`Window ${index + 1} of the workspace definition has no name`);
+    }
+
+    const context = {
+        name,
+        baseDir: session.baseDir,
+        cwd: resolveDirectory(window.start_directory ?? window.root, session.cwd, session.baseDir),
+        env: { ...session.env, ...toEnv(window.environment ?? window.env, `window ${name}`) },
+        before: [...session.before, ...toCommands(window.shell_command_before ?? window.pre)]
+    };
+
+    const panes = _.isEmpty(window.panes)
+        ? [normalizePane({ shell_command: window.shell_command }, context)]
+        : _.map(window.panes, pane => normalizePane(pane, context));
+
+    return _.omitBy({
+        name: String(name),
+        layout: window.layout,
+        shell: window.window_shell ?? window.shell,
+        panes
+    }, _.isUndefined);
+}
+
+// baseDir is what relative directories in the definition are relative to
+export function parseWorkspaceDefinition(definition, baseDir = process.cwd()) {
+    if(!_.isPlainObject(definition)) {
+        throw new Error('Workspace definition must be a map with a list of windows');
+    }
+    if(!_.isArray(definition.windows) || _.isEmpty(definition.windows)) {
+        throw new Error('Workspace definition has no windows');
+    }
+
+    const session = {
+        baseDir,
+        cwd: resolveDirectory(definition.start_directory ?? definition.root, undefined, baseDir),
+        env: toEnv(definition.environment ?? definition.env, 'the workspace'),
+        before: toCommands(definition.shell_command_before ?? definition.pre_window)
+    };
+
+    const windows = _.map(definition.windows, (window, index) => normalizeWindow(window, index, session));
+    const duplicate = _.find(windows, (window, index) => _.findIndex(windows, { name: window.name }) !== index);
+    if(duplicate) {
+        throw new Error(`Window ${duplicate.name} appears more than once in the workspace definition`);
+    }
+
+    const name = definition.session_name ?? definition.name ?? definition.project_name;
+    return _.omitBy({ name: name === undefined || name === null ? undefined : String(name), windows }, _.isUndefined);
+}
+
+// YAML is a superset of JSON, so one parser reads both
+export async function readWorkspaceDefinition(filePath) {
+    const resolved = path.resolve(expandHome(filePath));
+    const source = await readFile(resolved, 'utf8');
+
+    let definition;
+    try {
+        definition = yaml.load(source, { filename: resolved });
+    } catch(error) {
+        throw new Error(`Invalid workspace definition in ${resolved}: ${error.message}`);
+    }
+
+    return parseWorkspaceDefinition(definition, path.dirname(resolved));
+}
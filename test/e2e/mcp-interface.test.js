@@ -1,8 +1,10 @@
 import { describe, test, expect, beforeEach, afterEach, beforeAll, afterAll, spyOn } from 'bun:test';
 import { spawn } from 'child_process';
+import { mkdtemp, readdir, rm, symlink, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { isFunction } from 'lodash';
+import { find, isFunction, last, split } from 'lodash';
 import { waitForOutput } from '../test-utils.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -58,10 +60,14 @@ describe('MCP Interface E2E Tests', () => {
     let consoleErrorSpy;
     let originalTmux;
     let originalTmuxPane;
+    let stateHome;
 
     beforeAll(async () => {
         await cleanupTmuxSessions();
 
+        // Keep workspace snapshots out of the real ~/.local/state
+        stateHome = await mkdtemp(join(tmpdir(), 'mcp-e2e-state-'));
+
         // Ensure any leftover mocks are restored before starting tests
         if(console.error.mockRestore && isFunction(console.error.mockRestore)) {
             try {
@@ -74,6 +80,7 @@ describe('MCP Interface E2E Tests', () => {
 
     afterAll(async () => {
         await cleanupTmuxSessions();
+        await rm(stateHome, { recursive: true, force: true });
 
         // Final cleanup of any remaining mocks
         if(console.error.mockRestore && isFunction(console.error.mockRestore)) {
@@ -100,6 +107,7 @@ describe('MCP Interface E2E Tests', () => {
         const cleanEnv = { ...process.env };
         delete cleanEnv.TMUX;
         delete cleanEnv.TMUX_PANE;
+        cleanEnv.XDG_STATE_HOME = stateHome;
 
         // Start the MCP server
         serverProcess = spawn('bun', [serverPath], {
@@ -177,7 +185,7 @@ describe('MCP Interface E2E Tests', () => {
         }
     });
 
-    function sendRequest(method, params = {}) {
+    function sendRequest(method, params = {}, timeoutMs = 5000) {
         const request = {
             jsonrpc: '2.0',
             id: messageId++,
@@ -190,7 +198,7 @@ describe('MCP Interface E2E Tests', () => {
         return new Promise((resolve, reject) => {
             const timeout = setTimeout(() => {
                 reject(new Error(`Timeout waiting for response to ${method}`));
-            }, 5000);
+            }, timeoutMs);
 
             const interval = setInterval(() => {
                 const response = messages.find(msg => msg.id === request.id);
@@ -228,12 +236,30 @@ describe('MCP Interface E2E Tests', () => {
 
         const response = await sendRequest('tools/list');
 
-        expect(response.result.tools).toHaveLength(8);
+        expect(response.result.tools).toHaveLength(26);
         const toolNames = response.result.tools.map(t => t.name);
         expect(toolNames).toContain('run_command');
+        expect(toolNames).toContain('run_sequence');
+        expect(toolNames).toContain('run_batch');
         expect(toolNames).toContain('get_output');
+        expect(toolNames).toContain('wait_for_output');
+        expect(toolNames).toContain('wait_for_idle');
         expect(toolNames).toContain('send_input');
         expect(toolNames).toContain('send_keys');
+        expect(toolNames).toContain('send_signal');
+        expect(toolNames).toContain('window_status');
+        expect(toolNames).toContain('resource_usage');
+        expect(toolNames).toContain('command_history');
+        expect(toolNames).toContain('write_file');
+        expect(toolNames).toContain('read_file');
+        expect(toolNames).toContain('create_window');
+        expect(toolNames).toContain('close_window');
+        expect(toolNames).toContain('rename_window');
+        expect(toolNames).toContain('split_window');
+        expect(toolNames).toContain('select_layout');
+        expect(toolNames).toContain('load_workspace');
+        expect(toolNames).toContain('snapshot_workspace');
+        expect(toolNames).toContain('restore_workspace');
         expect(toolNames).toContain('create_workspace');
         expect(toolNames).toContain('destroy_workspace');
         expect(toolNames).toContain('list_workspaces');
@@ -287,6 +313,679 @@ describe('MCP Interface E2E Tests', () => {
         expect(response.result.content[0].text).toBe('Started command in e2e-test:main');
     });
 
+    test('run_command with wait returns output and exit code', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const response = await sendRequest('tools/call', {
+            name: 'run_command',
+            arguments: {
+                command: 'echo "waited output"; (exit 3)',
+                workspace_id: 'e2e-wait',
+                wait: true,
+                timeout_ms: 4000
+            }
+        });
+
+        const text = response.result.content[0].text;
+        expect(text).toStartWith('Command exited with code 3 in e2e-wait:main');
+        expect(text).toEndWith('\nwaited output');
+
+        await sendRequest('tools/call', {
+            name: 'destroy_workspace',
+            arguments: { workspace_id: 'e2e-wait' }
+        });
+    });
+
+    test('run_command keeps comments, find -exec, heredocs and unterminated output apart from its end marker', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const run = async (command) => {
+            const response = await sendRequest('tools/call', {
+                name: 'run_command',
+                arguments: { command, workspace_id: 'e2e-quoting', wait: true, timeout_ms: 4000 }
+            });
+            return response.result.content[0].text;
+        };
+
+        expect(await run('echo "kept"  # it\'s a comment')).toEndWith('\nkept');
+        expect(await run('find / -maxdepth 0 -exec echo found {} \\;')).toEndWith('\nfound /');
+        expect(await run('cat <<EOF\nfrom a heredoc\nEOF')).toEndWith('\nfrom a heredoc');
+        // Long enough that the marker would wrap if it shared the line
+        const unterminated = await run('printf \'%070d\' 0');
+        expect(unterminated).toStartWith('Command exited with code 0');
+        expect(unterminated).toEndWith(`\n${'0'.repeat(70)}`);
+
+        await sendRequest('tools/call', {
+            name: 'destroy_workspace',
+            arguments: { workspace_id: 'e2e-quoting' }
+        });
+    }, 20000);
+
+    test('run_command types a heredoc larger than one tmux command', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const callTool = async (name, args) => {
+            const response = await sendRequest('tools/call', { name, arguments: { workspace_id: 'e2e-heredoc', window_name: 'big', ...args } }, 20000);
+            return response.result.content[0].text;
+        };
+
+        try {
+            await callTool('create_window', { shell: 'sh' });
+            // 20000 bytes, over the 16 KB tmux allows in one command
+            const body = `${'x'.repeat(99)}\n`.repeat(200);
+            const result = await callTool('run_command', { command: `cat <<'EOF' | wc -c\n${body}EOF`, wait: true, timeout_ms: 15000 });
+            expect(result).toStartWith('Command exited with code 0 in e2e-heredoc:big');
+            expect(last(split(result, '\n')).trim()).toBe('20000');
+        } finally {
+            await callTool('destroy_workspace', {});
+        }
+    }, 30000);
+
+    test('run_sequence stops at the first failing step', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const response = await sendRequest('tools/call', {
+            name: 'run_sequence',
+            arguments: {
+                commands: ['echo "step one"', '(exit 4)', 'echo "step three"'],
+                workspace_id: 'e2e-sequence'
+            }
+        });
+
+        const text = response.result.content[0].text;
+        expect(text).toStartWith('Ran 2 of 3 steps in e2e-sequence:main');
+        expect(text).toContain('\n[1] exit 0 (');
+        expect(text).toContain('): echo "step one"\n    step one\n[2] exit 4 (');
+        expect(text).toEndWith('\n[3] skipped: echo "step three"');
+
+        await sendRequest('tools/call', {
+            name: 'destroy_workspace',
+            arguments: { workspace_id: 'e2e-sequence' }
+        });
+    });
+
+    test('run_command and run_sequence report a command that exits the shell', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const callTool = async (name, args) => {
+            const response = await sendRequest('tools/call', { name, arguments: { workspace_id: 'e2e-exit', ...args } }, 12000);
+            return response.result.content[0].text;
+        };
+
+        try {
+            // Keeps the session alive once the other windows are gone
+            await callTool('create_window', { window_name: 'keep', shell: 'sh' });
+            await callTool('create_window', { window_name: 'gone', shell: 'sh' });
+            await callTool('create_window', { window_name: 'steps', shell: 'sh' });
+
+            const run = await callTool('run_command', { window_name: 'gone', command: 'echo bye; exit 3', wait: true });
+            expect(run).toMatch(/^The shell in e2e-exit:gone exited before the command finished, so there is no exit code \(\d+ms\)/);
+
+            const steps = await callTool('run_sequence', { window_name: 'steps', commands: ['exit 3', 'echo after'], stop_on_failure: false });
+            expect(steps).toContain('\n[1] shell exited, no exit code (');
+            expect(steps).toEndWith('\n[2] skipped: echo after');
+
+            // Neither window was brought back to wait in
+            const windows = find(split(await callTool('list_workspaces', {}), '\n'), line => line.startsWith('e2e-exit: '));
+            expect(windows).toContain('keep');
+            expect(windows).not.toContain('gone');
+            expect(windows).not.toContain('steps');
+        } finally {
+            await callTool('destroy_workspace', {});
+        }
+    });
+
+    test('run_batch starts commands in their own windows', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const response = await sendRequest('tools/call', {
+            name: 'run_batch',
+            arguments: {
+                workspace_id: 'e2e-batch',
+                wait: false,
+                commands: [
+                    { window_name: 'first', command: 'echo "from first"' },
+                    { window_name: 'second', command: 'echo "from second"' }
+                ]
+            }
+        });
+
+        expect(response.result.content[0].text).toBe('Started 2 commands in workspace e2e-batch:\n[first] echo "from first"\n[second] echo "from second"');
+
+        const list = await sendRequest('tools/call', { name: 'list_workspaces', arguments: {} });
+        expect(list.result.content[0].text).toContain('e2e-batch: main, first, second');
+
+        await sendRequest('tools/call', {
+            name: 'destroy_workspace',
+            arguments: { workspace_id: 'e2e-batch' }
+        });
+    });
+
+    test('write_file and read_file round-trip content', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const directory = await mkdtemp(join(tmpdir(), 'tmux-mcp-e2e-'));
+        const filePath = join(directory, 'script.sh');
+        const content = 'echo "it\'s $HOME"\ncat <<EOF\nnested\nEOF\n';
+
+        try {
+            // The file tools only reach into the window's current directory
+            await sendRequest('tools/call', {
+                name: 'create_window',
+                arguments: { workspace_id: 'e2e-files', window_name: 'files', cwd: directory, shell: 'sh' }
+            });
+
+            const writeResponse = await sendRequest('tools/call', {
+                name: 'write_file',
+                arguments: { path: 'script.sh', content, workspace_id: 'e2e-files', window_name: 'files' }
+            });
+            expect(writeResponse.result.content[0].text).toBe(`Wrote ${Buffer.byteLength(content)} bytes to ${filePath}`);
+
+            const readResponse = await sendRequest('tools/call', {
+                name: 'read_file',
+                arguments: { path: filePath, workspace_id: 'e2e-files', window_name: 'files' }
+            });
+            expect(readResponse.result.content[0].text).toBe(content);
+        } finally {
+            await rm(directory, { recursive: true, force: true });
+            await sendRequest('tools/call', {
+                name: 'destroy_workspace',
+                arguments: { workspace_id: 'e2e-files' }
+            });
+        }
+    });
+
+    test('write_file refuses a link to a file outside the directory that does not exist yet', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const directory = await mkdtemp(join(tmpdir(), 'tmux-mcp-e2e-'));
+        const outside = await mkdtemp(join(tmpdir(), 'tmux-mcp-e2e-outside-'));
+        await symlink(join(outside, 'pwned'), join(directory, 'link'));
+
+        try {
+            await sendRequest('tools/call', {
+                name: 'create_window',
+                arguments: { workspace_id: 'e2e-link', window_name: 'files', cwd: directory, shell: 'sh' }
+            });
+
+            const response = await sendRequest('tools/call', {
+                name: 'write_file',
+                arguments: { path: 'link', content: 'written', workspace_id: 'e2e-link', window_name: 'files' }
+            });
+            expect(response.result.content[0].text).toBe('Error: link is a symlink to a file that doesn\'t exist');
+            expect(await readdir(outside)).toEqual([]);
+        } finally {
+            await rm(directory, { recursive: true, force: true });
+            await rm(outside, { recursive: true, force: true });
+            await sendRequest('tools/call', {
+                name: 'destroy_workspace',
+                arguments: { workspace_id: 'e2e-link' }
+            });
+        }
+    });
+
+    test('window_status reports a window\'s pane', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        await sendRequest('tools/call', {
+            name: 'create_workspace',
+            arguments: { workspace_id: 'e2e-status' }
+        });
+
+        const response = await sendRequest('tools/call', {
+            name: 'window_status',
+            arguments: { workspace_id: 'e2e-status', window_name: 'main' }
+        });
+
+        const text = response.result.content[0].text;
+        expect(text).toStartWith('Status of e2e-status:main:\n[main] ');
+        expect(text).toMatch(/, pane pid \d+, in \//);
+        expect(text).toMatch(/\n {4}\d+x\d+, cursor at \d+,\d+, \d+ lines of history, last activity /);
+
+        await sendRequest('tools/call', {
+            name: 'destroy_workspace',
+            arguments: { workspace_id: 'e2e-status' }
+        });
+    });
+
+    test('create_window starts a window in a directory with extra environment', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const directory = await mkdtemp(join(tmpdir(), 'tmux-mcp-e2e-'));
+        try {
+            // sh starts much faster than an interactive bash with a full profile
+            const created = await sendRequest('tools/call', {
+                name: 'create_window',
+                arguments: { workspace_id: 'e2e-options', window_name: 'app', cwd: directory, env: { MCP_E2E_GREETING: 'hello' }, shell: 'sh' }
+            });
+            expect(created.result.content[0].text).toBe('Created window e2e-options:app');
+
+            const response = await sendRequest('tools/call', {
+                name: 'run_command',
+                arguments: { workspace_id: 'e2e-options', window_name: 'app', command: 'echo "$MCP_E2E_GREETING from $(pwd)"', wait: true, timeout_ms: 4000 }
+            });
+            expect(response.result.content[0].text).toContain(`hello from ${directory}`);
+        } finally {
+            await sendRequest('tools/call', {
+                name: 'destroy_workspace',
+                arguments: { workspace_id: 'e2e-options' }
+            });
+            await rm(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('wait_for_output matches a line longer than the pane', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const callTool = async (name, args) => {
+            const response = await sendRequest('tools/call', { name, arguments: { workspace_id: 'e2e-wrap', window_name: 'server', ...args } }, 12000);
+            return response.result.content[0].text;
+        };
+
+        try {
+            await callTool('create_window', { shell: 'sh' });
+            // Wider than any pane tmux starts detached, so the line wraps, as does the echoed command line
+            const line = `${'a'.repeat(200)} SERVER-READY`;
+            await callTool('run_command', { command: `sleep 1; echo ${line}` });
+
+            const matched = await callTool('wait_for_output', { pattern: 'a SERVER-READY$', timeout_ms: 8000 });
+            expect(matched).toStartWith('Matched /a SERVER-READY$/ in e2e-wrap:server');
+            expect(matched).toContain(`: ${line}\n`);
+            expect(matched).not.toContain('printf');
+            expect(matched).not.toContain('date +%s');
+
+            const timedOut = await callTool('wait_for_output', { pattern: 'never printed', timeout_ms: 500 });
+            expect(timedOut).toContain(`Last screen:\n${line}\n`);
+            expect(timedOut).not.toContain('date +%s');
+        } finally {
+            await sendRequest('tools/call', {
+                name: 'destroy_workspace',
+                arguments: { workspace_id: 'e2e-wrap' }
+            });
+        }
+    });
+
+    test('run_command stays out of the shell history', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const callTool = async (name, args) => {
+            const response = await sendRequest('tools/call', { name, arguments: { workspace_id: 'e2e-history', window_name: 'shell', ...args } });
+            return response.result.content[0].text;
+        };
+
+        try {
+            // Without a profile nothing overrides the HISTCONTROL given here, and without a HISTFILE the
+            // history is only this shell's
+            await callTool('create_window', { shell: 'bash --norc', env: { HISTCONTROL: 'ignorespace', HISTFILE: '' } });
+            await callTool('send_input', { text: 'echo typed' });
+            await callTool('run_command', { command: 'echo wrapped', wait: true, timeout_ms: 4000 });
+
+            // Counted, since lines that quote the wrapper would be left out of the output like the wrapper
+            const count = async pattern => last(split(await callTool('run_command', { command: `history | grep -c '${pattern}'`, wait: true, timeout_ms: 4000 }), '\n'));
+            expect(await count('echo typed')).toBe('1');
+            expect(await count('eval')).toBe('0');
+        } finally {
+            await sendRequest('tools/call', {
+                name: 'destroy_workspace',
+                arguments: { workspace_id: 'e2e-history' }
+            });
+        }
+    });
+
+    test('split_window adds a pane that other tools can target', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const callTool = async (name, args) => {
+            const response = await sendRequest('tools/call', { name, arguments: { workspace_id: 'e2e-panes', ...args } });
+            return response.result.content[0].text;
+        };
+
+        try {
+            // sh starts much faster than an interactive bash with a full profile
+            expect(await callTool('create_window', { window_name: 'dev', shell: 'sh' })).toBe('Created window e2e-panes:dev');
+            expect(await callTool('split_window', { window_name: 'dev', direction: 'vertical', size: '40%', shell: 'sh' })).toMatch(/^Created pane e2e-panes:dev\.1 \(id %\d+\)$/);
+            expect(await callTool('select_layout', { window_name: 'dev', layout: 'even-vertical' })).toBe('Applied layout even-vertical to e2e-panes:dev');
+
+            const run = await callTool('run_command', { window_name: 'dev', pane: '1', command: 'echo from-the-second-pane', wait: true, timeout_ms: 4000 });
+            expect(run).toStartWith('Command exited with code 0 in e2e-panes:dev.1');
+            expect(run).toContain('from-the-second-pane');
+
+            // The split left the first pane active, so the window's output doesn't include it
+            expect(await callTool('get_output', { window_name: 'dev' })).not.toContain('from-the-second-pane');
+            expect(await callTool('get_output', { window_name: 'dev', pane: '1' })).toContain('from-the-second-pane');
+
+            expect(await callTool('window_status', { window_name: 'dev', pane: '1' })).toStartWith('Status of e2e-panes:dev.1:\n[dev] ');
+            expect(await callTool('get_output', { window_name: 'dev', pane: '5' })).toBe('Error: Pane not found: 5 in window dev');
+        } finally {
+            await callTool('destroy_workspace', {});
+        }
+    });
+
+    test('load_workspace creates a workspace once and reconciles it after that', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const callTool = async (name, args) => {
+            const response = await sendRequest('tools/call', { name, arguments: args });
+            return response.result.content[0].text;
+        };
+
+        const directory = await mkdtemp(join(tmpdir(), 'mcp-e2e-workspace-'));
+        const file = join(directory, '.tmuxp.yaml');
+        // sh starts much faster than an interactive bash with a full profile
+        await writeFile(file, [
+            'session_name: e2e-load',
+            'windows:',
+            '  - window_name: dev',
+            '    window_shell: sh',
+            '    layout: even-horizontal',
+            '    panes:',
+            '      - echo first-pane-up',
+            '      - echo second-pane-up',
+            ''
+        ].join('\n'));
+
+        try {
+            expect(await callTool('load_workspace', { path: file })).toBe('Loaded definition into workspace e2e-load:\n[dev] created with 2 panes, started 2 commands');
+            expect(await callTool('wait_for_output', { workspace_id: 'e2e-load', window_name: 'dev', pane: '1', pattern: '^second-pane-up', timeout_ms: 4000 })).toContain('second-pane-up');
+
+            expect(await callTool('load_workspace', { path: file })).toBe('Loaded definition into workspace e2e-load:\n[dev] already existed, left as is');
+            expect(await callTool('list_workspaces', {})).toMatch(/^e2e-load: dev$/m);
+        } finally {
+            await callTool('destroy_workspace', { workspace_id: 'e2e-load' });
+            await rm(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('restore_workspace recreates a destroyed workspace from its snapshot', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const callTool = async (name, args) => {
+            const response = await sendRequest('tools/call', { name, arguments: { workspace_id: 'e2e-snapshot', ...args } });
+            return response.result.content[0].text;
+        };
+
+        const directory = await mkdtemp(join(tmpdir(), 'mcp-e2e-snapshot-'));
+        try {
+            // sh starts much faster than an interactive bash with a full profile
+            await callTool('create_window', { window_name: 'main', cwd: directory, shell: 'sh' });
+            await callTool('split_window', { cwd: directory, shell: 'sh' });
+            await callTool('run_command', { pane: '1', command: 'echo restored-run', wait: true, timeout_ms: 4000 });
+
+            expect(await callTool('snapshot_workspace', {})).toBe(`Saved snapshot of workspace e2e-snapshot to ${join(stateHome, 'tmux-mcp-server', 'e2e-snapshot.json')} (1 window, 2 panes)`);
+            await callTool('destroy_workspace', {});
+
+            expect(await callTool('restore_workspace', { relaunch: true })).toMatch(/^Restored workspace e2e-snapshot from .+e2e-snapshot\.json \(saved [^)]+\):\n\[main\] created with 2 panes, started 1 command$/);
+            expect(await callTool('wait_for_output', { pane: '1', pattern: '^restored-run', timeout_ms: 4000 })).toContain('restored-run');
+            expect(await callTool('window_status', { window_name: 'main', pane: '1' })).toContain(directory);
+        } finally {
+            await callTool('destroy_workspace', {});
+            await rm(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('get_output keeps colors in the spans format', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const callTool = async (name, args) => {
+            const response = await sendRequest('tools/call', { name, arguments: { workspace_id: 'e2e-colors', ...args } });
+            return response.result.content[0].text;
+        };
+
+        try {
+            // sh starts much faster than an interactive bash with a full profile
+            await callTool('create_window', { window_name: 'colors', shell: 'sh' });
+            await callTool('run_command', { window_name: 'colors', command: 'printf \'\\033[31mFAIL\\033[0m one\\nok two\\n\'', wait: true, timeout_ms: 4000 });
+
+            const text = await callTool('get_output', { window_name: 'colors', command: 'last', format: 'spans' });
+            expect(text).toStartWith('[command #1 (exit 0): printf');
+            // The spans follow the line describing the command
+            expect(JSON.parse(text.slice(text.indexOf('\n') + 1))).toEqual([
+                { line: expect.any(Number), spans: [{ text: 'FAIL', fg: 'red' }, { text: ' one' }] },
+                { line: expect.any(Number), spans: [{ text: 'ok two' }] }
+            ]);
+        } finally {
+            await callTool('destroy_workspace', {});
+        }
+    });
+
+    test('get_output joins wrapped lines and keeps their line numbers', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const callTool = async (name, args) => {
+            const response = await sendRequest('tools/call', { name, arguments: { workspace_id: 'e2e-join', ...args } });
+            return response.result.content[0].text;
+        };
+
+        try {
+            // sh starts much faster than an interactive bash with a full profile
+            await callTool('create_window', { window_name: 'logs', shell: 'sh' });
+            await callTool('run_command', { window_name: 'logs', command: 'printf "%0300d needle\\n" 0', wait: true, timeout_ms: 4000 });
+
+            const search = { pattern: 'needle', context_lines: 0 };
+            const plain = await callTool('get_output', { window_name: 'logs', search });
+            const joined = await callTool('get_output', { window_name: 'logs', join_wrapped: true, search });
+
+            // Only the last piece of the wrapped line matches without joining
+            const [, plainLine] = plain.match(/^(\d+): 0+ needle$/m);
+            const [, joinedLine] = joined.match(/^(\d+): 0{300} needle$/m);
+            expect(Number(joinedLine)).toBeLessThan(Number(plainLine));
+        } finally {
+            await callTool('destroy_workspace', {});
+        }
+    });
+
+    test('get_output pages through the scrollback by the line numbers search reports', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const callTool = async (name, args) => {
+            const response = await sendRequest('tools/call', { name, arguments: { workspace_id: 'e2e-range', ...args } });
+            return response.result.content;
+        };
+
+        try {
+            await callTool('create_window', { window_name: 'logs', shell: 'sh' });
+            await callTool('run_command', { window_name: 'logs', command: 'seq 1 200', wait: true, timeout_ms: 4000 });
+
+            const [search] = await callTool('get_output', { window_name: 'logs', search: { pattern: '^150$', context_lines: 0 } });
+            const line = Number(search.text.match(/^(\d+): 150$/m)[1]);
+
+            const [output, range] = await callTool('get_output', { window_name: 'logs', start_line: line - 2, end_line: line });
+            expect(output.text).toBe('148\n149\n150\n');
+            expect(range.text).toMatch(new RegExp(`^lines ${line - 2}-${line} of \\d+; history is lines 1-\\d+, visible screen is lines \\d+-\\d+$`));
+        } finally {
+            await callTool('destroy_workspace', {});
+        }
+    });
+
+    test('get_output keeps long output within max_chars', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const callTool = async (name, args) => {
+            const response = await sendRequest('tools/call', { name, arguments: { workspace_id: 'e2e-budget', ...args } });
+            return response.result.content[0].text;
+        };
+
+        try {
+            await callTool('create_window', { window_name: 'logs', shell: 'sh' });
+            await callTool('run_command', { window_name: 'logs', command: 'seq 1 5000', wait: true, timeout_ms: 4000 });
+
+            const output = await callTool('get_output', { window_name: 'logs', max_chars: 1000 });
+
+            expect(output.length).toBeLessThanOrEqual(1000);
+            expect(output).toMatch(/^\[\d+ lines \(\d+ bytes\) omitted\]$/m);
+            expect(output).toMatch(/^5000$/m);
+        } finally {
+            await callTool('destroy_workspace', {});
+        }
+    });
+
+    test('create_window, rename_window and close_window manage windows', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        const callTool = async (name, args) => {
+            const response = await sendRequest('tools/call', { name, arguments: { workspace_id: 'e2e-windows', ...args } });
+            return response.result.content[0].text;
+        };
+
+        expect(await callTool('create_window', { window_name: 'logs' })).toBe('Created window e2e-windows:logs');
+        expect(await callTool('create_window', { window_name: 'logs' })).toBe('Window e2e-windows:logs already exists');
+        expect(await callTool('rename_window', { window_name: 'logs', new_name: 'tail' })).toBe('Renamed window e2e-windows:logs to tail');
+        expect(await callTool('close_window', { window_name: 'tail' })).toBe('Closed window e2e-windows:tail');
+        expect(await callTool('close_window', { window_name: 'tail' })).toBe('Error: Window not found: tail');
+
+        const list = await sendRequest('tools/call', { name: 'list_workspaces', arguments: {} });
+        expect(list.result.content[0].text).toMatch(/^e2e-windows: main$/m);
+
+        await callTool('destroy_workspace', {});
+    });
+
+    test('resource_usage reports a workspace\'s windows', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        await sendRequest('tools/call', {
+            name: 'create_workspace',
+            arguments: { workspace_id: 'e2e-usage' }
+        });
+
+        const response = await sendRequest('tools/call', {
+            name: 'resource_usage',
+            arguments: { workspace_id: 'e2e-usage' }
+        });
+
+        const text = response.result.content[0].text;
+        expect(text).toMatch(/^Resource usage by workspace \(heaviest first\):\n {2}workspace e2e-usage: [\d.]+% CPU, [\d.]+ MB RSS, \d+ process/);
+        expect(text).toMatch(/\nResource usage by window:\n {2}e2e-usage:main: [\d.]+% CPU/);
+
+        await sendRequest('tools/call', {
+            name: 'destroy_workspace',
+            arguments: { workspace_id: 'e2e-usage' }
+        });
+    });
+
+    test('run_command with timeout_ms stops a command that overruns', async () => {
+        await sendRequest('initialize', {
+            protocolVersion: '0.1.0',
+            capabilities: {},
+            clientInfo: { name: 'test-client', version: '1.0.0' }
+        });
+
+        // Let the new shell finish starting up so C-c reaches the command
+        await sendRequest('tools/call', {
+            name: 'run_command',
+            arguments: { command: 'true', workspace_id: 'e2e-timeout', wait: true, timeout_ms: 4000 }
+        });
+
+        const response = await sendRequest('tools/call', {
+            name: 'run_command',
+            arguments: {
+                command: 'echo "before sleep"; sleep 30',
+                workspace_id: 'e2e-timeout',
+                wait: true,
+                timeout_ms: 1000
+            }
+        });
+
+        const text = response.result.content[0].text;
+        expect(text).toStartWith('Command timed out in e2e-timeout:main and was stopped with C-c');
+        expect(text).toContain('\nbefore sleep');
+
+        // C-c skips the end marker, but the block isn't shown as still running
+        const last = await sendRequest('tools/call', {
+            name: 'get_output',
+            arguments: { workspace_id: 'e2e-timeout', command: 'last' }
+        });
+        expect(last.result.content[0].text).toStartWith('[command #2 (timed out, stopped with C-c): echo "before sleep"; sleep 30]\nbefore sleep');
+
+        await sendRequest('tools/call', {
+            name: 'destroy_workspace',
+            arguments: { workspace_id: 'e2e-timeout' }
+        });
+    });
+
     test('full workflow: create workspace, run command, get output', async () => {
         await sendRequest('initialize', {
             protocolVersion: '0.1.0',
@@ -297,7 +996,7 @@ describe('MCP Interface E2E Tests', () => {
         // Create workspace
         const createResponse = await sendRequest('tools/call', {
             name: 'create_workspace',
-            arguments: { workspace_id: 'e2e-workflow' }
+            arguments: { workspace_id: 'e2e-workflow', description: 'End-to-end workflow', tags: ['e2e', 'ci'] }
         });
         expect(createResponse.result.content[0].text).toBe('Created workspace: e2e-workflow');
 
@@ -320,7 +1019,7 @@ describe('MCP Interface E2E Tests', () => {
             name: 'list_workspaces',
             arguments: {}
         });
-        expect(listResponse.result.content[0].text).toContain('e2e-workflow: main');
+        expect(listResponse.result.content[0].text).toMatch(/^e2e-workflow: main\n {2}created \S+ by \S+, tags: e2e, ci\n {2}End-to-end workflow$/m);
 
         // Destroy workspace
         const destroyResponse = await sendRequest('tools/call', {
@@ -347,8 +1046,16 @@ describe('MCP Interface E2E Tests', () => {
             }
         });
 
-        // Wait for Python to start
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        // Wait for Python to start, which can take a while on a busy machine
+        await sendRequest('tools/call', {
+            name: 'wait_for_output',
+            arguments: {
+                pattern: '^>>>',
+                timeout_ms: 10000,
+                workspace_id: 'e2e-python',
+                window_name: 'repl'
+            }
+        }, 12000);
 
         // Send Python command
         await sendRequest('tools/call', {
@@ -361,7 +1068,15 @@ describe('MCP Interface E2E Tests', () => {
         });
 
         // Wait for execution
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await sendRequest('tools/call', {
+            name: 'wait_for_output',
+            arguments: {
+                pattern: '^Hello from Python',
+                timeout_ms: 3000,
+                workspace_id: 'e2e-python',
+                window_name: 'repl'
+            }
+        });
 
         // Get output
         const outputResponse = await sendRequest('tools/call', {
@@ -374,6 +1089,37 @@ describe('MCP Interface E2E Tests', () => {
 
         expect(outputResponse.result.content[0].text).toContain('Hello from Python');
 
+        // Paste an indented block, then call it
+        await sendRequest('tools/call', {
+            name: 'send_input',
+            arguments: {
+                text: 'def answer():\n    value = 41\n    return value + 1\n',
+                mode: 'paste',
+                workspace_id: 'e2e-python',
+                window_name: 'repl'
+            }
+        });
+        await sendRequest('tools/call', {
+            name: 'send_input',
+            arguments: {
+                text: 'print("answer is", answer())',
+                workspace_id: 'e2e-python',
+                window_name: 'repl'
+            }
+        });
+
+        const pasteResponse = await sendRequest('tools/call', {
+            name: 'wait_for_output',
+            arguments: {
+                pattern: 'answer is 42',
+                timeout_ms: 3000,
+                workspace_id: 'e2e-python',
+                window_name: 'repl'
+            }
+        });
+
+        expect(pasteResponse.result.content[0].text).toContain('answer is 42');
+
         // Send exit
         await sendRequest('tools/call', {
             name: 'send_keys',
@@ -389,7 +1135,7 @@ describe('MCP Interface E2E Tests', () => {
             name: 'destroy_workspace',
             arguments: { workspace_id: 'e2e-python' }
         });
-    });
+    }, 30000);
 
     test('search functionality', async () => {
         await sendRequest('initialize', {
@@ -492,9 +1238,10 @@ describe('MCP Interface E2E Tests', () => {
             }
         });
 
-        // Wait for commands using polling
-        const output1 = await waitForOutput(sendRequest, 'e2e-multi', 'Window 1', 'window1');
-        const output2 = await waitForOutput(sendRequest, 'e2e-multi', 'Window 2', 'window2');
+        // Wait for commands using polling. The echoed command line isn't part of the output, so this
+        // waits for the new shells to start and run them.
+        const output1 = await waitForOutput(sendRequest, 'e2e-multi', 'Window 1', 'window1', 15000);
+        const output2 = await waitForOutput(sendRequest, 'e2e-multi', 'Window 2', 'window2', 15000);
 
         expect(output1.result.content[0].text).toContain('Window 1');
         expect(output2.result.content[0].text).toContain('Window 2');
@@ -512,5 +1259,5 @@ describe('MCP Interface E2E Tests', () => {
             name: 'destroy_workspace',
             arguments: { workspace_id: 'e2e-multi' }
         });
-    });
+    }, 35000);
 });
@@ -0,0 +1,83 @@
+import { describe, test, expect } from 'bun:test';
+import { formatLines, parseAnsi, stripAnsi } from '../../src/ansi.js';
+
+// What capture-pane -e writes: styles only change when they need to, and can run on to the next line
+const CAPTURE = [
+    '\x1b[31mFAIL\x1b[39m src/app.test.js \x1b[1m\x1b[32m3 passed\x1b[0m\x1b[39m\x1b[49m',
+    '\x1b[4m\x1b[44mstill underlined',
+    '\x1b[0m\x1b[39m\x1b[49mplain \x1b[91mbright',
+    '',
+    'x\x1b[38;5;208m256\x1b[39m \x1b[38;2;10;20;30mrgb\x1b[39m \x1b[48:2::255:0:0mcolon\x1b[0m'
+].join('\n');
+
+describe('parseAnsi', () => {
+    test('splits lines into styled spans and carries styles across lines', () => {
+        expect(parseAnsi(CAPTURE)).toEqual([
+            [
+                { text: 'FAIL', fg: 'red' },
+                { text: ' src/app.test.js ' },
+                { text: '3 passed', bold: true, fg: 'green' }
+            ],
+            [{ text: 'still underlined', underline: true, bg: 'blue' }],
+            [{ text: 'plain ' }, { text: 'bright', fg: 'bright-red' }],
+            [],
+            [
+                { text: 'x', fg: 'bright-red' },
+                { text: '256', fg: '#ff8700' },
+                { text: ' ' },
+                { text: 'rgb', fg: '#0a141e' },
+                { text: ' ' },
+                { text: 'colon', bg: '#ff0000' }
+            ]
+        ]);
+    });
+
+    test('turns attributes off individually and ignores escapes that are not SGR', () => {
+        const lines = parseAnsi('\x1b[1;3;7mon\x1b[22;27m italic\x1b[2K\x1b]8;;https://example.com\x1b\\ link\x1b[m end');
+
+        expect(lines).toEqual([[
+            { text: 'on', bold: true, italic: true, inverse: true },
+            { text: ' italic link', italic: true },
+            { text: ' end' }
+        ]]);
+    });
+});
+
+describe('stripAnsi', () => {
+    test('leaves only the text', () => {
+        expect(stripAnsi(CAPTURE)).toBe('FAIL src/app.test.js 3 passed\nstill underlined\nplain bright\n\nx256 rgb colon');
+    });
+});
+
+describe('formatLines', () => {
+    const lines = parseAnsi('\x1b[31mred <b>\x1b[0m & \x1b[7minverse\x1b[0m\n\n\x1b[1;93mwarn\x1b[0m');
+
+    test('writes self-contained escape sequences for ansi', () => {
+        expect(formatLines(lines, 'ansi')).toBe('\x1b[31mred <b>\x1b[0m & \x1b[7minverse\x1b[0m\n\n\x1b[1;93mwarn\x1b[0m');
+    });
+
+    test('writes styled spans for html', () => {
+        expect(formatLines(lines, 'html')).toBe([
+            '<span style="color:#cd0000">red &lt;b&gt;</span> &amp; <span style="color:Canvas;background-color:CanvasText">inverse</span>',
+            '',
+            '<span style="color:#ffff00;font-weight:bold">warn</span>'
+        ].join('\n'));
+    });
+
+    test('writes one JSON entry per non-blank line for spans', () => {
+        const text = formatLines(lines, 'spans', [40, 41, 42]);
+
+        expect(text).toBe([
+            '[',
+            '{"line":41,"spans":[{"text":"red <b>","fg":"red"},{"text":" & "},{"text":"inverse","inverse":true}]},',
+            '{"line":43,"spans":[{"text":"warn","bold":true,"fg":"bright-yellow"}]}',
+            ']'
+        ].join('\n'));
+        expect(JSON.parse(text)).toHaveLength(2);
+        expect(formatLines([[]], 'spans')).toBe('[]');
+    });
+
+    test('writes plain text otherwise', () => {
+        expect(formatLines(lines, 'text')).toBe('red <b> & inverse\n\nwarn');
+    });
+});
@@ -0,0 +1,38 @@
+import { describe, test, expect } from 'bun:test';
+import { parseAnsi } from '../../src/ansi.js';
+import { normalizeLines } from '../../src/normalize-output.js';
+
+describe('normalizeLines', () => {
+    const lines = parseAnsi('one  \n\n   \n\ntwo\x7f\x01\t\x1b[31mred  \x1b[0m  \n\n');
+    const lineNumbers = [10, 11, 12, 13, 14, 15, 16];
+
+    test('leaves lines alone without options', () => {
+        expect(normalizeLines(lines, lineNumbers)).toEqual({ lines, lineNumbers });
+    });
+
+    test('trims trailing whitespace across spans', () => {
+        const { lines: trimmed } = normalizeLines(lines, lineNumbers, { trim: true });
+
+        expect(trimmed[0]).toEqual([{ text: 'one' }]);
+        expect(trimmed[2]).toEqual([]);
+        expect(trimmed[4]).toEqual([{ text: 'two\x7f\x01\t' }, { text: 'red', fg: 'red' }]);
+    });
+
+    test('strips control characters but keeps tabs', () => {
+        const { lines: stripped } = normalizeLines(lines, lineNumbers, { strip: true });
+
+        expect(stripped[4][0]).toEqual({ text: 'two\t' });
+    });
+
+    test('collapses runs of blank lines and keeps the line numbers of the rest', () => {
+        expect(normalizeLines(lines, lineNumbers, { collapse: true, trim: true })).toEqual({
+            lines: [
+                [{ text: 'one' }],
+                [],
+                [{ text: 'two\x7f\x01\t' }, { text: 'red', fg: 'red' }],
+                []
+            ],
+            lineNumbers: [10, 11, 14, 15]
+        });
+    });
+});
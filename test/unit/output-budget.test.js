@@ -0,0 +1,53 @@
+import { describe, test, expect } from 'bun:test';
+import _ from 'lodash';
+import { elideOutput } from '../../src/output-budget.js';
+
+describe('elideOutput', () => {
+    const lines = _.map(_.range(1, 101), number => (number % 10 === 0 ? `line ${number} Error: failed` : `line ${number}`));
+    const output = `${lines.join('\n')}\n`;
+
+    test('leaves output within the budget alone', () => {
+        expect(elideOutput(output, output.length)).toBe(output);
+        expect(elideOutput(output, undefined)).toBe(output);
+    });
+
+    test('keeps whole lines from the start and end and says what was left out', () => {
+        const elided = elideOutput(output, 300);
+        const [head, tail] = _.split(elided, /\[\d+ lines \(\d+ bytes\) omitted\]\n/);
+
+        expect(elided.length).toBeLessThanOrEqual(300);
+        expect(head).toBe(`${_.take(lines, 10).join('\n')}\n`);
+        expect(tail).toBe(`${_.takeRight(lines, 9).join('\n')}\n`);
+        expect(elided).toContain('\n[81 lines (760 bytes) omitted]\n');
+    });
+
+    test('counts the lines left out that look like errors', () => {
+        expect(elideOutput(output, 300, { countErrors: true })).toContain('[81 lines (760 bytes) omitted; 8 of them look like errors]');
+    });
+
+    test('splits a single line that is too long on its own', () => {
+        const elided = elideOutput('é'.repeat(1000), 320);
+
+        expect(elided).toBe(`${'é'.repeat(100)}\n[1 line (1600 bytes) omitted]\n${'é'.repeat(100)}`);
+    });
+
+    test('writes the marker as an entry when the output is JSON', () => {
+        const entries = _.map(_.range(1, 51), number => JSON.stringify({ line: number, spans: [{ text: `line ${number}` }] }));
+        const json = `[\n${entries.join(',\n')}\n]`;
+
+        const parsed = JSON.parse(elideOutput(json, 400, { json: true, countErrors: true }));
+
+        expect(_.first(parsed)).toEqual({ line: 1, spans: [{ text: 'line 1' }] });
+        expect(_.last(parsed)).toEqual({ line: 50, spans: [{ text: 'line 50' }] });
+        expect(_.find(parsed, 'omitted')).toEqual({ omitted: { lines: expect.any(Number), bytes: expect.any(Number), errors: 0 } });
+        expect(JSON.parse(elideOutput(json, 130, { json: true }))).toEqual([{ omitted: expect.any(Object) }]);
+    });
+
+    test('keeps the JSON brackets however small the budget', () => {
+        const entries = _.map(_.range(1, 51), number => JSON.stringify({ line: number, spans: [{ text: `line ${number}` }] }));
+        const json = `[\n${entries.join(',\n')}\n]`;
+
+        expect(JSON.parse(elideOutput(json, 1, { json: true }))).toEqual([{ omitted: { lines: 50, bytes: json.length - 4 } }]);
+        expect(JSON.parse(elideOutput(json, 100, { json: true }))).toEqual([{ omitted: { lines: 50, bytes: json.length - 4 } }]);
+    });
+});
@@ -1,5 +1,5 @@
 import { describe, test, expect, beforeEach, afterEach, mock, spyOn } from 'bun:test';
-import { isFunction } from 'lodash';
+import _, { isFunction } from 'lodash';
 import TmuxMcpServer from '../../src/server.js';
 
 describe('TmuxMcpServer Integration Tests', () => {
@@ -19,7 +19,10 @@ describe('TmuxMcpServer Integration Tests', () => {
             sessionExists: mock().mockResolvedValue(true),
             windowExists: mock().mockResolvedValue(true),
             createWindow: mock().mockResolvedValue(),
+            closeWindow: mock().mockResolvedValue(),
+            renameWindow: mock().mockResolvedValue(),
             destroySession: mock().mockResolvedValue(),
+            setWorkspaceMetadata: mock().mockResolvedValue(),
             listSessions: mock().mockResolvedValue(['session1', 'session2']),
             listWindows: mock().mockResolvedValue(['main', 'window1']),
             listWorkspaces: mock().mockResolvedValue([
@@ -27,6 +30,41 @@ describe('TmuxMcpServer Integration Tests', () => {
                 { workspace_id: 'workspace2', windows: ['main'] }
             ]),
             sendKeys: mock().mockResolvedValue(),
+            sendInput: mock().mockResolvedValue(),
+            getCommandHistory: mock().mockResolvedValue([]),
+            startCommand: mock().mockResolvedValue('abcd1234'),
+            findCommandBlocks: mock().mockReturnValue([]),
+            findMarkers: mock().mockResolvedValue([]),
+            getOutputCursor: mock().mockResolvedValue('abc123'),
+            captureSince: mock(),
+            captureJoined: mock(),
+            captureRange: mock(),
+            waitForOutput: mock(),
+            waitForIdle: mock(),
+            runSequence: mock().mockResolvedValue([]),
+            runBatch: mock().mockResolvedValue([]),
+            getWindowStatus: mock().mockResolvedValue([]),
+            getResourceUsage: mock().mockResolvedValue({ windows: [], workspaces: [] }),
+            splitWindow: mock().mockResolvedValue({ paneIndex: 1, paneId: '%8' }),
+            selectLayout: mock().mockResolvedValue(),
+            snapshotWorkspace: mock().mockResolvedValue({
+                path: '/state/tmux-mcp-server/proj.json',
+                snapshot: { windows: [{ name: 'server', panes: [{}, {}] }, { name: 'tests', panes: [{}] }] }
+            }),
+            restoreWorkspace: mock().mockResolvedValue({
+                path: '/state/tmux-mcp-server/proj.json',
+                created: '2026-10-19T08:00:00.000Z',
+                windows: [{ windowName: 'server', created: true, panesAdded: 1, commandsStarted: 0 }]
+            }),
+            loadWorkspace: mock().mockResolvedValue([
+                { windowName: 'server', created: true, panesAdded: 1, commandsStarted: 2 },
+                { windowName: 'db', created: false, panesAdded: 1, commandsStarted: 1 },
+                { windowName: 'shell', created: false, panesAdded: 0, commandsStarted: 0 }
+            ]),
+            sendSignal: mock().mockResolvedValue({ signal: 'SIGHUP', pgid: 4242, command: 'nginx' }),
+            writeFile: mock().mockResolvedValue({ path: '/repo/notes.txt', bytes: 5 }),
+            readFile: mock().mockResolvedValue({ path: '/repo/notes.txt', bytes: 5, content: 'hello' }),
+            executeCommand: mock().mockResolvedValue({ output: 'test output', exitCode: 0, timedOut: false, duration: 12 }),
             capturePane: mock().mockResolvedValue('test output')
         };
 
@@ -52,13 +90,31 @@ describe('TmuxMcpServer Integration Tests', () => {
         test('getToolDefinitions returns all tools', () => {
             const tools = server.getToolDefinitions();
 
-            expect(tools).toHaveLength(8);
+            expect(tools).toHaveLength(26);
             expect(tools.map(t => t.name)).toEqual([
                 'run_command',
+                'run_sequence',
+                'run_batch',
                 'get_output',
+                'wait_for_output',
+                'wait_for_idle',
                 'send_input',
                 'send_keys',
+                'send_signal',
+                'window_status',
+                'resource_usage',
+                'command_history',
+                'write_file',
+                'read_file',
                 'scrollback_size',
+                'create_window',
+                'close_window',
+                'rename_window',
+                'split_window',
+                'select_layout',
+                'load_workspace',
+                'snapshot_workspace',
+                'restore_workspace',
                 'create_workspace',
                 'destroy_workspace',
                 'list_workspaces'
@@ -96,7 +152,7 @@ describe('TmuxMcpServer Integration Tests', () => {
                 const result = await server.handleRunCommand({ command: 'echo test' });
 
                 expect(mockTmuxManager.createSession).toHaveBeenCalledWith('default');
-                expect(mockTmuxManager.sendKeys).toHaveBeenCalledWith('default', 'main', ['e', 'c', 'h', 'o', ' ', 't', 'e', 's', 't', 'C-m']);
+                expect(mockTmuxManager.startCommand).toHaveBeenCalledWith('default', 'main', 'echo test', { timeout: undefined });
                 expect(result.content[0].text).toBe('Started command in default:main');
             });
 
@@ -108,9 +164,197 @@ describe('TmuxMcpServer Integration Tests', () => {
                 });
 
                 expect(mockTmuxManager.createSession).toHaveBeenCalledWith('myproject');
-                expect(mockTmuxManager.sendKeys).toHaveBeenCalledWith('myproject', 'tests', ['n', 'p', 'm', ' ', 't', 'e', 's', 't', 'C-m']);
+                expect(mockTmuxManager.startCommand).toHaveBeenCalledWith('myproject', 'tests', 'npm test', { timeout: undefined });
                 expect(result.content[0].text).toBe('Started command in myproject:tests');
             });
+
+            test('waits for the command and returns its output and exit code', async () => {
+                const result = await server.handleRunCommand({ command: 'npm test', wait: true });
+
+                expect(mockTmuxManager.executeCommand).toHaveBeenCalledWith('default', 'main', 'npm test', { timeout: undefined, interrupt: false });
+                expect(mockTmuxManager.startCommand).not.toHaveBeenCalled();
+                expect(result.content[0].text).toBe('Command exited with code 0 in default:main (12ms)\ntest output');
+            });
+
+            test('reports a wait that gave up while the command keeps running', async () => {
+                mockTmuxManager.executeCommand.mockResolvedValue({ output: '', exitCode: null, timedOut: true, stoppedBy: null, duration: 30001 });
+
+                const result = await server.handleRunCommand({ command: 'sleep 100', wait: true });
+
+                expect(result.content[0].text).toBe('Command still running in default:main after 30001ms (use get_output to follow it)');
+            });
+
+            test('interrupts a waited command that overruns timeout_ms', async () => {
+                mockTmuxManager.executeCommand.mockResolvedValue({ output: 'partial', exitCode: 143, timedOut: true, stoppedBy: 'SIGTERM', duration: 5012 });
+
+                const result = await server.handleRunCommand({ command: 'npm test', wait: true, timeout_ms: 1000 });
+
+                expect(mockTmuxManager.executeCommand).toHaveBeenCalledWith('default', 'main', 'npm test', { timeout: 1000, interrupt: true });
+                expect(result.content[0].text).toBe('Command timed out in default:main and was stopped with SIGTERM, exit code 143 (5012ms)\npartial');
+            });
+
+            test('reports a timed out command that could not be stopped', async () => {
+                mockTmuxManager.executeCommand.mockResolvedValue({ output: '', exitCode: null, timedOut: true, stoppedBy: null, duration: 7000 });
+
+                const result = await server.handleRunCommand({ command: 'stuck', wait: true, timeout_ms: 1000 });
+
+                expect(result.content[0].text).toBe('Command timed out in default:main and is still running after C-c, SIGTERM and SIGKILL (7000ms)');
+            });
+
+            test('reports a command that ended the shell it ran in', async () => {
+                mockTmuxManager.executeCommand.mockResolvedValue({ output: 'bye', exitCode: null, timedOut: false, stoppedBy: null, closed: true, duration: 40 });
+
+                const result = await server.handleRunCommand({ command: 'echo bye; exit 3', wait: true });
+
+                expect(result.content[0].text).toBe('The shell in default:main exited before the command finished, so there is no exit code (40ms)\nbye');
+            });
+
+            test('starts a new window with the directory and environment given', async () => {
+                mockTmuxManager.createWindow.mockResolvedValue(true);
+
+                const result = await server.handleRunCommand({ command: 'npm test', window_name: 'api', cwd: '/repo/api', env: { CI: '1' } });
+
+                expect(mockTmuxManager.createWindow).toHaveBeenCalledWith('default', 'api', { cwd: '/repo/api', env: { CI: '1' } });
+                expect(mockTmuxManager.createSession).not.toHaveBeenCalled();
+                expect(result.content[0].text).toBe('Started command in default:api');
+            });
+
+            test('notes window options that an existing window did not get', async () => {
+                mockTmuxManager.createWindow.mockResolvedValue(false);
+
+                const result = await server.handleRunCommand({ command: 'npm test', wait: true, cwd: '/repo' });
+
+                expect(result.content[0].text).toBe('Window default:main already existed, so cwd was not applied\nCommand exited with code 0 in default:main (12ms)\ntest output');
+            });
+
+            test('arms a timeout for a command it does not wait for', async () => {
+                const result = await server.handleRunCommand({ command: 'tail -f log', timeout_ms: 60000 });
+
+                expect(mockTmuxManager.startCommand).toHaveBeenCalledWith('default', 'main', 'tail -f log', { timeout: 60000 });
+                expect(result.content[0].text).toBe('Started command in default:main (will be stopped if still running after 60000ms)');
+            });
+        });
+
+        describe('handleRunSequence', () => {
+            test('summarizes each step and lists the skipped ones', async () => {
+                mockTmuxManager.runSequence.mockResolvedValue([
+                    { command: 'npm ci', output: 'added 12 packages', exitCode: 0, timedOut: false, stoppedBy: null, duration: 900 },
+                    { command: 'npm run build', output: 'line 1\nline 2\nerror: boom', exitCode: 2, timedOut: false, stoppedBy: null, duration: 40 }
+                ]);
+
+                const result = await server.handleRunSequence({ commands: ['npm ci', 'npm run build', 'npm test'], output_lines: 2 });
+
+                expect(mockTmuxManager.runSequence).toHaveBeenCalledWith('default', 'main', ['npm ci', 'npm run build', 'npm test'], {
+                    stopOnFailure: true,
+                    timeout: undefined,
+                    interrupt: false
+                });
+                expect(result.content[0].text).toMatch(/^Ran 2 of 3 steps in default:main \(\d+ms\), 1 failed:\n/);
+                expect(_.tail(_.split(result.content[0].text, '\n'))).toEqual([
+                    '[1] exit 0 (900ms): npm ci',
+                    '    added 12 packages',
+                    '[2] exit 2 (40ms): npm run build',
+                    '    line 2',
+                    '    error: boom',
+                    '[3] skipped: npm test'
+                ]);
+            });
+
+            test('passes per-step timeouts and reports stopped steps', async () => {
+                mockTmuxManager.runSequence.mockResolvedValue([
+                    { command: 'npm test', output: '', exitCode: null, timedOut: true, stoppedBy: 'C-c', duration: 5300 },
+                    { command: 'npm run lint', output: '', exitCode: 0, timedOut: false, stoppedBy: null, duration: 10 }
+                ]);
+
+                const result = await server.handleRunSequence({
+                    commands: ['npm test', 'npm run lint'],
+                    window_name: 'ci',
+                    stop_on_failure: false,
+                    timeout_ms: 5000
+                });
+
+                expect(mockTmuxManager.runSequence).toHaveBeenCalledWith('default', 'ci', ['npm test', 'npm run lint'], {
+                    stopOnFailure: false,
+                    timeout: 5000,
+                    interrupt: true
+                });
+                expect(result.content[0].text).toContain('\n[1] timed out, stopped with C-c (5300ms): npm test\n[2] exit 0 (10ms): npm run lint');
+            });
+
+            test('reports a step that ended the shell', async () => {
+                mockTmuxManager.runSequence.mockResolvedValue([
+                    { command: 'exit 3', output: '', exitCode: null, timedOut: false, stoppedBy: null, closed: true, duration: 20 }
+                ]);
+
+                const result = await server.handleRunSequence({ commands: ['exit 3', 'npm test'] });
+
+                expect(result.content[0].text).toMatch(/^Ran 1 of 2 steps in default:main \(\d+ms\), 1 failed:\n\[1\] shell exited, no exit code \(20ms\): exit 3\n\[2\] skipped: npm test$/);
+            });
+
+            test('rejects an empty list of commands', async () => {
+                const result = await server.handleRunSequence({ commands: [] });
+
+                expect(result.content[0].text).toBe('Error: commands must contain at least one command');
+                expect(mockTmuxManager.runSequence).not.toHaveBeenCalled();
+            });
+        });
+
+        describe('handleRunBatch', () => {
+            const commands = [
+                { window_name: 'lint', command: 'npm run lint' },
+                { window_name: 'test', command: 'npm test' },
+                { window_name: 'serve', command: 'npm start' }
+            ];
+
+            test('waits for every command and reports each window', async () => {
+                mockTmuxManager.runBatch.mockResolvedValue([
+                    { windowName: 'lint', command: 'npm run lint', output: 'clean', exitCode: 0, timedOut: false, stoppedBy: null, duration: 300 },
+                    { windowName: 'test', command: 'npm test', output: '1 failing', exitCode: 1, timedOut: false, stoppedBy: null, duration: 900 },
+                    { windowName: 'serve', command: 'npm start', output: 'listening', exitCode: null, timedOut: true, stoppedBy: null, duration: 30000 }
+                ]);
+
+                const result = await server.handleRunBatch({ workspace_id: 'proj', commands });
+
+                expect(mockTmuxManager.runBatch).toHaveBeenCalledWith('proj', [
+                    { windowName: 'lint', command: 'npm run lint' },
+                    { windowName: 'test', command: 'npm test' },
+                    { windowName: 'serve', command: 'npm start' }
+                ], { wait: true, timeout: undefined, interrupt: false });
+                expect(result.content[0].text).toMatch(/^Ran 3 commands in workspace proj \(\d+ms\): 1 succeeded, 1 failed, 1 still running\n/);
+                expect(_.tail(_.split(result.content[0].text, '\n'))).toEqual([
+                    '[lint] exit 0 (300ms): npm run lint',
+                    '    clean',
+                    '[test] exit 1 (900ms): npm test',
+                    '    1 failing',
+                    '[serve] still running (30000ms): npm start',
+                    '    listening'
+                ]);
+            });
+
+            test('starts the commands without waiting', async () => {
+                mockTmuxManager.runBatch.mockResolvedValue([
+                    { windowName: 'lint', command: 'npm run lint', id: 'aaaaaaaa' },
+                    { windowName: 'test', command: 'npm test', id: 'bbbbbbbb' }
+                ]);
+
+                const result = await server.handleRunBatch({ commands: _.take(commands, 2), wait: false, timeout_ms: 60000 });
+
+                expect(mockTmuxManager.runBatch.mock.calls[0][2]).toEqual({ wait: false, timeout: 60000, interrupt: true });
+                expect(result.content[0].text).toBe('Started 2 commands in workspace default:\n[lint] npm run lint\n[test] npm test');
+            });
+
+            test('rejects two commands for the same window', async () => {
+                const result = await server.handleRunBatch({ commands: [...commands, { window_name: 'test', command: 'npm run e2e' }] });
+
+                expect(result.content[0].text).toBe('Error: Window test appears more than once in the batch');
+                expect(mockTmuxManager.runBatch).not.toHaveBeenCalled();
+            });
+
+            test('rejects an empty batch', async () => {
+                const result = await server.handleRunBatch({ commands: [] });
+
+                expect(result.content[0].text).toBe('Error: commands must contain at least one command');
+            });
         });
 
         describe('handleGetOutput', () => {
@@ -119,8 +363,9 @@ describe('TmuxMcpServer Integration Tests', () => {
 
                 const result = await server.handleGetOutput({});
 
-                expect(mockTmuxManager.capturePane).toHaveBeenCalledWith('default', 'main');
+                expect(mockTmuxManager.capturePane).toHaveBeenCalledWith('default', 'main', undefined, undefined, { escapes: false });
                 expect(result.content[0].text).toBe('captured output');
+                expect(result.content[1].text).toBe('cursor: abc123');
             });
 
             test('captures output with line count', async () => {
@@ -128,7 +373,7 @@ describe('TmuxMcpServer Integration Tests', () => {
 
                 const result = await server.handleGetOutput({ lines: 100 });
 
-                expect(mockTmuxManager.capturePane).toHaveBeenCalledWith('default', 'main', 100);
+                expect(mockTmuxManager.capturePane).toHaveBeenCalledWith('default', 'main', 100, undefined, { escapes: false });
                 expect(result.content[0].text).toBe('last 100 lines');
             });
 
@@ -141,6 +386,319 @@ describe('TmuxMcpServer Integration Tests', () => {
                 expect(result.content[0].text).toBe('Error: Cannot specify both lines and search');
             });
 
+            test('rejects both lines and since', async () => {
+                const result = await server.handleGetOutput({ lines: 50, since: 'abc123' });
+
+                expect(result.content[0].text).toBe('Error: Cannot specify both lines and since');
+            });
+
+            test('returns only output added since the cursor', async () => {
+                mockTmuxManager.captureSince.mockResolvedValue({
+                    output: 'old\n$ ls\nfile\n$ \n\n',
+                    fromLine: 1,
+                    wrapped: false,
+                    cursor: 'def456'
+                });
+
+                const result = await server.handleGetOutput({ since: 'abc123' });
+
+                expect(mockTmuxManager.captureSince).toHaveBeenCalledWith('default', 'main', 'abc123', undefined, { escapes: false, join: false });
+                expect(mockTmuxManager.capturePane).not.toHaveBeenCalled();
+                expect(result.content[0].text).toBe('$ ls\nfile\n$ ');
+                expect(result.content[1].text).toBe('cursor: def456');
+            });
+
+            test('searches only output added since the cursor', async () => {
+                mockTmuxManager.captureSince.mockResolvedValue({
+                    output: 'error old\nok\nerror new\n',
+                    fromLine: 2,
+                    wrapped: false,
+                    cursor: 'def456'
+                });
+
+                const result = await server.handleGetOutput({ since: 'abc123', search: { pattern: 'error', context_lines: 0 } });
+
+                expect(result.content[0].text).toBe('3: error new');
+            });
+
+            test('warns when the scrollback wrapped past the cursor', async () => {
+                mockTmuxManager.captureSince.mockResolvedValue({
+                    output: 'x\ny\n',
+                    fromLine: 0,
+                    wrapped: true,
+                    cursor: 'def456'
+                });
+
+                const result = await server.handleGetOutput({ since: 'abc123' });
+
+                expect(result.content[0].text).toBe('Warning: scrollback wrapped past the cursor, so some output was lost. Showing all available history.\nx\ny');
+            });
+
+            test('reports when nothing new was written', async () => {
+                mockTmuxManager.captureSince.mockResolvedValue({ output: 'old\n$ \n', fromLine: 2, wrapped: false, cursor: 'def456' });
+
+                const result = await server.handleGetOutput({ since: 'abc123' });
+
+                expect(result.content[0].text).toBe('(no new output)');
+            });
+
+            test('returns the output of the last command', async () => {
+                mockTmuxManager.findCommandBlocks.mockReturnValue([
+                    { index: 1, command: 'make', start: 1, end: 3, exitCode: 0, output: 'built' },
+                    { index: 2, command: 'make test', start: 5, end: 8, exitCode: 1, output: 'FAIL one\nFAIL two' }
+                ]);
+
+                const result = await server.handleGetOutput({ command: 'last' });
+
+                expect(result.content[0].text).toBe('[command #2 (exit 1): make test]\nFAIL one\nFAIL two');
+            });
+
+            test('selects commands by index, counting back with negative numbers', async () => {
+                mockTmuxManager.findCommandBlocks.mockReturnValue([
+                    { index: 1, command: 'make', start: 1, end: 3, exitCode: 0, output: 'built' },
+                    { index: 2, command: 'make test', start: 5, end: null, exitCode: null, output: 'running' }
+                ]);
+
+                const first = await server.handleGetOutput({ command: '1' });
+                const previous = await server.handleGetOutput({ command: -2 });
+
+                expect(first.content[0].text).toBe('[command #1 (exit 0): make]\nbuilt');
+                expect(previous.content[0].text).toBe('[command #1 (exit 0): make]\nbuilt');
+            });
+
+            test('searches within a single command block', async () => {
+                mockTmuxManager.capturePane.mockResolvedValue('x\n__MCP_START_aaaaaaaa__\nerror one\n__MCP_END_aaaaaaaa:1__\nerror two');
+                mockTmuxManager.findCommandBlocks.mockReturnValue([
+                    { index: 1, command: 'make', start: 1, end: 3, exitCode: 1, output: 'error one' }
+                ]);
+
+                const result = await server.handleGetOutput({ command: 'last', search: { pattern: 'error', context_lines: 0 } });
+
+                expect(result.content[0].text).toBe('[command #1 (exit 1): make]\n3: error one');
+            });
+
+            test('leaves out the lines run_command added and keeps their line numbers', async () => {
+                mockTmuxManager.capturePane.mockResolvedValue('$ printf ... eval \'make\' ...\n__MCP_START_aaaaaaaa__\nerror one\n\n__MCP_END_aaaaaaaa:1__\n$ ');
+                mockTmuxManager.findMarkers.mockResolvedValue([0, 1, 3, 4]);
+                mockTmuxManager.findCommandBlocks.mockReturnValue([
+                    { index: 1, command: 'make', start: 1, end: 4, exitCode: 1, output: 'error one' }
+                ]);
+
+                const plain = await server.handleGetOutput({});
+                const search = await server.handleGetOutput({ search: { pattern: 'error|make', context_lines: 1 } });
+
+                expect(mockTmuxManager.findMarkers).toHaveBeenCalledWith('default', 'main', expect.any(String), undefined, undefined, { escapes: false, join: false });
+                expect(plain.content[0].text).toBe('error one\n$ ');
+                expect(search.content[0].text).toBe('[command #1 (exit 1): make]\n3: error one\n6: $ ');
+            });
+
+            test('reports unknown command blocks', async () => {
+                const result = await server.handleGetOutput({ command: '3' });
+
+                expect(result.content[0].text).toBe('Error: No command 3 in the scrollback of default:main (0 found)');
+            });
+
+            test('renders colors in the requested format', async () => {
+                mockTmuxManager.capturePane.mockResolvedValue('\x1b[31mFAIL\x1b[39m app.test.js\n\x1b[32mok\x1b[39m\n\n');
+
+                const spans = await server.handleGetOutput({ lines: 10, format: 'spans' });
+                const html = await server.handleGetOutput({ format: 'html' });
+
+                expect(mockTmuxManager.capturePane).toHaveBeenCalledWith('default', 'main', 10, undefined, { escapes: true });
+                expect(JSON.parse(spans.content[0].text)).toEqual([
+                    { line: 1, spans: [{ text: 'FAIL', fg: 'red' }, { text: ' app.test.js' }] },
+                    { line: 2, spans: [{ text: 'ok', fg: 'green' }] }
+                ]);
+                expect(spans.content[1].text).toBe('cursor: abc123');
+                expect(html.content[0].text).toBe('<span style="color:#cd0000">FAIL</span> app.test.js\n<span style="color:#00cd00">ok</span>');
+            });
+
+            test('renders only the new output since the cursor, keeping colors set before it', async () => {
+                mockTmuxManager.captureSince.mockResolvedValue({
+                    output: 'old \x1b[33mwarning\ncontinued\x1b[0m\n$ \n',
+                    fromLine: 1,
+                    wrapped: false,
+                    cursor: 'def456'
+                });
+
+                const result = await server.handleGetOutput({ since: 'abc123', format: 'ansi' });
+
+                expect(mockTmuxManager.captureSince).toHaveBeenCalledWith('default', 'main', 'abc123', undefined, { escapes: true, join: false });
+                expect(result.content[0].text).toBe('\x1b[33mcontinued\x1b[0m\n$ ');
+            });
+
+            test('renders a command block up to its end marker', async () => {
+                mockTmuxManager.capturePane.mockResolvedValue([
+                    '\x1b[8m__MCP_START_aaaaaaaa__\x1b[0m',
+                    '\x1b[31merror\x1b[39m one',
+                    'no newline\x1b[8m',
+                    '__MCP_END_aaaaaaaa:1__\x1b[0m',
+                    '$ '
+                ].join('\n'));
+                mockTmuxManager.findCommandBlocks.mockReturnValue([
+                    { index: 1, command: 'make', start: 0, end: 3, exitCode: 1, output: 'error one\nno newline' }
+                ]);
+
+                const result = await server.handleGetOutput({ command: 'last', format: 'spans' });
+
+                expect(mockTmuxManager.findCommandBlocks).toHaveBeenCalledWith('__MCP_START_aaaaaaaa__\nerror one\nno newline\n__MCP_END_aaaaaaaa:1__\n$ ');
+                expect(result.content[0].text).toBe([
+                    '[command #1 (exit 1): make]',
+                    '[',
+                    '{"line":2,"spans":[{"text":"error","fg":"red"},{"text":" one"}]},',
+                    '{"line":3,"spans":[{"text":"no newline"}]}',
+                    ']'
+                ].join('\n'));
+            });
+
+            test('searches joined lines and reports where they start in the scrollback', async () => {
+                mockTmuxManager.captureJoined.mockResolvedValue({
+                    output: 'a\nlong error line that wrapped\nb\nerror two\n',
+                    lineNumbers: [0, 1, 3, 4, 5]
+                });
+
+                const result = await server.handleGetOutput({ join_wrapped: true, search: { pattern: 'error', context_lines: 0 } });
+
+                expect(mockTmuxManager.captureJoined).toHaveBeenCalledWith('default', 'main', undefined, undefined, { escapes: false });
+                expect(mockTmuxManager.capturePane).not.toHaveBeenCalled();
+                expect(result.content[0].text).toBe('2: long error line that wrapped\n---\n5: error two');
+            });
+
+            test('cleans up the output and keeps search line numbers', async () => {
+                mockTmuxManager.capturePane.mockResolvedValue('a  \n\n\n\nb\x07 error\n\n');
+
+                const cleaned = await server.handleGetOutput({ trim_whitespace: true, collapse_blank_lines: true, strip_control: true });
+                const search = await server.handleGetOutput({ collapse_blank_lines: true, search: { pattern: 'error', context_lines: 1 } });
+
+                expect(cleaned.content[0].text).toBe('a\n\nb error\n');
+                expect(search.content[0].text).toBe('2: \n5: b\x07 error\n6: ');
+            });
+
+            test('numbers spans by their line in the scrollback', async () => {
+                mockTmuxManager.captureJoined.mockResolvedValue({ output: '\x1b[31mwrapped error\x1b[0m\nok', lineNumbers: [7, 9] });
+
+                const result = await server.handleGetOutput({ lines: 10, join_wrapped: true, format: 'spans' });
+
+                expect(mockTmuxManager.captureJoined).toHaveBeenCalledWith('default', 'main', 10, undefined, { escapes: true });
+                expect(JSON.parse(result.content[0].text)).toEqual([
+                    { line: 8, spans: [{ text: 'wrapped error', fg: 'red' }] },
+                    { line: 10, spans: [{ text: 'ok' }] }
+                ]);
+            });
+
+            test('starts joined output since the cursor at the first line after it', async () => {
+                mockTmuxManager.captureSince.mockResolvedValue({
+                    output: 'old\nlong old line\nnew\n$ ',
+                    fromLine: 3,
+                    wrapped: false,
+                    cursor: 'def456',
+                    lineNumbers: [0, 1, 3, 4]
+                });
+
+                const result = await server.handleGetOutput({ since: 'abc123', join_wrapped: true });
+
+                expect(mockTmuxManager.captureSince).toHaveBeenCalledWith('default', 'main', 'abc123', undefined, { escapes: false, join: true });
+                expect(result.content[0].text).toBe('new\n$ ');
+            });
+
+            test('captures a range of lines and says where it sits in the scrollback', async () => {
+                mockTmuxManager.captureRange.mockResolvedValue({
+                    output: 'line 101\nline 102\n',
+                    lineNumbers: [100, 101, 102],
+                    start: 100,
+                    end: 101,
+                    historySize: 5000,
+                    totalLines: 5040
+                });
+
+                const result = await server.handleGetOutput({ start_line: 101, end_line: 102 });
+
+                expect(mockTmuxManager.captureRange).toHaveBeenCalledWith('default', 'main', { start: 100, end: 101 }, undefined, { escapes: false, join: false });
+                expect(result.content).toEqual([
+                    { type: 'text', text: 'line 101\nline 102\n' },
+                    { type: 'text', text: 'lines 101-102 of 5040; history is lines 1-5000, visible screen is lines 5001-5040' },
+                    { type: 'text', text: 'cursor: abc123' }
+                ]);
+            });
+
+            test('numbers search results in a range like a search of the whole scrollback', async () => {
+                mockTmuxManager.captureRange.mockResolvedValue({
+                    output: 'ok\nerror\n',
+                    lineNumbers: [4999, 5000, 5001],
+                    start: 4999,
+                    end: 5039,
+                    historySize: 0,
+                    totalLines: 5040
+                });
+
+                const result = await server.handleGetOutput({ start_line: 5000, search: { pattern: 'error', context_lines: 0 } });
+
+                expect(mockTmuxManager.captureRange).toHaveBeenCalledWith('default', 'main', { start: 4999, end: Infinity }, undefined, { escapes: false, join: false });
+                expect(result.content[0].text).toBe('5001: error');
+                expect(result.content[1].text).toBe('lines 5000-5040 of 5040; no history, visible screen is lines 1-5040');
+            });
+
+            test('rejects ranges that are out of order or mixed with other modes', async () => {
+                const backwards = await server.handleGetOutput({ start_line: 10, end_line: 5 });
+                const zero = await server.handleGetOutput({ start_line: 0 });
+                const mixed = await server.handleGetOutput({ end_line: 10, lines: 5 });
+
+                expect(backwards.content[0].text).toBe('Error: start_line and end_line are 1-based, and end_line cannot come before start_line');
+                expect(zero.content[0].text).toBe('Error: start_line and end_line are 1-based, and end_line cannot come before start_line');
+                expect(mixed.content[0].text).toBe('Error: Cannot combine start_line or end_line with lines, since or command');
+                expect(mockTmuxManager.captureRange).not.toHaveBeenCalled();
+            });
+
+            test('leaves out the middle of output over the server limit', async () => {
+                server.maxOutputChars = 300;
+                mockTmuxManager.capturePane.mockResolvedValue(_.map(_.range(1, 101), number => `line ${number}\n`).join(''));
+
+                const result = await server.handleGetOutput({});
+
+                expect(result.content[0].text).toStartWith('line 1\nline 2\n');
+                expect(result.content[0].text).toContain('\nline 12\n[77 lines (616 bytes) omitted]\nline 90\n');
+                expect(result.content[0].text).toEndWith('line 100\n');
+                expect(result.content[1].text).toBe('cursor: abc123');
+            });
+
+            test('takes the tightest of max_chars, max_tokens and the server limit', async () => {
+                mockTmuxManager.capturePane.mockResolvedValue('x'.repeat(1000));
+
+                const chars = await server.handleGetOutput({ max_chars: 400 });
+                const tokens = await server.handleGetOutput({ max_chars: 400, max_tokens: 50 });
+                server.maxOutputChars = 0;
+                const unlimited = await server.handleGetOutput({});
+                const invalid = await server.handleGetOutput({ max_tokens: 0 });
+
+                expect(chars.content[0].text).toBe(`${'x'.repeat(140)}\n[1 line (720 bytes) omitted]\n${'x'.repeat(140)}`);
+                expect(tokens.content[0].text).toBe(`${'x'.repeat(40)}\n[1 line (920 bytes) omitted]\n${'x'.repeat(40)}`);
+                expect(unlimited.content[0].text).toBe('x'.repeat(1000));
+                expect(invalid.content[0].text).toBe('Error: max_chars and max_tokens must be at least 1');
+            });
+
+            test('counts error lines in what search results leave out', async () => {
+                mockTmuxManager.capturePane.mockResolvedValue(_.map(_.range(1, 101), number => `${number % 4 === 0 ? 'error' : 'ok'} ${number}`).join('\n'));
+
+                const result = await server.handleGetOutput({ max_chars: 300, count_errors: true, search: { pattern: '\\d', context_lines: 0 } });
+
+                expect(result.content[0].text).toContain('\n10: ok 10\n[82 lines (883 bytes) omitted; 21 of them look like errors]\n93: ok 93\n');
+            });
+
+            test('rejects formats it does not know and formatted search results', async () => {
+                const unknown = await server.handleGetOutput({ format: 'markdown' });
+                const search = await server.handleGetOutput({ format: 'html', search: { pattern: 'x' } });
+
+                expect(unknown.content[0].text).toBe('Error: Unknown output format: markdown (expected text, ansi, html, spans)');
+                expect(search.content[0].text).toBe('Error: Cannot combine search with a format other than text');
+                expect(mockTmuxManager.capturePane).not.toHaveBeenCalled();
+            });
+
+            test('rejects command together with lines', async () => {
+                const result = await server.handleGetOutput({ command: 'last', lines: 10 });
+
+                expect(result.content[0].text).toBe('Error: Cannot combine command with lines or since');
+            });
+
             test('searches output with pattern', async () => {
                 mockTmuxManager.capturePane.mockResolvedValue('line1\nerror here\nline3\nwarning there\nline5');
 
@@ -160,11 +718,71 @@ describe('TmuxMcpServer Integration Tests', () => {
             });
         });
 
+        describe('handleWaitForOutput', () => {
+            test('returns matching lines with context once the pattern appears', async () => {
+                mockTmuxManager.waitForOutput.mockResolvedValue({
+                    matched: true,
+                    output: '$ npm run dev\ncompiling\nlistening on 3000\ndone',
+                    lineNumbers: [1, 2, 3, 4],
+                    fromLine: 1,
+                    duration: 250
+                });
+
+                const result = await server.handleWaitForOutput({
+                    pattern: 'ready|listening',
+                    window_name: 'server',
+                    new_only: true,
+                    timeout_ms: 5000,
+                    context_lines: 1
+                });
+
+                expect(mockTmuxManager.waitForOutput).toHaveBeenCalledWith('default', 'server', 'ready|listening', {
+                    timeout: 5000,
+                    newOnly: true
+                });
+                expect(result.content[0].text).toBe('Matched /ready|listening/ in default:server after 250ms:\n3: compiling\n4: listening on 3000\n5: done');
+            });
+
+            test('returns the last screen on timeout', async () => {
+                mockTmuxManager.waitForOutput.mockResolvedValue({
+                    matched: false,
+                    output: 'history\nstill compiling',
+                    screen: 'still compiling\n\n',
+                    lineNumbers: null,
+                    fromLine: 0,
+                    duration: 1000
+                });
+
+                const result = await server.handleWaitForOutput({ pattern: 'ready' });
+
+                expect(result.content[0].text).toBe('Timed out after 1000ms waiting for /ready/ in default:main. Last screen:\nstill compiling');
+            });
+        });
+
+        describe('handleWaitForIdle', () => {
+            test('reports an idle window back at the shell', async () => {
+                mockTmuxManager.waitForIdle.mockResolvedValue({ idle: true, quietFor: 2001, duration: 5400, command: 'zsh', atShell: true });
+
+                const result = await server.handleWaitForIdle({ window_name: 'build', quiet_ms: 2000, timeout_ms: 60000 });
+
+                expect(mockTmuxManager.waitForIdle).toHaveBeenCalledWith('default', 'build', { quietPeriod: 2000, timeout: 60000 });
+                expect(result.content[0].text).toBe('default:build is idle (no new output for 2001ms, waited 5400ms); back at the shell prompt (zsh)');
+            });
+
+            test('reports a window that never settled', async () => {
+                mockTmuxManager.waitForIdle.mockResolvedValue({ idle: false, quietFor: 100, duration: 30000, command: 'npm', atShell: false });
+
+                const result = await server.handleWaitForIdle({});
+
+                expect(result.content[0].text).toBe('Timed out after 30000ms: default:main is still producing output; foreground process: npm');
+            });
+        });
+
         describe('handleSendInput', () => {
             test('sends input with Enter', async () => {
                 const result = await server.handleSendInput({ text: 'hello world' });
 
-                expect(mockTmuxManager.sendKeys).toHaveBeenCalledWith('default', 'main', ['h', 'e', 'l', 'l', 'o', ' ', 'w', 'o', 'r', 'l', 'd', 'C-m']);
+                expect(mockTmuxManager.sendInput).toHaveBeenCalledWith('default', 'main', 'hello world', { mode: 'literal' });
                 expect(result.content[0].text).toBe('Sent input to default:main');
             });
 
@@ -175,25 +793,404 @@ describe('TmuxMcpServer Integration Tests', () => {
                     window_name: 'mysql'
                 });
 
-                expect(mockTmuxManager.sendKeys).toHaveBeenCalledWith('db', 'mysql', ['S', 'E', 'L', 'E', 'C', 'T', ' ', '*', ' ', 'F', 'R', 'O', 'M', ' ', 'u', 's', 'e', 'r', 's', ';', 'C-m']);
+                expect(mockTmuxManager.sendInput).toHaveBeenCalledWith('db', 'mysql', 'SELECT * FROM users;', { mode: 'literal' });
                 expect(result.content[0].text).toBe('Sent input to db:mysql');
             });
+
+            test('passes paste mode through', async () => {
+                await server.handleSendInput({ text: 'def f():\n    return 1\n', window_name: 'python', mode: 'paste' });
+
+                expect(mockTmuxManager.sendInput).toHaveBeenCalledWith('default', 'python', 'def f():\n    return 1\n', { mode: 'paste' });
+            });
         });
 
         describe('handleSendKeys', () => {
             test('sends key sequences', async () => {
                 const result = await server.handleSendKeys({ keys: ['C-c', 'C-d'] });
 
-                expect(mockTmuxManager.sendKeys).toHaveBeenCalledWith('default', 'main', ['C-c', 'C-d']);
+                expect(mockTmuxManager.sendKeys).toHaveBeenCalledWith('default', 'main', ['C-c', 'C-d'], undefined);
                 expect(result.content[0].text).toBe('Sent keys to default:main');
             });
         });
 
+        describe('handleSendSignal', () => {
+            test('reports the signalled process group', async () => {
+                const result = await server.handleSendSignal({ signal: 'HUP', workspace_id: 'web', window_name: 'server' });
+
+                expect(mockTmuxManager.sendSignal).toHaveBeenCalledWith('web', 'server', 'HUP', undefined);
+                expect(result.content[0].text).toBe('Sent SIGHUP to process group 4242 (nginx) in web:server');
+            });
+
+            test('reports an idle window as an error', async () => {
+                mockTmuxManager.sendSignal.mockRejectedValue(new Error('No command is running in the foreground, only the shell'));
+
+                const result = await server.handleToolCall('send_signal', { signal: 'TERM' });
+
+                expect(result.content[0].text).toBe('Error: No command is running in the foreground, only the shell');
+            });
+        });
+
+        describe('handleWindowStatus', () => {
+            function pane(overrides) {
+                return {
+                    windowName: 'main', paneIndex: 0, paneId: '%1', active: true, command: 'bash', pid: 100, path: '/repo',
+                    dead: false, deadStatus: null, width: 80, height: 24, cursorX: 0, cursorY: 3, historySize: 20,
+                    lastActivity: Date.now(), atShell: true, ...overrides
+                };
+            }
+
+            test('describes idle, busy and dead windows', async () => {
+                mockTmuxManager.getWindowStatus.mockResolvedValue([
+                    pane({ lastActivity: 0 }),
+                    pane({ windowName: 'server', command: 'node', atShell: false, pid: 200, lastActivity: 0 }),
+                    pane({ windowName: 'job', command: 'make', atShell: false, dead: true, deadStatus: 2, lastActivity: 0 })
+                ]);
+
+                const result = await server.handleWindowStatus({ workspace_id: 'proj' });
+                const lines = _.split(result.content[0].text, '\n');
+
+                expect(mockTmuxManager.getWindowStatus).toHaveBeenCalledWith('proj', undefined, undefined);
+                expect(lines[0]).toBe('Status of workspace proj:');
+                expect(lines[1]).toBe('[main] idle at the shell (bash), pane pid 100, in /repo');
+                expect(lines[2]).toMatch(/^ {4}80x24, cursor at 0,3, 20 lines of history, last activity 1970-01-01T00:00:00\.000Z \(\d+s ago\)$/);
+                expect(lines[3]).toBe('[server] running node, pane pid 200, in /repo');
+                expect(lines[5]).toBe('[job] dead (exit 2), pane pid 100, in /repo');
+            });
+
+            test('labels panes when a window has several', async () => {
+                mockTmuxManager.getWindowStatus.mockResolvedValue([pane({}), pane({ paneIndex: 1, command: 'tail', atShell: false })]);
+
+                const result = await server.handleWindowStatus({ window_name: 'main' });
+
+                expect(mockTmuxManager.getWindowStatus).toHaveBeenCalledWith('default', 'main', undefined);
+                expect(result.content[0].text).toStartWith('Status of default:main:\n[main.0] idle at the shell (bash)');
+                expect(result.content[0].text).toContain('\n[main.1] running tail, ');
+                expect(result.content[0].text).toContain('(0s ago)');
+            });
+        });
+
+        describe('handleResourceUsage', () => {
+            test('lists workspaces and windows in the order given', async () => {
+                mockTmuxManager.getResourceUsage.mockResolvedValue({
+                    workspaces: [
+                        { workspace: 'proj', cpu: 51.63, memory: 300 * 1024 * 1024, processes: 5 },
+                        { workspace: 'docs', cpu: 0.2, memory: 5 * 1024 * 1024, processes: 1 }
+                    ],
+                    windows: [
+                        { workspace: 'proj', windowName: 'build', cpu: 50.5, memory: 100 * 1024 * 1024, processes: 3 },
+                        { workspace: 'proj', windowName: 'db', cpu: 1.13, memory: 200 * 1024 * 1024, processes: 2 },
+                        { workspace: 'docs', windowName: 'main', cpu: 0.2, memory: 5 * 1024 * 1024, processes: 1 }
+                    ]
+                });
+
+                const result = await server.handleResourceUsage({});
+
+                expect(mockTmuxManager.getResourceUsage).toHaveBeenCalledWith(undefined, { sortBy: 'cpu' });
+                expect(result.content[0].text).toBe([
+                    'Resource usage by workspace (heaviest first):',
+                    '  workspace proj: 51.6% CPU, 300.0 MB RSS, 5 processes',
+                    '  workspace docs: 0.2% CPU, 5.0 MB RSS, 1 process',
+                    'Resource usage by window:',
+                    '  proj:build: 50.5% CPU, 100.0 MB RSS, 3 processes',
+                    '  proj:db: 1.1% CPU, 200.0 MB RSS, 2 processes',
+                    '  docs:main: 0.2% CPU, 5.0 MB RSS, 1 process'
+                ].join('\n'));
+            });
+
+            test('limits the report to one workspace', async () => {
+                const result = await server.handleResourceUsage({ workspace_id: 'proj', sort_by: 'memory' });
+
+                expect(mockTmuxManager.getResourceUsage).toHaveBeenCalledWith('proj', { sortBy: 'memory' });
+                expect(result.content[0].text).toBe('No active workspaces');
+            });
+        });
+
+        describe('handleWriteFile', () => {
+            test('writes the file relative to the window', async () => {
+                const result = await server.handleWriteFile({ path: 'notes.txt', content: 'hello', window_name: 'build' });
+
+                expect(mockTmuxManager.createSession).toHaveBeenCalledWith('default');
+                expect(mockTmuxManager.writeFile).toHaveBeenCalledWith('default', 'build', 'notes.txt', 'hello', { encoding: 'utf8' });
+                expect(result.content[0].text).toBe('Wrote 5 bytes to /repo/notes.txt');
+            });
+
+            test('passes base64 content through', async () => {
+                await server.handleWriteFile({ path: 'logo.png', content: 'iVBORw0KGgo=', encoding: 'base64' });
+
+                expect(mockTmuxManager.writeFile).toHaveBeenCalledWith('default', 'main', 'logo.png', 'iVBORw0KGgo=', { encoding: 'base64' });
+            });
+        });
+
+        describe('handleReadFile', () => {
+            test('returns the file content', async () => {
+                const result = await server.handleReadFile({ path: 'notes.txt', workspace_id: 'proj' });
+
+                expect(mockTmuxManager.readFile).toHaveBeenCalledWith('proj', 'main', 'notes.txt', { encoding: 'utf8' });
+                expect(result.content).toEqual([{ type: 'text', text: 'hello' }]);
+            });
+
+            test('reports read errors through the tool call', async () => {
+                mockTmuxManager.readFile.mockRejectedValue(new Error('/repo/big.log is 5000000 bytes, over the 1048576 byte limit'));
+
+                const result = await server.handleToolCall('read_file', { path: 'big.log' });
+
+                expect(result.content[0].text).toBe('Error: /repo/big.log is 5000000 bytes, over the 1048576 byte limit');
+            });
+        });
+
+        describe('handleCommandHistory', () => {
+            test('formats run_command and send_input entries', async () => {
+                mockTmuxManager.getCommandHistory.mockResolvedValue([
+                    { windowName: 'main', source: 'run_command', command: 'npm test', cwd: '/repo', started: 0, ended: 3000, exitCode: 1 },
+                    { windowName: 'server', source: 'run_command', command: 'npm start', cwd: '/repo', started: 1000, ended: null, exitCode: null },
+                    { windowName: 'repl', source: 'send_input', command: 'print(1)', cwd: '/tmp', started: 2000, ended: null, exitCode: null },
+                    { windowName: 'fish', source: 'run_command', command: 'ls', cwd: '/tmp', started: 3000, ended: null, exitCode: null, unwrapped: true },
+                    { windowName: 'gone', source: 'run_command', command: 'exit 3', cwd: '/tmp', started: 4000, ended: 4500, exitCode: null, closed: true }
+                ]);
+
+                const result = await server.handleCommandHistory({ workspace_id: 'proj' });
+
+                expect(mockTmuxManager.getCommandHistory).toHaveBeenCalledWith('proj', undefined);
+                expect(result.content[0].text).toBe([
+                    'Command history for workspace proj:',
+                    '[main] 1970-01-01T00:00:00.000Z run_command in /repo: exit 1, ended 1970-01-01T00:00:03.000Z (3000ms)',
+                    '    npm test',
+                    '[server] 1970-01-01T00:00:01.000Z run_command in /repo: no exit status yet',
+                    '    npm start',
+                    '[repl] 1970-01-01T00:00:02.000Z send_input in /tmp: input',
+                    '    print(1)',
+                    '[fish] 1970-01-01T00:00:03.000Z run_command in /tmp: no exit status, sent as is to a non-POSIX shell',
+                    '    ls',
+                    '[gone] 1970-01-01T00:00:04.000Z run_command in /tmp: no exit status, the shell exited, ended 1970-01-01T00:00:04.500Z (500ms)',
+                    '    exit 3'
+                ].join('\n'));
+            });
+
+            test('marks commands that were stopped after timing out', async () => {
+                mockTmuxManager.getCommandHistory.mockResolvedValue([
+                    { windowName: 'main', source: 'run_command', command: 'tail -f log', cwd: '/repo', started: 0, ended: 5000, exitCode: null, timedOut: true, stoppedBy: 'C-c' },
+                    { windowName: 'main', source: 'run_command', command: 'stuck', cwd: '/repo', started: 6000, ended: null, exitCode: null, timedOut: true, stoppedBy: null }
+                ]);
+
+                const result = await server.handleCommandHistory({ window_name: 'main' });
+
+                expect(result.content[0].text).toBe([
+                    'Command history for default:main:',
+                    '[main] 1970-01-01T00:00:00.000Z run_command in /repo: timed out, stopped with C-c, ended 1970-01-01T00:00:05.000Z (5000ms)',
+                    '    tail -f log',
+                    '[main] 1970-01-01T00:00:06.000Z run_command in /repo: timed out, could not be stopped',
+                    '    stuck'
+                ].join('\n'));
+            });
+
+            test('reports an empty history for one window', async () => {
+                const result = await server.handleCommandHistory({ window_name: 'build' });
+
+                expect(mockTmuxManager.getCommandHistory).toHaveBeenCalledWith('default', 'build');
+                expect(result.content[0].text).toBe('No commands recorded for default:build.');
+            });
+        });
+
+        describe('handleCreateWindow', () => {
+            test('creates a window', async () => {
+                mockTmuxManager.createWindow.mockResolvedValue(true);
+
+                const result = await server.handleCreateWindow({ workspace_id: 'proj', window_name: 'logs' });
+
+                expect(mockTmuxManager.createWindow).toHaveBeenCalledWith('proj', 'logs', {});
+                expect(result.content[0].text).toBe('Created window proj:logs');
+            });
+
+            test('passes the directory, environment and shell on', async () => {
+                mockTmuxManager.createWindow.mockResolvedValue(true);
+
+                await server.handleCreateWindow({ window_name: 'api', cwd: '/repo/api', env: { NODE_ENV: 'test' }, shell: 'zsh' });
+
+                expect(mockTmuxManager.createWindow).toHaveBeenCalledWith('default', 'api', { cwd: '/repo/api', env: { NODE_ENV: 'test' }, shell: 'zsh' });
+            });
+
+            test('says which options an existing window did not get', async () => {
+                mockTmuxManager.createWindow.mockResolvedValue(false);
+
+                const result = await server.handleCreateWindow({ window_name: 'api', cwd: '/repo/api', env: { NODE_ENV: 'test' } });
+
+                expect(result.content[0].text).toBe('Window default:api already exists; cwd and env were not applied');
+            });
+
+            test('reports a window that already exists', async () => {
+                mockTmuxManager.createWindow.mockResolvedValue(false);
+
+                const result = await server.handleCreateWindow({ window_name: 'main' });
+
+                expect(result.content[0].text).toBe('Window default:main already exists');
+            });
+        });
+
+        describe('handleCloseWindow', () => {
+            test('closes a window', async () => {
+                const result = await server.handleCloseWindow({ workspace_id: 'proj', window_name: 'logs' });
+
+                expect(mockTmuxManager.closeWindow).toHaveBeenCalledWith('proj', 'logs');
+                expect(result.content[0].text).toBe('Closed window proj:logs');
+            });
+
+            test('reports unknown windows as errors', async () => {
+                mockTmuxManager.closeWindow.mockRejectedValue(new Error('Window not found: lgos'));
+
+                const result = await server.handleToolCall('close_window', { window_name: 'lgos' });
+
+                expect(result.content[0].text).toBe('Error: Window not found: lgos');
+            });
+        });
+
+        describe('handleRenameWindow', () => {
+            test('renames a window', async () => {
+                const result = await server.handleRenameWindow({ workspace_id: 'proj', window_name: 'build', new_name: 'compile' });
+
+                expect(mockTmuxManager.renameWindow).toHaveBeenCalledWith('proj', 'build', 'compile');
+                expect(result.content[0].text).toBe('Renamed window proj:build to compile');
+            });
+        });
+
+        describe('handleSplitWindow', () => {
+            test('splits the window and names the new pane', async () => {
+                const result = await server.handleSplitWindow({ workspace_id: 'proj', window_name: 'server', direction: 'vertical', size: '30%', shell: 'tail -f app.log' });
+
+                expect(mockTmuxManager.splitWindow).toHaveBeenCalledWith('proj', 'server', { direction: 'vertical', size: '30%', pane: undefined, shell: 'tail -f app.log' });
+                expect(result.content[0].text).toBe('Created pane proj:server.1 (id %8)');
+            });
+        });
+
+        describe('handleSelectLayout', () => {
+            test('applies a layout', async () => {
+                const result = await server.handleSelectLayout({ layout: 'tiled' });
+
+                expect(mockTmuxManager.selectLayout).toHaveBeenCalledWith('default', 'main', 'tiled');
+                expect(result.content[0].text).toBe('Applied layout tiled to default:main');
+            });
+        });
+
+        describe('handleLoadWorkspace', () => {
+            const definition = { session_name: 'dev', windows: [{ window_name: 'server', panes: ['npm run dev', 'tail -f log'] }] };
+
+            test('loads an inline definition into the workspace it names', async () => {
+                const result = await server.handleLoadWorkspace({ definition });
+
+                expect(mockTmuxManager.loadWorkspace).toHaveBeenCalledWith('dev', {
+                    name: 'dev',
+                    windows: [{ name: 'server', panes: [{ env: {}, commands: ['npm run dev'] }, { env: {}, commands: ['tail -f log'] }] }]
+                });
+                expect(result.content[0].text).toBe([
+                    'Loaded definition into workspace dev:',
+                    '[server] created with 2 panes, started 2 commands',
+                    '[db] already existed, added 1 pane, started 1 command',
+                    '[shell] already existed, left as is'
+                ].join('\n'));
+            });
+
+            test('workspace_id overrides the name in the definition', async () => {
+                await server.handleLoadWorkspace({ definition, workspace_id: 'dev2' });
+
+                expect(mockTmuxManager.loadWorkspace).toHaveBeenCalledWith('dev2', expect.any(Object));
+            });
+
+            test('needs exactly one of path and definition', async () => {
+                expect((await server.handleLoadWorkspace({})).content[0].text).toBe('Error: Pass either path or definition');
+                expect((await server.handleLoadWorkspace({ path: 'a.yaml', definition })).content[0].text).toBe('Error: Pass either path or definition');
+            });
+
+            test('reports definitions it cannot use', async () => {
+                const result = await server.handleToolCall('load_workspace', { definition: { windows: [] } });
+
+                expect(result.content[0].text).toBe('Error: Workspace definition has no windows');
+                expect(mockTmuxManager.loadWorkspace).not.toHaveBeenCalled();
+            });
+        });
+
+        describe('handleSnapshotWorkspace', () => {
+            test('saves a snapshot and says where', async () => {
+                const result = await server.handleSnapshotWorkspace({ workspace_id: 'proj', scrollback: true });
+
+                expect(mockTmuxManager.snapshotWorkspace).toHaveBeenCalledWith('proj', { scrollback: true });
+                expect(result.content[0].text).toBe('Saved snapshot of workspace proj to /state/tmux-mcp-server/proj.json (2 windows, 3 panes with scrollback)');
+            });
+        });
+
+        describe('handleRestoreWorkspace', () => {
+            test('restores the last snapshot', async () => {
+                const result = await server.handleRestoreWorkspace({ workspace_id: 'proj' });
+
+                expect(mockTmuxManager.restoreWorkspace).toHaveBeenCalledWith('proj', { relaunch: false });
+                expect(result.content[0].text).toBe('Restored workspace proj from /state/tmux-mcp-server/proj.json (saved 2026-10-19T08:00:00.000Z):\n[server] created with 2 panes');
+            });
+        });
+
+        describe('pane targeting', () => {
+            test('run_command runs in the pane and names it', async () => {
+                const result = await server.handleRunCommand({ command: 'npm test', pane: '1', wait: true });
+
+                expect(mockTmuxManager.executeCommand).toHaveBeenCalledWith('default', 'main', 'npm test', { timeout: undefined, interrupt: false, pane: '1' });
+                expect(result.content[0].text).toStartWith('Command exited with code 0 in default:main.1 (12ms)');
+            });
+
+            test('send_input and get_output pass the pane on', async () => {
+                await server.handleSendInput({ text: 'ls', window_name: 'dev', pane: '%7' });
+                await server.handleGetOutput({ window_name: 'dev', pane: '%7', lines: 5 });
+
+                expect(mockTmuxManager.sendInput).toHaveBeenCalledWith('default', 'dev', 'ls', { mode: 'literal', pane: '%7' });
+                expect(mockTmuxManager.getOutputCursor).toHaveBeenCalledWith('default', 'dev', '%7');
+                expect(mockTmuxManager.capturePane).toHaveBeenCalledWith('default', 'dev', 5, '%7', { escapes: false });
+            });
+
+            test('run_batch accepts several panes of one window', async () => {
+                mockTmuxManager.runBatch.mockResolvedValue([
+                    { windowName: 'dev', pane: '0', command: 'npm start', id: 'aaaa1111' },
+                    { windowName: 'dev', pane: '1', command: 'tail -f log', id: 'bbbb2222' }
+                ]);
+
+                const result = await server.handleRunBatch({
+                    commands: [
+                        { window_name: 'dev', pane: '0', command: 'npm start' },
+                        { window_name: 'dev', pane: '1', command: 'tail -f log' }
+                    ],
+                    wait: false
+                });
+
+                expect(result.content[0].text).toBe('Started 2 commands in workspace default:\n[dev.0] npm start\n[dev.1] tail -f log');
+            });
+
+            test('run_batch rejects the same pane twice', async () => {
+                const result = await server.handleRunBatch({
+                    commands: [
+                        { window_name: 'dev', pane: '1', command: 'a' },
+                        { window_name: 'dev', pane: '1', command: 'b' }
+                    ]
+                });
+
+                expect(result.content[0].text).toBe('Error: Window dev.1 appears more than once in the batch');
+            });
+
+            test('window_status needs a window for a pane', async () => {
+                const result = await server.handleWindowStatus({ pane: '1' });
+
+                expect(result.content[0].text).toBe('Error: pane requires window_name');
+                expect(mockTmuxManager.getWindowStatus).not.toHaveBeenCalled();
+            });
+        });
+
         describe('handleCreateWorkspace', () => {
             test('creates workspace', async () => {
                 const result = await server.handleCreateWorkspace({ workspace_id: 'newproject' });
 
                 expect(mockTmuxManager.createSession).toHaveBeenCalledWith('newproject');
+                expect(mockTmuxManager.setWorkspaceMetadata).not.toHaveBeenCalled();
+                expect(result.content[0].text).toBe('Created workspace: newproject');
+            });
+
+            test('records a description and tags', async () => {
+                const result = await server.handleCreateWorkspace({ workspace_id: 'newproject', description: 'Fix the login bug', tags: ['api'] });
+
+                expect(mockTmuxManager.setWorkspaceMetadata).toHaveBeenCalledWith('newproject', { description: 'Fix the login bug', tags: ['api'] });
                 expect(result.content[0].text).toBe('Created workspace: newproject');
             });
         });
@@ -214,6 +1211,23 @@ describe('TmuxMcpServer Integration Tests', () => {
                 expect(result.content[0].text).toBe('workspace1: main, window1\nworkspace2: main');
             });
 
+            test('includes the metadata kept on each workspace', async () => {
+                mockTmuxManager.listWorkspaces.mockResolvedValue([
+                    { workspace_id: 'api', windows: ['main'], created: Date.UTC(2025, 9, 9, 8, 30), owner: 'craig@devbox', description: 'Fix the login bug', tags: ['api', 'urgent'] },
+                    { workspace_id: 'scratch', windows: ['main'], created: Date.UTC(2025, 9, 10), owner: null, description: null, tags: [] }
+                ]);
+
+                const result = await server.handleListWorkspaces();
+
+                expect(result.content[0].text).toBe([
+                    'api: main',
+                    '  created 2025-10-09T08:30:00.000Z by craig@devbox, tags: api, urgent',
+                    '  Fix the login bug',
+                    'scratch: main',
+                    '  created 2025-10-10T00:00:00.000Z'
+                ].join('\n'));
+            });
+
             test('handles empty workspace list', async () => {
                 mockTmuxManager.listWorkspaces.mockResolvedValue([]);
 
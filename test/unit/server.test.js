@@ -51,6 +51,32 @@ describe('TmuxMcpServer', () => {
             expect(newServer.server).toBeDefined();
             expect(newServer.tmuxManager).toBeDefined();
         });
+
+        test('passes strict window mode on to the tmux manager', () => {
+            expect(new TmuxMcpServer().tmuxManager.strictWindows).toBe(false);
+            expect(new TmuxMcpServer({ strictWindows: true }).tmuxManager.strictWindows).toBe(true);
+        });
+
+        test('passes the state directory on to the tmux manager', () => {
+            expect(new TmuxMcpServer({ stateDir: '/tmp/mcp-state' }).tmuxManager.stateDir).toBe('/tmp/mcp-state');
+        });
+
+        test('loads workspace files before taking requests', async () => {
+            const newServer = new TmuxMcpServer({ workspaceFiles: ['dev.yaml', 'ops.yaml'] });
+            const steps = [];
+            spyOn(newServer.tmuxManager, 'ensureInitialized').mockResolvedValue();
+            spyOn(newServer, 'loadWorkspaceFile').mockImplementation(async (filePath) => {
+                steps.push(filePath);
+                return `Loaded ${filePath}`;
+            });
+            spyOn(newServer.server, 'connect').mockImplementation(async () => {
+                steps.push('connect');
+            });
+
+            await newServer.run();
+
+            expect(steps).toEqual(['dev.yaml', 'ops.yaml', 'connect']);
+        });
     });
 
     describe('searchOutput', () => {
@@ -116,6 +142,81 @@ line3`;
             expect(result).toBe('No matches found');
         });
 
+        test('only matches lines at or after fromLine', () => {
+            const output = `error old
+line2
+error new
+line4`;
+
+            const result = server.searchOutput(output, {
+                pattern: 'error',
+                context_lines: 1
+            }, { fromLine: 2 });
+
+            expect(result).toBe('2: line2\n3: error new\n4: line4');
+        });
+
+        test('labels groups with the command block they belong to', () => {
+            const output = `$ make
+__MCP_START_aaaaaaaa__
+error: build failed
+__MCP_END_aaaaaaaa:2__
+$ make test
+__MCP_START_bbbbbbbb__
+ok
+error: 1 test failed`;
+
+            const result = server.searchOutput(output, {
+                pattern: 'error',
+                context_lines: 0
+            }, {
+                blocks: [
+                    { index: 1, command: 'make', from: 2, to: 3, end: 3, exitCode: 2 },
+                    { index: 2, command: 'make test', from: 6, to: Infinity, end: null, exitCode: null }
+                ]
+            });
+
+            expect(result).toBe('[command #1 (exit 2): make]\n3: error: build failed\n---\n[command #2 (running): make test]\n8: error: 1 test failed');
+        });
+
+        test('labels blocks stopped with C-c by how they were stopped', () => {
+            const output = `__MCP_START_aaaaaaaa__
+error: stuck
+^C
+__MCP_START_bbbbbbbb__
+error: gave up
+^C
+__MCP_START_cccccccc__
+error: slow
+Terminated
+__MCP_END_cccccccc:143__
+__MCP_START_dddddddd__
+error: stuck again`;
+
+            const result = server.searchOutput(output, { pattern: 'error', context_lines: 0 }, {
+                blocks: [
+                    { index: 1, command: 'make', from: 1, to: 3, end: null, exitCode: null, timedOut: true, stoppedBy: 'C-c' },
+                    { index: 2, command: 'make test', from: 4, to: 6, end: null, exitCode: null, interrupted: true },
+                    { index: 3, command: 'make lint', from: 7, to: 9, end: 9, exitCode: 143, timedOut: true, stoppedBy: 'SIGTERM' },
+                    { index: 4, command: 'make e2e', from: 11, to: Infinity, end: null, exitCode: null, timedOut: true, stoppedBy: null }
+                ]
+            });
+
+            expect(result).toBe([
+                '[command #1 (timed out, stopped with C-c): make]',
+                '2: error: stuck',
+                '---',
+                '[command #2 (interrupted): make test]',
+                '5: error: gave up',
+                '---',
+                '[command #3 (timed out, stopped with SIGTERM, exit 143): make lint]',
+                '8: error: slow',
+                '---',
+                '[command #4 (still running): make e2e]',
+                '12: error: stuck again'
+            ].join('\n'));
+        });
+
         test('handles search error', () => {
             const output = 'some output';
 
@@ -125,6 +226,57 @@ line3`;
 
             expect(result).toContain('Search error:');
         });
+
+        const log = `Error: disk full
+warning: retrying
+ok
+ERROR: disk full again
+ok
+warning: giving up`;
+
+        test('applies flags and takes separate before and after context', () => {
+            const result = server.searchOutput(log, { pattern: '^error', flags: 'gi', before: 1, after: 0 });
+
+            expect(result).toBe('1: Error: disk full\n---\n3: ok\n4: ERROR: disk full again');
+        });
+
+        test('limits the matches and says how many there were', () => {
+            const first = server.searchOutput(log, { pattern: 'disk|warning', context_lines: 0, max_matches: 2 });
+            const last = server.searchOutput(log, { pattern: 'disk|warning', context_lines: 0, max_matches: 2, from_end: true });
+
+            expect(first).toBe('1: Error: disk full\n2: warning: retrying\n(showing the first 2 of 4 matches)');
+            expect(last).toBe('6: warning: giving up\n---\n4: ERROR: disk full again\n(showing the last 2 of 4 matches)');
+        });
+
+        test('groups matches by pattern', () => {
+            const result = server.searchOutput(log, {
+                patterns: [{ pattern: 'error', label: 'errors' }, { pattern: 'warning' }, { pattern: 'panic' }],
+                flags: 'i',
+                context_lines: 0
+            });
+
+            expect(result).toBe([
+                '=== errors: 2 matches ===',
+                '1: Error: disk full\n---\n4: ERROR: disk full again',
+                '',
+                '=== warning: 2 matches ===',
+                '2: warning: retrying\n---\n6: warning: giving up',
+                '',
+                '=== panic: no matches ==='
+            ].join('\n'));
+        });
+
+        test('returns the lines that match none of the patterns when inverted', () => {
+            const result = server.searchOutput(log, { patterns: [{ pattern: 'disk' }, { pattern: 'warning' }], invert: true, context_lines: 0 });
+
+            expect(result).toBe('3: ok\n---\n5: ok');
+        });
+
+        test('needs exactly one of pattern and patterns', () => {
+            expect(server.searchOutput(log, { pattern: 'ok', patterns: [{ pattern: 'ok' }] })).toBe('Search error: Give either pattern or a non-empty list of patterns');
+            expect(server.searchOutput(log, { patterns: [] })).toBe('Search error: Give either pattern or a non-empty list of patterns');
+            expect(server.searchOutput(log, { pattern: 'ok', max_matches: 0 })).toBe('Search error: max_matches must be at least 1');
+        });
     });
 
     describe('tool handlers simulation', () => {
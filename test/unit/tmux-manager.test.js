@@ -1,7 +1,10 @@
 import { describe, test, expect, beforeEach, afterEach, mock, spyOn } from 'bun:test';
 import { EventEmitter } from 'events';
 import * as child_process from 'child_process';
-import { isFunction } from 'lodash';
+import { mkdir, mkdtemp, readFile, rm, stat, symlink, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import _, { isFunction } from 'lodash';
 import TmuxManager from '../../src/tmux-manager.js';
 
 describe('TmuxManager', () => {
@@ -20,7 +23,8 @@ describe('TmuxManager', () => {
         delete process.env.TMUX;
         delete process.env.TMUX_PANE;
 
-        mockSpawn = mock(() => new EventEmitter());
+        // tmux calls a test doesn't set up succeed with no output
+        mockSpawn = mock(() => createMockProcess());
         spyOn(child_process, 'spawn').mockImplementation(mockSpawn);
 
         // Create tmux manager after environment is set up
@@ -44,7 +48,7 @@ describe('TmuxManager', () => {
 
         // Clear tmuxManager state to ensure test isolation
         if(tmuxManager) {
-            tmuxManager.sessionMetadata.clear();
+            tmuxManager.commandLog.clear();
             tmuxManager.parentSession = null;
             tmuxManager.parentWindow = null;
             tmuxManager.isUsingParentSession = false;
@@ -53,6 +57,11 @@ describe('TmuxManager', () => {
         mock.restore();
     });
 
+    // A command record as show-options lists it
+    function recordOption(record) {
+        return `@mcp-command-${record.id} ${Buffer.from(JSON.stringify(record)).toString('base64url')}`;
+    }
+
     function createMockProcess(stdout = '', stderr = '', code = 0, delay = 0) {
         const proc = new EventEmitter();
         proc.stdout = new EventEmitter();
@@ -189,40 +198,77 @@ describe('TmuxManager', () => {
             mockSpawn.mockReturnValueOnce(createMockProcess('history-limit 2000\n', '', 0));
             // Fourth call: setScrollbackSize succeeds (2000 < 50000)
             mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
+            // Then the workspace metadata is recorded on the session
+            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
+            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
+            tmuxManager.owner = 'craig@devbox';
 
-            await tmuxManager.createSession('default');
+            expect(await tmuxManager.createSession('default')).toBe(true);
 
-            expect(mockSpawn).toHaveBeenCalledTimes(4);
+            expect(mockSpawn).toHaveBeenCalledTimes(6);
             expect(mockSpawn).toHaveBeenNthCalledWith(1, 'tmux', ['has-session', '-t', 'default-MCP'], expect.any(Object));
             expect(mockSpawn).toHaveBeenNthCalledWith(2, 'tmux', ['new-session', '-d', '-s', 'default-MCP', '-n', 'main'], expect.any(Object));
             expect(mockSpawn).toHaveBeenNthCalledWith(3, 'tmux', ['show', '-s', '-t', 'default-MCP', 'history-limit'], expect.any(Object));
             expect(mockSpawn).toHaveBeenNthCalledWith(4, 'tmux', ['set', '-s', '-t', 'default-MCP', 'history-limit', '50000'], expect.any(Object));
-            expect(tmuxManager.sessionMetadata.get('default')).toEqual({
-                id: 'default',
-                created: expect.any(Number),
-                windows: ['main']
-            });
+            expect(mockSpawn).toHaveBeenNthCalledWith(5, 'tmux', ['set-option', '-t', 'default-MCP', '@mcp-created', expect.stringMatching(/^\d+$/)], expect.any(Object));
+            expect(mockSpawn).toHaveBeenNthCalledWith(6, 'tmux', ['set-option', '-t', 'default-MCP', '@mcp-owner', 'craig@devbox'], expect.any(Object));
         });
 
         test('does nothing if session already exists', async () => {
             mockSpawn.mockReturnValue(createMockProcess('', '', 0));
 
-            await tmuxManager.createSession('test');
+            expect(await tmuxManager.createSession('test')).toBe(false);
 
             expect(mockSpawn).toHaveBeenCalledTimes(1);
-            expect(tmuxManager.sessionMetadata.has('test')).toBe(false);
         });
     });
 
-    describe('createWindow', () => {
-        test('creates new window in existing session', async () => {
-            // Pre-populate metadata
-            tmuxManager.sessionMetadata.set('test', {
-                id: 'test',
-                created: Date.now(),
-                windows: ['main']
+    describe('workspace metadata', () => {
+        test('sets the description and tags on the session', async () => {
+            spyOn(tmuxManager, 'sessionExists').mockResolvedValue(true);
+            mockSpawn.mockImplementation(() => createMockProcess());
+
+            await tmuxManager.setWorkspaceMetadata('dev', { description: 'Fix the login bug', tags: ['api', 'urgent'] });
+
+            expect(mockSpawn).toHaveBeenCalledTimes(2);
+            expect(mockSpawn).toHaveBeenNthCalledWith(1, 'tmux', ['set-option', '-t', 'dev-MCP', '@mcp-description', 'Fix the login bug'], expect.any(Object));
+            expect(mockSpawn).toHaveBeenNthCalledWith(2, 'tmux', ['set-option', '-t', 'dev-MCP', '@mcp-tags', 'api,urgent'], expect.any(Object));
+        });
+
+        test('clears empty values and leaves out ones that were not given', async () => {
+            spyOn(tmuxManager, 'sessionExists').mockResolvedValue(true);
+            mockSpawn.mockImplementation(() => createMockProcess());
+
+            await tmuxManager.setWorkspaceMetadata('dev', { tags: [] });
+
+            expect(mockSpawn).toHaveBeenCalledTimes(1);
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', ['set-option', '-u', '-t', 'dev-MCP', '@mcp-tags'], expect.any(Object));
+        });
+
+        test('rejects tags it cannot store and workspaces that do not exist', async () => {
+            const existsSpy = spyOn(tmuxManager, 'sessionExists').mockResolvedValue(false);
+
+            await expect(tmuxManager.setWorkspaceMetadata('dev', { tags: ['a,b'] })).rejects.toThrow('Invalid tag: "a,b"');
+            await expect(tmuxManager.setWorkspaceMetadata('dev', { tags: [''] })).rejects.toThrow('Invalid tag: ""');
+            expect(existsSpy).not.toHaveBeenCalled();
+            await expect(tmuxManager.setWorkspaceMetadata('dev', { description: 'x' })).rejects.toThrow('Workspace not found: dev');
+            expect(mockSpawn).not.toHaveBeenCalled();
+        });
+
+        test('reads descriptions that contain the field separator', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('1760000000::1760000000123::craig@devbox::::a::b\n'));
+
+            expect(await tmuxManager.getWorkspaceMetadata('dev')).toEqual({
+                created: 1760000000123,
+                owner: 'craig@devbox',
+                description: 'a::b',
+                tags: []
             });
+        });
+    });
 
+    describe('createWindow', () => {
+        test('creates new window in existing session', async () => {
             // sessionExists returns true
             mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
             // windowExists returns false
@@ -230,10 +276,10 @@ describe('TmuxManager', () => {
             // createWindow succeeds
             mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
 
-            await tmuxManager.createWindow('test', 'window1');
+            expect(await tmuxManager.createWindow('test', 'window1')).toBe(true);
 
             expect(mockSpawn).toHaveBeenCalledTimes(3);
-            expect(tmuxManager.sessionMetadata.get('test').windows).toContain('window1');
+            expect(mockSpawn).toHaveBeenNthCalledWith(3, 'tmux', ['new-window', '-t', 'test-MCP', '-n', 'window1'], expect.any(Object));
         });
 
         test('creates session if it does not exist', async () => {
@@ -246,16 +292,19 @@ describe('TmuxManager', () => {
             mockSpawn.mockReturnValueOnce(createMockProcess('history-limit 2000\n', '', 0));
             // 4. setScrollbackSize succeeds (2000 < 50000)
             mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
+            // 5-6. the creation time and owner are recorded
+            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
+            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
             // createWindow calls:
-            // 5. windowExists returns false
+            // 7. windowExists returns false
             mockSpawn.mockReturnValueOnce(createMockProcess('main\n'));
-            // 6. createWindow succeeds
+            // 8. createWindow succeeds
             mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
 
             await tmuxManager.createWindow('test', 'window1');
 
-            expect(mockSpawn).toHaveBeenCalledTimes(6);
-            expect(tmuxManager.sessionMetadata.get('test').windows).toContain('window1');
+            expect(mockSpawn).toHaveBeenCalledTimes(8);
+            expect(mockSpawn).toHaveBeenNthCalledWith(8, 'tmux', ['new-window', '-t', 'test-MCP', '-n', 'window1'], expect.any(Object));
         });
 
         test('does nothing if window already exists', async () => {
@@ -264,16 +313,496 @@ describe('TmuxManager', () => {
             // windowExists returns true
             mockSpawn.mockReturnValueOnce(createMockProcess('main\nwindow1\n'));
 
-            await tmuxManager.createWindow('test', 'window1');
+            expect(await tmuxManager.createWindow('test', 'window1')).toBe(false);
+
+            expect(mockSpawn).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('window options', () => {
+        const options = { cwd: '/repo/api', env: { NODE_ENV: 'test', API_PORT: '3001' }, shell: 'bash --norc' };
+
+        test('createWindow starts the window with -c, -e and the shell command', async () => {
+            mockSpawn
+            .mockReturnValueOnce(createMockProcess())
+            .mockReturnValueOnce(createMockProcess('main\n'))
+            .mockReturnValueOnce(createMockProcess())
+            .mockReturnValueOnce(createMockProcess());
+
+            expect(await tmuxManager.createWindow('test', 'api', options)).toBe(true);
+
+            expect(mockSpawn).toHaveBeenNthCalledWith(3, 'tmux', [
+                'new-window', '-t', 'test-MCP', '-n', 'api',
+                '-c', '/repo/api', '-e', 'NODE_ENV=test', '-e', 'API_PORT=3001', 'bash --norc'
+            ], expect.any(Object));
+            // The env and shell are kept on the window for snapshots
+            expect(mockSpawn).toHaveBeenNthCalledWith(4, 'tmux', [
+                'set-option', '-w', '-t', 'test-MCP:api', '@mcp-options', JSON.stringify({ env: options.env, shell: 'bash --norc' })
+            ], expect.any(Object));
+        });
+
+        test('a new workspace starts its main window with the options', async () => {
+            mockSpawn.mockImplementation(() => createMockProcess());
+            mockSpawn
+            .mockReturnValueOnce(createMockProcess('', 'no such session', 1))
+            .mockReturnValueOnce(createMockProcess())
+            .mockReturnValueOnce(createMockProcess('history-limit 50000\n'));
+
+            expect(await tmuxManager.createWindow('test', 'main', { cwd: '/repo' })).toBe(true);
+
+            expect(mockSpawn).toHaveBeenCalledTimes(5);
+            expect(mockSpawn).toHaveBeenNthCalledWith(2, 'tmux', ['new-session', '-d', '-s', 'test-MCP', '-n', 'main', '-c', '/repo'], expect.any(Object));
+        });
+
+        test('other windows in a new workspace leave main alone', async () => {
+            mockSpawn
+            .mockReturnValueOnce(createMockProcess('', 'no such session', 1))
+            .mockReturnValueOnce(createMockProcess())
+            .mockReturnValueOnce(createMockProcess('history-limit 50000\n'))
+            .mockReturnValueOnce(createMockProcess())
+            .mockReturnValueOnce(createMockProcess())
+            .mockReturnValueOnce(createMockProcess('main\n'))
+            .mockReturnValueOnce(createMockProcess());
+
+            await tmuxManager.createWindow('test', 'api', { cwd: '/repo/api' });
+
+            expect(mockSpawn).toHaveBeenNthCalledWith(2, 'tmux', ['new-session', '-d', '-s', 'test-MCP', '-n', 'main'], expect.any(Object));
+            expect(mockSpawn).toHaveBeenNthCalledWith(7, 'tmux', ['new-window', '-t', 'test-MCP', '-n', 'api', '-c', '/repo/api'], expect.any(Object));
+        });
+
+        test('rejects environment variable names the shell could not use', async () => {
+            await expect(tmuxManager.createWindow('test', 'api', { env: { 'BAD-NAME': '1' } })).rejects.toThrow('Invalid environment variable name: BAD-NAME');
+            expect(mockSpawn).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('pane targeting', () => {
+        test('targets the window without a lookup when no pane is given', async () => {
+            expect(await tmuxManager._resolveTarget('test', 'main')).toBe('test-MCP:main');
+            expect(mockSpawn).not.toHaveBeenCalled();
+        });
+
+        test('resolves a pane index or id to the id of a pane in that window', async () => {
+            mockSpawn.mockImplementation(() => createMockProcess('0 %4\n1 %7\n'));
+
+            expect(await tmuxManager._resolveTarget('test', 'main', '1')).toBe('%7');
+            expect(await tmuxManager._resolveTarget('test', 'main', 0)).toBe('%4');
+            expect(await tmuxManager._resolveTarget('test', 'main', '%7')).toBe('%7');
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', ['list-panes', '-t', 'test-MCP:main', '-F', '#{pane_index} #{pane_id}'], expect.any(Object));
+        });
+
+        test('rejects panes that belong to other windows', async () => {
+            mockSpawn.mockImplementation(() => createMockProcess('0 %4\n'));
+
+            await expect(tmuxManager._resolveTarget('test', 'main', '%9')).rejects.toThrow('Pane not found: %9 in window main');
+            await expect(tmuxManager._resolveTarget('test', 'main', '2')).rejects.toThrow('Pane not found: 2 in window main');
+        });
+
+        test('capturePane and sendKeys act on the pane', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue(false);
+            mockSpawn
+            .mockReturnValueOnce(createMockProcess('0 %4\n1 %7\n'))
+            .mockReturnValueOnce(createMockProcess('tail output\n'))
+            .mockReturnValueOnce(createMockProcess('0 %4\n1 %7\n'))
+            .mockReturnValueOnce(createMockProcess());
+
+            expect(await tmuxManager.capturePane('test', 'main', 10, '1')).toBe('tail output\n');
+            await tmuxManager.sendKeys('test', 'main', ['C-c'], '1');
+
+            expect(mockSpawn).toHaveBeenNthCalledWith(2, 'tmux', ['capture-pane', '-p', '-t', '%7', '-S', '-10'], expect.any(Object));
+            expect(mockSpawn).toHaveBeenNthCalledWith(4, 'tmux', ['send-keys', '-t', '%7', 'C-c'], expect.any(Object));
+        });
+
+        test('getWindowStatus reports just the pane', async () => {
+            mockSpawn
+            .mockReturnValueOnce(createMockProcess('0 %4\n1 %7\n'))
+            .mockReturnValueOnce(createMockProcess('main::1::%7::0::tail::4242::0::::80::24::0::23::120::1722852729::/var/log\n'));
+
+            const [status] = await tmuxManager.getWindowStatus('test', 'main', '1');
+
+            expect(mockSpawn).toHaveBeenNthCalledWith(2, 'tmux', ['display-message', '-p', '-t', '%7', expect.stringContaining('#{pane_current_path}')], expect.any(Object));
+            expect(status).toMatchObject({ windowName: 'main', paneIndex: 1, paneId: '%7', command: 'tail', path: '/var/log' });
+        });
+
+        test('startCommand records the pane in the command history', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue(false);
+            spyOn(tmuxManager, 'getCurrentPath').mockResolvedValue('/repo');
+            const commandSpy = spyOn(tmuxManager, 'getCurrentCommand').mockResolvedValue('bash');
+            const sendKeysSpy = spyOn(tmuxManager, 'sendKeys').mockResolvedValue();
+            const literalSpy = spyOn(tmuxManager, 'sendLiteral').mockResolvedValue();
+
+            const id = await tmuxManager.startCommand('test', 'main', 'npm start', { pane: '1' });
+
+            expect(commandSpy).toHaveBeenCalledWith('test', 'main', '1');
+            expect(literalSpy).toHaveBeenCalledWith('test', 'main', expect.any(String), '1');
+            expect(sendKeysSpy).toHaveBeenCalledWith('test', 'main', ['C-m'], '1');
+            expect(tmuxManager.commandLog.get(id)).toMatchObject({ windowName: 'main', pane: '1', command: 'npm start' });
+        });
+    });
+
+    describe('splitWindow', () => {
+        test('splits without moving the active pane and returns the new pane', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue(false);
+            mockSpawn.mockReturnValueOnce(createMockProcess('1 %8\n'));
+
+            const result = await tmuxManager.splitWindow('test', 'main', { direction: 'vertical', size: '30%', shell: 'tail -f app.log' });
+
+            expect(result).toEqual({ paneIndex: 1, paneId: '%8' });
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', [
+                'split-window', '-d', '-v', '-t', 'test-MCP:main', '-P', '-F', '#{pane_index} #{pane_id}', '-l', '30%', 'tail -f app.log'
+            ], expect.any(Object));
+        });
+
+        test('splits a given pane side by side by default', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue(false);
+            mockSpawn
+            .mockReturnValueOnce(createMockProcess('0 %4\n1 %7\n'))
+            .mockReturnValueOnce(createMockProcess('2 %9\n'));
+
+            await tmuxManager.splitWindow('test', 'main', { pane: '1', cwd: '/repo' });
+
+            expect(mockSpawn).toHaveBeenNthCalledWith(2, 'tmux', [
+                'split-window', '-d', '-h', '-t', '%7', '-P', '-F', '#{pane_index} #{pane_id}', '-c', '/repo'
+            ], expect.any(Object));
+        });
+
+        test('rejects unknown directions and sizes', async () => {
+            await expect(tmuxManager.splitWindow('test', 'main', { direction: 'diagonal' })).rejects.toThrow('Unknown split direction: diagonal (expected horizontal or vertical)');
+            await expect(tmuxManager.splitWindow('test', 'main', { size: 'half' })).rejects.toThrow('Invalid pane size: half');
+            expect(mockSpawn).not.toHaveBeenCalled();
+        });
+
+        test('refuses to split its own window', async () => {
+            tmuxManager.isUsingParentSession = true;
+            tmuxManager.parentSession = 'parent';
+            tmuxManager.parentWindow = 'claude';
+
+            await expect(tmuxManager.splitWindow('default', 'claude')).rejects.toThrow('Cannot split own window (claude)');
+        });
+    });
+
+    describe('loadWorkspace', () => {
+        const definition = {
+            name: 'dev',
+            windows: [
+                {
+                    name: 'server',
+                    layout: 'main-vertical',
+                    panes: [
+                        { cwd: '/repo', env: { PORT: '3000' }, commands: ['npm run dev'] },
+                        { cwd: '/repo/log', env: {}, commands: ['tail -f dev.log'] }
+                    ]
+                },
+                { name: 'shell', shell: 'zsh', panes: [{ env: {}, commands: [] }] }
+            ]
+        };
+
+        test('creates a new workspace with the definition\'s first window in place of main', async () => {
+            const createSessionSpy = spyOn(tmuxManager, 'createSession').mockResolvedValue(true);
+            const renameSpy = spyOn(tmuxManager, 'renameWindow').mockResolvedValue();
+            const createWindowSpy = spyOn(tmuxManager, 'createWindow').mockResolvedValue(true);
+            const splitSpy = spyOn(tmuxManager, 'splitWindow').mockResolvedValue({ paneIndex: 1, paneId: '%5' });
+            const layoutSpy = spyOn(tmuxManager, 'selectLayout').mockResolvedValue();
+            const startSpy = spyOn(tmuxManager, 'startCommand').mockResolvedValue('abcd1234');
+
+            const results = await tmuxManager.loadWorkspace('dev', definition);
+
+            expect(createSessionSpy).toHaveBeenCalledWith('dev', { cwd: '/repo', env: { PORT: '3000' } });
+            expect(renameSpy).toHaveBeenCalledWith('dev', 'main', 'server');
+            expect(createWindowSpy).toHaveBeenCalledTimes(1);
+            expect(createWindowSpy).toHaveBeenCalledWith('dev', 'shell', { env: {}, shell: 'zsh' });
+            expect(splitSpy).toHaveBeenCalledWith('dev', 'server', { cwd: '/repo/log', env: {} });
+            expect(layoutSpy).toHaveBeenCalledWith('dev', 'server', 'main-vertical');
+            expect(startSpy.mock.calls).toEqual([
+                ['dev', 'server', 'npm run dev', { pane: undefined }],
+                ['dev', 'server', 'tail -f dev.log', { pane: '1' }]
+            ]);
+            expect(results).toEqual([
+                { windowName: 'server', created: true, panesAdded: 1, commandsStarted: 2 },
+                { windowName: 'shell', created: true, panesAdded: 0, commandsStarted: 0 }
+            ]);
+        });
+
+        test('only adds the windows and panes that are missing when loaded again', async () => {
+            spyOn(tmuxManager, 'createSession').mockResolvedValue(false);
+            const renameSpy = spyOn(tmuxManager, 'renameWindow').mockResolvedValue();
+            spyOn(tmuxManager, 'createWindow').mockImplementation(async (sessionId, windowName) => windowName === 'shell');
+            const splitSpy = spyOn(tmuxManager, 'splitWindow');
+            spyOn(tmuxManager, 'selectLayout').mockResolvedValue();
+            const startSpy = spyOn(tmuxManager, 'startCommand').mockResolvedValue('abcd1234');
+            mockSpawn.mockImplementation(() => createMockProcess('0\n1\n'));
+
+            const results = await tmuxManager.loadWorkspace('dev', definition);
+
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', ['list-panes', '-t', 'dev-MCP:server', '-F', '#{pane_index}'], expect.any(Object));
+            expect(renameSpy).not.toHaveBeenCalled();
+            expect(splitSpy).not.toHaveBeenCalled();
+            expect(startSpy).not.toHaveBeenCalled();
+            expect(results).toEqual([
+                { windowName: 'server', created: false, panesAdded: 0, commandsStarted: 0 },
+                { windowName: 'shell', created: true, panesAdded: 0, commandsStarted: 0 }
+            ]);
+        });
+
+        test('tiles the panes as it splits when no layout is given', async () => {
+            spyOn(tmuxManager, 'createSession').mockResolvedValue(false);
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue(true);
+            spyOn(tmuxManager, 'splitWindow').mockResolvedValue({ paneIndex: 1, paneId: '%5' });
+            const layoutSpy = spyOn(tmuxManager, 'selectLayout').mockResolvedValue();
+            spyOn(tmuxManager, 'startCommand').mockResolvedValue('abcd1234');
+
+            await tmuxManager.loadWorkspace('dev', { windows: [{ name: 'logs', panes: [{ commands: [] }, { commands: [] }] }] });
+
+            expect(layoutSpy.mock.calls).toEqual([['dev', 'logs', 'tiled']]);
+        });
+
+        test('checks every window before creating anything', async () => {
+            const createSessionSpy = spyOn(tmuxManager, 'createSession');
+
+            await expect(tmuxManager.loadWorkspace('dev', {
+                windows: [
+                    { name: 'a', panes: [{ env: {}, commands: [] }] },
+                    { name: 'b', panes: [{ env: { 'BAD-NAME': '1' }, commands: [] }] }
+                ]
+            })).rejects.toThrow('Invalid environment variable name: BAD-NAME');
+            expect(createSessionSpy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('workspace snapshots', () => {
+        let directory;
+        const layout = 'b25d,80x24,0,0{40x24,0,0,0,39x24,41,0,1}';
+
+        beforeEach(async () => {
+            directory = await mkdtemp(path.join(tmpdir(), 'tmux-mcp-test-'));
+            tmuxManager.stateDir = path.join(directory, 'state');
+        });
+
+        afterEach(async () => {
+            await rm(directory, { recursive: true, force: true });
+        });
+
+        test('saves each window\'s layout, options and panes with their last command', async () => {
+            spyOn(tmuxManager, 'sessionExists').mockResolvedValue(true);
+            // Commands can come from the records on the window as well as from this server
+            const records = [
+                recordOption({ id: 'aaaa1111', source: 'run_command', command: 'npm run build', cwd: '/repo', started: 1 }),
+                recordOption({ id: 'cccc3333', pane: '1', source: 'run_command', command: 'tail -f dev.log', cwd: '/repo/log', started: 3 })
+            ].join('\n');
+            mockSpawn.mockImplementation((command, args) => {
+                if(args[0] === 'list-panes') {
+                    return createMockProcess([
+                        `server::${layout}::0::%1::1::/repo`,
+                        `server::${layout}::1::%2::0::/repo/log`,
+                        'tests::a0b1,80x24,0,0,3::0::%3::1::/repo',
+                        ''
+                    ].join('\n'));
+                }
+                const isServer = args[3] === 'dev-MCP:server';
+                if(args[0] === 'show-options') {
+                    return createMockProcess(isServer ? `${records}\nmonitor-activity on\n` : '');
+                }
+                if(args[0] === 'display-message') {
+                    return createMockProcess(isServer ? '{"env":{"PORT":"3000"}}\n' : '\n');
+                }
+                return createMockProcess();
+            });
+            tmuxManager.commandLog.set('bbbb2222', { id: 'bbbb2222', sessionId: 'dev', windowName: 'server', source: 'run_command', command: 'npm run dev', cwd: '/repo', started: 2, ended: null });
+            tmuxManager.commandLog.set('dddd4444', { id: 'dddd4444', sessionId: 'dev', windowName: 'tests', source: 'send_input', command: 'y', cwd: '/repo', started: 4, ended: null });
+
+            const { path: file, snapshot } = await tmuxManager.snapshotWorkspace('dev');
+
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', ['list-panes', '-s', '-t', 'dev-MCP', '-F', expect.stringContaining('#{window_layout}')], expect.any(Object));
+            expect(file).toBe(path.join(directory, 'state', 'dev.json'));
+            expect(snapshot).toMatchObject({
+                version: 1,
+                workspace_id: 'dev',
+                windows: [
+                    { name: 'server', layout, env: { PORT: '3000' }, panes: [{ cwd: '/repo', command: 'npm run dev' }, { cwd: '/repo/log', command: 'tail -f dev.log' }] },
+                    { name: 'tests', layout: 'a0b1,80x24,0,0,3', panes: [{ cwd: '/repo' }] }
+                ]
+            });
+            expect(snapshot.windows[1].panes[0]).not.toHaveProperty('command');
+            expect(JSON.parse(await readFile(file, 'utf8'))).toEqual(snapshot);
+        });
+
+        test('saves scrollback when asked', async () => {
+            spyOn(tmuxManager, 'sessionExists').mockResolvedValue(true);
+            const captureSpy = spyOn(tmuxManager, 'capturePane').mockResolvedValue('$ make\nok\n');
+            mockSpawn.mockReturnValueOnce(createMockProcess('main::a0b1,80x24,0,0,3::0::%3::1::/repo\n'));
+
+            const { snapshot } = await tmuxManager.snapshotWorkspace('dev', { scrollback: true });
+
+            expect(captureSpy).toHaveBeenCalledWith('dev', 'main', undefined, '%3');
+            expect(snapshot.windows[0].panes).toEqual([{ cwd: '/repo', scrollback: '$ make\nok\n' }]);
+        });
+
+        test('fails for unknown workspaces', async () => {
+            spyOn(tmuxManager, 'sessionExists').mockResolvedValue(false);
+
+            await expect(tmuxManager.snapshotWorkspace('nope')).rejects.toThrow('Workspace not found: nope');
+        });
+
+        test('restores the windows and panes through loadWorkspace', async () => {
+            await mkdir(tmuxManager.stateDir, { recursive: true });
+            await writeFile(path.join(tmuxManager.stateDir, 'dev.json'), JSON.stringify({
+                version: 1,
+                workspace_id: 'dev',
+                created: '2026-10-19T08:00:00.000Z',
+                windows: [
+                    { name: 'server', layout, env: { PORT: '3000' }, panes: [{ cwd: '/repo', command: 'npm run dev' }, { cwd: '/repo/log' }] },
+                    { name: 'shell', layout: 'a0b1,80x24,0,0,3', shell: 'zsh', panes: [{ cwd: '/repo', command: 'ls' }] }
+                ]
+            }));
+            const loadSpy = spyOn(tmuxManager, 'loadWorkspace').mockResolvedValue([{ windowName: 'server', created: true, panesAdded: 1, commandsStarted: 1 }]);
+
+            const result = await tmuxManager.restoreWorkspace('dev', { relaunch: true });
+
+            expect(loadSpy).toHaveBeenCalledWith('dev', {
+                windows: [
+                    { name: 'server', layout, panes: [{ cwd: '/repo', env: { PORT: '3000' }, commands: ['npm run dev'] }, { cwd: '/repo/log', env: { PORT: '3000' }, commands: [] }] },
+                    { name: 'shell', layout: 'a0b1,80x24,0,0,3', shell: 'zsh', panes: [{ cwd: '/repo', env: {}, commands: ['ls'] }] }
+                ]
+            });
+            expect(result).toEqual({
+                path: path.join(tmuxManager.stateDir, 'dev.json'),
+                created: '2026-10-19T08:00:00.000Z',
+                windows: [{ windowName: 'server', created: true, panesAdded: 1, commandsStarted: 1 }]
+            });
+
+            await tmuxManager.restoreWorkspace('dev');
+            expect(_.flatMap(loadSpy.mock.calls[1][1].windows, 'panes')).toEqual([
+                { cwd: '/repo', env: { PORT: '3000' }, commands: [] },
+                { cwd: '/repo/log', env: { PORT: '3000' }, commands: [] },
+                { cwd: '/repo', env: {}, commands: [] }
+            ]);
+        });
+
+        test('explains a missing or unreadable snapshot', async () => {
+            await expect(tmuxManager.restoreWorkspace('dev')).rejects.toThrow(`No snapshot of workspace dev in ${tmuxManager.stateDir}`);
+
+            await mkdir(tmuxManager.stateDir, { recursive: true });
+            await writeFile(path.join(tmuxManager.stateDir, 'dev.json'), '{"windows": [');
+            await expect(tmuxManager.restoreWorkspace('dev')).rejects.toThrow(`Invalid snapshot ${path.join(tmuxManager.stateDir, 'dev.json')}`);
+        });
+    });
+
+    describe('selectLayout', () => {
+        test('applies the layout to the window', async () => {
+            mockSpawn
+            .mockReturnValueOnce(createMockProcess('main\n'))
+            .mockReturnValueOnce(createMockProcess());
+
+            await tmuxManager.selectLayout('test', 'main', 'even-horizontal');
+
+            expect(mockSpawn).toHaveBeenNthCalledWith(2, 'tmux', ['select-layout', '-t', 'test-MCP:main', 'even-horizontal'], expect.any(Object));
+        });
+
+        test('fails for unknown windows', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('main\n'));
+
+            await expect(tmuxManager.selectLayout('test', 'logs', 'tiled')).rejects.toThrow('Window not found: logs');
+        });
+    });
+
+    describe('closeWindow', () => {
+        test('kills the window', async () => {
+            mockSpawn
+            .mockReturnValueOnce(createMockProcess('main\nlogs\n'))
+            .mockReturnValueOnce(createMockProcess());
+
+            await tmuxManager.closeWindow('test', 'logs');
 
             expect(mockSpawn).toHaveBeenCalledTimes(2);
+            expect(mockSpawn).toHaveBeenNthCalledWith(2, 'tmux', ['kill-window', '-t', 'test-MCP:logs'], expect.any(Object));
+        });
+
+        test('fails for unknown windows', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('main\n'));
+
+            await expect(tmuxManager.closeWindow('test', 'mian')).rejects.toThrow('Window not found: mian');
+            expect(mockSpawn).toHaveBeenCalledTimes(1);
+        });
+
+        test('refuses to close its own window', async () => {
+            tmuxManager.isUsingParentSession = true;
+            tmuxManager.parentSession = 'parent';
+            tmuxManager.parentWindow = 'claude';
+
+            await expect(tmuxManager.closeWindow('default', 'claude')).rejects.toThrow('Cannot close own window (claude)');
+            expect(mockSpawn).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('renameWindow', () => {
+        test('renames the window in tmux and the command history', async () => {
+            tmuxManager.commandLog.set('aaaa1111', { id: 'aaaa1111', sessionId: 'test', windowName: 'build', source: 'run_command', command: 'make', cwd: '/src', started: 1 });
+            tmuxManager.commandLog.set('bbbb2222', { id: 'bbbb2222', sessionId: 'other', windowName: 'build', source: 'run_command', command: 'make', cwd: '/src', started: 2 });
+            mockSpawn
+            .mockReturnValueOnce(createMockProcess('main\nbuild\n'))
+            .mockReturnValueOnce(createMockProcess('main\nbuild\n'))
+            .mockReturnValueOnce(createMockProcess());
+
+            await tmuxManager.renameWindow('test', 'build', 'compile');
+
+            expect(mockSpawn).toHaveBeenNthCalledWith(3, 'tmux', ['rename-window', '-t', 'test-MCP:build', 'compile'], expect.any(Object));
+            expect(tmuxManager.commandLog.get('aaaa1111').windowName).toBe('compile');
+            expect(tmuxManager.commandLog.get('bbbb2222').windowName).toBe('build');
+        });
+
+        test('will not take the name of another window', async () => {
+            mockSpawn.mockImplementation(() => createMockProcess('main\nbuild\n'));
+
+            await expect(tmuxManager.renameWindow('test', 'build', 'main')).rejects.toThrow('Window already exists: main');
+        });
+
+        test('fails for unknown windows', async () => {
+            mockSpawn.mockReturnValue(createMockProcess('main\n'));
+
+            await expect(tmuxManager.renameWindow('test', 'build', 'compile')).rejects.toThrow('Window not found: build');
+        });
+    });
+
+    describe('strict windows', () => {
+        beforeEach(() => {
+            tmuxManager.strictWindows = true;
+        });
+
+        test('capturePane fails instead of creating an unknown window', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('main\n'));
+
+            await expect(tmuxManager.capturePane('test', 'mian')).rejects.toThrow('Window not found: mian');
+            expect(mockSpawn).toHaveBeenCalledTimes(1);
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', ['list-windows', '-t', 'test-MCP', '-F', '#W'], expect.any(Object));
+        });
+
+        test('capturePane reads existing windows', async () => {
+            mockSpawn
+            .mockReturnValueOnce(createMockProcess('main\n'))
+            .mockReturnValueOnce(createMockProcess('$ ls\n'));
+
+            expect(await tmuxManager.capturePane('test', 'main')).toBe('$ ls\n');
+        });
+
+        test('getWindowStatus and readFile fail for unknown windows', async () => {
+            mockSpawn.mockImplementation(() => createMockProcess('main\n'));
+
+            await expect(tmuxManager.getWindowStatus('test', 'mian')).rejects.toThrow('Window not found: mian');
+            await expect(tmuxManager.readFile('test', 'mian', 'notes.txt')).rejects.toThrow('Window not found: mian');
+        });
+
+        test('writes still create the window', async () => {
+            const createWindow = spyOn(tmuxManager, 'createWindow').mockResolvedValue(true);
+            mockSpawn.mockReturnValue(createMockProcess());
+
+            await tmuxManager.sendKeys('test', 'build', ['C-c']);
+
+            expect(createWindow).toHaveBeenCalledWith('test', 'build');
         });
     });
 
     describe('destroySession', () => {
         test('destroys existing session', async () => {
-            tmuxManager.sessionMetadata.set('test', { id: 'test', windows: [] });
-
             // sessionExists returns true
             mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
             // killSession succeeds
@@ -282,7 +811,7 @@ describe('TmuxManager', () => {
             await tmuxManager.destroySession('test');
 
             expect(mockSpawn).toHaveBeenCalledTimes(2);
-            expect(tmuxManager.sessionMetadata.has('test')).toBe(false);
+            expect(mockSpawn).toHaveBeenNthCalledWith(2, 'tmux', ['kill-session', '-t', 'test-MCP'], expect.any(Object));
         });
 
         test('does nothing if session does not exist', async () => {
@@ -339,19 +868,22 @@ describe('TmuxManager', () => {
     });
 
     describe('listWorkspaces', () => {
-        test('returns workspaces with their windows', async () => {
+        test('returns workspaces with their windows and metadata', async () => {
             // listSessions
             mockSpawn.mockReturnValueOnce(createMockProcess('workspace1-MCP\nworkspace2-MCP\n'));
-            // listWindows for workspace1
+            // listWindows and metadata for workspace1
             mockSpawn.mockReturnValueOnce(createMockProcess('main\nwindow1\n'));
-            // listWindows for workspace2
+            mockSpawn.mockReturnValueOnce(createMockProcess('1760000000::1760000000123::craig@devbox::api,urgent::Fix the login bug\n'));
+            // listWindows and metadata for workspace2, which another server created before metadata was kept
             mockSpawn.mockReturnValueOnce(createMockProcess('main\n'));
+            mockSpawn.mockReturnValueOnce(createMockProcess('1760000500::::::\n'));
 
             const workspaces = await tmuxManager.listWorkspaces();
 
+            expect(mockSpawn).toHaveBeenNthCalledWith(3, 'tmux', ['display-message', '-p', '-t', 'workspace1-MCP', '#{session_created}::#{@mcp-created}::#{@mcp-owner}::#{@mcp-tags}::#{@mcp-description}'], expect.any(Object));
             expect(workspaces).toEqual([
-                { workspace_id: 'workspace1', windows: ['main', 'window1'] },
-                { workspace_id: 'workspace2', windows: ['main'] }
+                { workspace_id: 'workspace1', windows: ['main', 'window1'], created: 1760000000123, owner: 'craig@devbox', description: 'Fix the login bug', tags: ['api', 'urgent'] },
+                { workspace_id: 'workspace2', windows: ['main'], created: 1760000500000, owner: null, description: null, tags: [] }
             ]);
         });
 
@@ -379,6 +911,16 @@ describe('TmuxManager', () => {
             expect(mockSpawn).toHaveBeenNthCalledWith(3, 'tmux', ['send-keys', '-t', 'test-MCP:main', 'C-c', 'Enter'], expect.any(Object));
         });
 
+        test('escapes trailing semicolons so tmux does not treat them as separators', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
+            mockSpawn.mockReturnValueOnce(createMockProcess('main\n'));
+            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
+
+            await tmuxManager.sendKeys('test', 'main', ['a', ';', 'b;', 'C-m']);
+
+            expect(mockSpawn).toHaveBeenNthCalledWith(3, 'tmux', ['send-keys', '-t', 'test-MCP:main', 'a', '\\;', 'b\\;', 'C-m'], expect.any(Object));
+        });
+
         test('creates window if it does not exist', async () => {
             // createSession - sessionExists returns true
             mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
@@ -395,80 +937,1487 @@ describe('TmuxManager', () => {
         });
     });
 
-    describe('capturePane', () => {
-        test('captures pane output with default scrollback', async () => {
-            // createSession - sessionExists returns true
-            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
-            // createWindow - windowExists returns true
-            mockSpawn.mockReturnValueOnce(createMockProcess('main\n'));
-            // capturePane succeeds
-            mockSpawn.mockReturnValueOnce(createMockProcess('line1\nline2\nline3\n'));
+    describe('startCommand', () => {
+        test('sends the wrapped command and records it', async () => {
+            const sendKeysSpy = spyOn(tmuxManager, 'sendKeys').mockResolvedValue();
+            const literalSpy = spyOn(tmuxManager, 'sendLiteral').mockResolvedValue();
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue();
+            spyOn(tmuxManager, 'getCurrentPath').mockResolvedValue('/repo');
+
+            const id = await tmuxManager.startCommand('test', 'main', 'npm test');
+
+            expect(id).toMatch(/^[0-9a-f]{8}$/);
+            expect(literalSpy).toHaveBeenCalledWith('test', 'main', ` printf '\\033[8m__MCP_START_%s__\\033[0m\\n' ${id}; eval 'npm test'; printf '\\033[8m\\n__MCP_END_%s:%d:%s__\\033[0m\\n' ${id} $? "$(date +%s)"`, undefined);
+            expect(sendKeysSpy).toHaveBeenCalledWith('test', 'main', ['C-m'], undefined);
+            expect(literalSpy.mock.invocationCallOrder[0]).toBeLessThan(sendKeysSpy.mock.invocationCallOrder[0]);
+            expect(tmuxManager.commandLog.get(id)).toEqual({
+                id,
+                sessionId: 'test',
+                windowName: 'main',
+                source: 'run_command',
+                command: 'npm test',
+                cwd: '/repo',
+                started: expect.any(Number),
+                ended: null,
+                exitCode: null,
+                timedOut: false,
+                stoppedBy: null
+            });
+        });
 
-            const output = await tmuxManager.capturePane('test', 'main');
+        test('sends the command as it is to a shell the wrapper does not work in', async () => {
+            spyOn(tmuxManager, 'sendKeys').mockResolvedValue();
+            const literalSpy = spyOn(tmuxManager, 'sendLiteral').mockResolvedValue();
+            spyOn(tmuxManager, 'getCurrentPath').mockResolvedValue('/repo');
+            spyOn(tmuxManager, 'getCurrentCommand').mockResolvedValue('-fish');
 
-            expect(output).toBe('line1\nline2\nline3\n');
-            expect(mockSpawn).toHaveBeenNthCalledWith(3, 'tmux', ['capture-pane', '-p', '-t', 'test-MCP:main', '-S', '-'], expect.any(Object));
+            const id = await tmuxManager.startCommand('test', 'main', 'echo $status');
+
+            expect(literalSpy).toHaveBeenCalledWith('test', 'main', 'echo $status', undefined);
+            expect(tmuxManager.commandLog.get(id)).toMatchObject({ command: 'echo $status', unwrapped: true, ended: null });
         });
 
-        test('captures pane output with specific line count', async () => {
-            // createSession - sessionExists returns true
-            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
-            // createWindow - windowExists returns true
-            mockSpawn.mockReturnValueOnce(createMockProcess('main\n'));
-            // capturePane succeeds
-            mockSpawn.mockReturnValueOnce(createMockProcess('last 50 lines\n'));
+        test('types a command too large for one tmux command in chunks', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue(false);
+            spyOn(tmuxManager, 'getCurrentPath').mockResolvedValue('/repo');
+            spyOn(tmuxManager, 'getCurrentCommand').mockResolvedValue('bash');
+            mockSpawn.mockImplementation(() => createMockProcess());
+            const heredoc = `cat > big.txt <<'EOF'\n${_.repeat(`${'x'.repeat(99)}\n`, 400)}EOF`;
 
-            const output = await tmuxManager.capturePane('test', 'main', 50);
+            await tmuxManager.startCommand('test', 'main', heredoc);
 
-            expect(output).toBe('last 50 lines\n');
-            expect(mockSpawn).toHaveBeenNthCalledWith(3, 'tmux', ['capture-pane', '-p', '-t', 'test-MCP:main', '-S', '-50'], expect.any(Object));
+            const sent = _.filter(_.map(mockSpawn.mock.calls, 1), args => args[0] === 'send-keys');
+            expect(_.every(sent, args => _.sumBy(args, 'length') < 16 * 1024)).toBe(true);
+            expect(_.map(_.filter(sent, args => args[1] === '-l'), _.last).join('')).toContain(`'\\''EOF'\\''\n${'x'.repeat(99)}\n`);
+            expect(_.last(sent)).toEqual(['send-keys', '-t', 'test-MCP:main', 'C-m']);
         });
 
-        test('creates window if it does not exist', async () => {
-            // createSession - sessionExists returns true
-            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
-            // createWindow - windowExists returns false
-            mockSpawn.mockReturnValueOnce(createMockProcess('main\n'));
-            // createWindow - new-window succeeds
-            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
-            // capturePane succeeds
-            mockSpawn.mockReturnValueOnce(createMockProcess('output\n'));
+        test('creates the window before looking at its shell', async () => {
+            spyOn(tmuxManager, 'sendKeys').mockResolvedValue();
+            spyOn(tmuxManager, 'getCurrentPath').mockResolvedValue('/repo');
+            const createSpy = spyOn(tmuxManager, 'createWindow').mockResolvedValue(true);
+            const commandSpy = spyOn(tmuxManager, 'getCurrentCommand').mockResolvedValue('bash');
 
-            const output = await tmuxManager.capturePane('test', 'window1');
+            await tmuxManager.startCommand('test', 'build', 'make');
 
-            expect(output).toBe('output\n');
-            expect(mockSpawn).toHaveBeenCalledTimes(4);
+            expect(createSpy).toHaveBeenCalledWith('test', 'build');
+            expect(createSpy.mock.invocationCallOrder[0]).toBeLessThan(commandSpy.mock.invocationCallOrder[0]);
         });
-    });
 
-    describe('parent session detection', () => {
-        let consoleErrorSpy;
+        test('refuses a timeout in a shell the wrapper does not work in', async () => {
+            const sendKeysSpy = spyOn(tmuxManager, 'sendKeys').mockResolvedValue();
+            spyOn(tmuxManager, 'getCurrentCommand').mockResolvedValue('pwsh');
 
-        beforeEach(() => {
-            // Set up console.error spy for tests that need it
-            consoleErrorSpy = null;
+            await expect(tmuxManager.startCommand('test', 'main', 'Get-Date', { timeout: 1000 })).rejects.toThrow('Cannot time out a command in pwsh');
+            expect(sendKeysSpy).not.toHaveBeenCalled();
         });
 
-        afterEach(() => {
-            // Clean up console.error spy if it was used
-            if(consoleErrorSpy && isFunction(consoleErrorSpy.mockRestore)) {
-                try {
-                    consoleErrorSpy.mockRestore();
-                    consoleErrorSpy = null;
-                } catch{
-                    // Ignore restoration errors
-                    consoleErrorSpy = null;
-                }
-            }
+        test('stops the command once its timeout expires', async () => {
+            spyOn(tmuxManager, 'sendKeys').mockResolvedValue();
+            spyOn(tmuxManager, 'sendLiteral').mockResolvedValue();
+            spyOn(tmuxManager, '_getLaunchPath').mockResolvedValue('/repo');
+            spyOn(tmuxManager, '_getPaneId').mockResolvedValue('%3');
+            const captureSpy = spyOn(tmuxManager, '_captureCommandPane').mockResolvedValue('still going\n');
+            const interruptSpy = spyOn(tmuxManager, 'interruptCommand').mockResolvedValue('C-c');
+
+            const id = await tmuxManager.startCommand('test', 'main', 'tail -f log', { timeout: 5 });
+            await new Promise(resolve => setTimeout(resolve, 30));
+
+            // By id, so a pane closed and replaced in the meantime isn't stopped instead
+            expect(captureSpy).toHaveBeenCalledWith('%3');
+            expect(interruptSpy).toHaveBeenCalledWith('test', 'main', id, '%3');
+            expect(tmuxManager.commandLog.get(id)).toMatchObject({ timedOut: true, stoppedBy: 'C-c', ended: expect.any(Number) });
         });
 
-        test('detects when running inside tmux', async () => {
-            // Set tmux environment variables
-            process.env.TMUX = '/tmp/tmux-1000/default,12345,0';
-            process.env.TMUX_PANE = '%42';
+        test('records a command that ended its shell before its timeout as closed', async () => {
+            spyOn(tmuxManager, 'sendKeys').mockResolvedValue();
+            spyOn(tmuxManager, 'sendLiteral').mockResolvedValue();
+            spyOn(tmuxManager, '_getLaunchPath').mockResolvedValue('/repo');
+            spyOn(tmuxManager, '_getPaneId').mockResolvedValue('%3');
+            spyOn(tmuxManager, '_captureCommandPane').mockResolvedValue(null);
+            const createSpy = spyOn(tmuxManager, 'createWindow');
+            const interruptSpy = spyOn(tmuxManager, 'interruptCommand').mockResolvedValue('C-c');
+
+            const id = await tmuxManager.startCommand('test', 'main', 'exit 3', { timeout: 5 });
+            await new Promise(resolve => setTimeout(resolve, 30));
+
+            expect(interruptSpy).not.toHaveBeenCalled();
+            expect(createSpy).not.toHaveBeenCalled();
+            expect(tmuxManager.commandLog.get(id)).toMatchObject({ closed: true, timedOut: false, exitCode: null, ended: expect.any(Number) });
+        });
 
-            // Mock the list-panes command to return session and window info
-            mockSpawn.mockReturnValueOnce(createMockProcess('my-session my-window\n'));
+        test('leaves a command alone if it finished before its timeout', async () => {
+            spyOn(tmuxManager, 'sendKeys').mockResolvedValue();
+            spyOn(tmuxManager, 'sendLiteral').mockResolvedValue();
+            spyOn(tmuxManager, '_getLaunchPath').mockResolvedValue('/repo');
+            spyOn(tmuxManager, '_getPaneId').mockResolvedValue('%3');
+            const interruptSpy = spyOn(tmuxManager, 'interruptCommand').mockResolvedValue('C-c');
+
+            const id = await tmuxManager.startCommand('test', 'main', 'true', { timeout: 5 });
+            spyOn(tmuxManager, '_captureCommandPane').mockResolvedValue(`__MCP_START_${id}__\n__MCP_END_${id}:0__\n`);
+            await new Promise(resolve => setTimeout(resolve, 30));
+
+            expect(interruptSpy).not.toHaveBeenCalled();
+            expect(tmuxManager.commandLog.get(id).timedOut).toBe(false);
+        });
+
+        test('cancels the timeout when another command starts in the pane', async () => {
+            spyOn(tmuxManager, 'sendKeys').mockResolvedValue();
+            spyOn(tmuxManager, 'sendLiteral').mockResolvedValue();
+            spyOn(tmuxManager, '_getLaunchPath').mockResolvedValue('/repo');
+            spyOn(tmuxManager, '_getPaneId').mockResolvedValue('%3');
+            spyOn(tmuxManager, '_captureCommandPane').mockResolvedValue('still going\n');
+            const interruptSpy = spyOn(tmuxManager, 'interruptCommand').mockResolvedValue('C-c');
+
+            await tmuxManager.startCommand('test', 'main', 'tail -f log', { timeout: 5 });
+            await tmuxManager.startCommand('test', 'main', 'npm start');
+            await new Promise(resolve => setTimeout(resolve, 30));
+
+            expect(interruptSpy).not.toHaveBeenCalled();
+            expect(tmuxManager.commandTimers.size).toBe(0);
+        });
+
+        test('leaves a later command alone when the timed one was abandoned', async () => {
+            // Stopped by hand with C-c, which also skips the end sentinel, then a new command started
+            spyOn(tmuxManager, '_captureCommandPane').mockResolvedValue('__MCP_START_aaaaaaaa__\n^C\n$ npm start\n__MCP_START_bbbbbbbb__\nlistening\n');
+            const interruptSpy = spyOn(tmuxManager, 'interruptCommand').mockResolvedValue('C-c');
+
+            await tmuxManager._enforceTimeout('test', 'main', 'aaaaaaaa', '%3');
+
+            expect(interruptSpy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('interruptCommand', () => {
+        let sendKeysSpy, killSpy;
+
+        beforeEach(() => {
+            tmuxManager.pollInterval = 1;
+            tmuxManager.interruptGrace = 5;
+            sendKeysSpy = spyOn(tmuxManager, 'sendKeys').mockResolvedValue();
+            spyOn(tmuxManager, '_getPanePid').mockResolvedValue(100);
+            spyOn(tmuxManager, 'capturePane').mockResolvedValue('still going\n');
+            killSpy = spyOn(process, 'kill').mockImplementation(() => true);
+        });
+
+        afterEach(() => {
+            killSpy.mockRestore();
+        });
+
+        test('stops with C-c when the shell returns to the foreground', async () => {
+            tmuxManager.getForegroundProcessGroup = mock(async () => 100);
+
+            const stoppedBy = await tmuxManager.interruptCommand('test', 'main', 'abcd1234');
+
+            expect(stoppedBy).toBe('C-c');
+            expect(sendKeysSpy).toHaveBeenCalledWith('test', 'main', ['C-c'], undefined);
+            expect(killSpy).not.toHaveBeenCalled();
+        });
+
+        test('stops when the end sentinel appears', async () => {
+            tmuxManager.getForegroundProcessGroup = mock(async () => 200);
+            tmuxManager.capturePane.mockResolvedValue('__MCP_END_abcd1234:130:1700000000__\n$ ');
+
+            expect(await tmuxManager.interruptCommand('test', 'main', 'abcd1234')).toBe('C-c');
+        });
+
+        test('escalates to SIGTERM on the foreground process group', async () => {
+            let group = 200;
+            tmuxManager.getForegroundProcessGroup = mock(async () => group);
+            killSpy.mockImplementation(() => {
+                group = 100;
+                return true;
+            });
+
+            const stoppedBy = await tmuxManager.interruptCommand('test', 'main', 'abcd1234');
+
+            expect(stoppedBy).toBe('SIGTERM');
+            expect(killSpy).toHaveBeenCalledTimes(1);
+            expect(killSpy).toHaveBeenCalledWith(-200, 'SIGTERM');
+            expect(tmuxManager.getForegroundProcessGroup).toHaveBeenCalledWith(100);
+        });
+
+        test('returns null when even SIGKILL does not stop the command', async () => {
+            tmuxManager.getForegroundProcessGroup = mock(async () => 200);
+
+            const stoppedBy = await tmuxManager.interruptCommand('test', 'main', 'abcd1234');
+
+            expect(stoppedBy).toBe(null);
+            expect(killSpy.mock.calls).toEqual([[-200, 'SIGTERM'], [-200, 'SIGKILL']]);
+        });
+
+        test('ignores a process group that exited before the signal', async () => {
+            tmuxManager.getForegroundProcessGroup = mock(async () => 200);
+            killSpy.mockImplementation(() => {
+                throw Object.assign(new Error('kill ESRCH'), { code: 'ESRCH' });
+            });
+
+            expect(await tmuxManager.interruptCommand('test', 'main', 'abcd1234')).toBe(null);
+        });
+    });
+
+    describe('sendLiteral', () => {
+        test('sends the text with send-keys -l in chunks', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue();
+            mockSpawn.mockImplementation(() => createMockProcess());
+
+            await tmuxManager.sendLiteral('test', 'main', `${'a'.repeat(2048)}b;`);
+
+            expect(mockSpawn).toHaveBeenCalledTimes(2);
+            expect(mockSpawn).toHaveBeenNthCalledWith(1, 'tmux', ['send-keys', '-l', '-t', 'test-MCP:main', 'a'.repeat(2048)], expect.any(Object));
+            expect(mockSpawn).toHaveBeenNthCalledWith(2, 'tmux', ['send-keys', '-l', '-t', 'test-MCP:main', 'b\\;'], expect.any(Object));
+        });
+
+        test('keeps an escaped trailing semicolon intact', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue();
+            mockSpawn.mockReturnValueOnce(createMockProcess());
+
+            await tmuxManager.sendLiteral('test', 'main', 'find . -exec rm {} \\;');
+
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', ['send-keys', '-l', '-t', 'test-MCP:main', 'find . -exec rm {} \\\\;'], expect.any(Object));
+        });
+
+        test('does not split characters outside the basic plane', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue();
+            mockSpawn.mockImplementation(() => createMockProcess());
+
+            await tmuxManager.sendLiteral('test', 'main', '😀'.repeat(2049));
+
+            expect(mockSpawn.mock.calls[0][1].at(-1)).toBe('😀'.repeat(2048));
+            expect(mockSpawn.mock.calls[1][1].at(-1)).toBe('😀');
+        });
+
+        test('refuses to type into its own window', async () => {
+            tmuxManager.isUsingParentSession = true;
+            tmuxManager.parentWindow = 'claude';
+
+            await expect(tmuxManager.sendLiteral('test', 'claude', 'ls')).rejects.toThrow('Cannot send keys to own window (claude)');
+        });
+    });
+
+    describe('pasteText', () => {
+        test('loads the text into a buffer from stdin and pastes it bracketed', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue();
+            const loadProc = createMockProcess();
+            loadProc.stdin.end = mock();
+            mockSpawn.mockReturnValueOnce(loadProc).mockReturnValueOnce(createMockProcess());
+
+            await tmuxManager.pasteText('test', 'repl', 'def f():\n    return 1\n');
+
+            const [, loadArgs] = mockSpawn.mock.calls[0];
+            const buffer = loadArgs[2];
+            expect(buffer).toMatch(/^mcp-[0-9a-f]{8}$/);
+            expect(loadArgs).toEqual(['load-buffer', '-b', buffer, '-']);
+            expect(loadProc.stdin.end).toHaveBeenCalledWith('def f():\n    return 1\n');
+            expect(mockSpawn).toHaveBeenNthCalledWith(2, 'tmux', ['paste-buffer', '-p', '-d', '-b', buffer, '-t', 'test-MCP:repl'], expect.any(Object));
+        });
+    });
+
+    describe('sendSignal', () => {
+        let killSpy;
+
+        beforeEach(() => {
+            spyOn(tmuxManager, '_getPanePid').mockResolvedValue(100);
+            spyOn(tmuxManager, 'getCurrentCommand').mockResolvedValue('nginx');
+            tmuxManager.getForegroundProcessGroup = mock(async () => 200);
+            killSpy = spyOn(process, 'kill').mockImplementation(() => true);
+        });
+
+        afterEach(() => {
+            killSpy.mockRestore();
+        });
+
+        test('signals the foreground process group', async () => {
+            const result = await tmuxManager.sendSignal('test', 'server', 'hup');
+
+            expect(result).toEqual({ signal: 'SIGHUP', pgid: 200, command: 'nginx' });
+            expect(killSpy).toHaveBeenCalledWith(-200, 'SIGHUP');
+            expect(tmuxManager._getPanePid).toHaveBeenCalledWith('test', 'server', undefined);
+        });
+
+        test('refuses to signal the shell itself', async () => {
+            tmuxManager.getForegroundProcessGroup = mock(async () => 100);
+
+            await expect(tmuxManager.sendSignal('test', 'server', 'SIGTERM')).rejects.toThrow('No command is running in the foreground, only the shell');
+            expect(killSpy).not.toHaveBeenCalled();
+        });
+
+        test('rejects unknown signals', async () => {
+            await expect(tmuxManager.sendSignal('test', 'server', 'SIGNOPE')).rejects.toThrow('Unknown signal: SIGNOPE');
+            expect(killSpy).not.toHaveBeenCalled();
+        });
+
+        test('reports a group that exited before the signal', async () => {
+            killSpy.mockImplementation(() => {
+                throw Object.assign(new Error('kill ESRCH'), { code: 'ESRCH' });
+            });
+
+            await expect(tmuxManager.sendSignal('test', 'server', 'USR1')).rejects.toThrow('Process group 200 exited before it could be signalled');
+        });
+
+        test('refuses to signal its own window', async () => {
+            tmuxManager.isUsingParentSession = true;
+            tmuxManager.parentWindow = 'claude';
+
+            await expect(tmuxManager.sendSignal('test', 'claude', 'TERM')).rejects.toThrow('Cannot send signal to own window (claude)');
+            expect(tmuxManager._getPanePid).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('sendInput', () => {
+        test('types the text followed by Enter and records it', async () => {
+            const sendKeysSpy = spyOn(tmuxManager, 'sendKeys').mockResolvedValue();
+            const literalSpy = spyOn(tmuxManager, 'sendLiteral').mockResolvedValue();
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue();
+            spyOn(tmuxManager, 'getCurrentPath').mockResolvedValue('/repo');
+
+            await tmuxManager.sendInput('test', 'repl', 'print(1)');
+
+            expect(literalSpy).toHaveBeenCalledWith('test', 'repl', 'print(1)', undefined);
+            expect(sendKeysSpy).toHaveBeenCalledWith('test', 'repl', ['C-m'], undefined);
+            expect([...tmuxManager.commandLog.values()]).toEqual([{
+                id: expect.any(String),
+                sessionId: 'test',
+                windowName: 'repl',
+                source: 'send_input',
+                command: 'print(1)',
+                cwd: '/repo',
+                started: expect.any(Number),
+                ended: null,
+                exitCode: null,
+                timedOut: false,
+                stoppedBy: null
+            }]);
+        });
+
+        test('pastes the text in paste mode', async () => {
+            const sendKeysSpy = spyOn(tmuxManager, 'sendKeys').mockResolvedValue();
+            const pasteSpy = spyOn(tmuxManager, 'pasteText').mockResolvedValue();
+            const literalSpy = spyOn(tmuxManager, 'sendLiteral').mockResolvedValue();
+            spyOn(tmuxManager, '_getLaunchPath').mockResolvedValue('/repo');
+
+            await tmuxManager.sendInput('test', 'repl', 'if True:\n    pass\n', { mode: 'paste' });
+
+            expect(pasteSpy).toHaveBeenCalledWith('test', 'repl', 'if True:\n    pass\n', undefined);
+            expect(literalSpy).not.toHaveBeenCalled();
+            expect(sendKeysSpy).toHaveBeenCalledWith('test', 'repl', ['C-m'], undefined);
+        });
+
+        test('rejects unknown modes before sending anything', async () => {
+            const sendKeysSpy = spyOn(tmuxManager, 'sendKeys').mockResolvedValue();
+
+            await expect(tmuxManager.sendInput('test', 'repl', 'x', { mode: 'typed' })).rejects.toThrow('Unknown input mode: typed (expected literal or paste)');
+            expect(sendKeysSpy).not.toHaveBeenCalled();
+            expect(tmuxManager.commandLog.size).toBe(0);
+        });
+    });
+
+    describe('getCommandHistory', () => {
+        function logEntry(id, windowName, overrides = {}) {
+            tmuxManager.commandLog.set(id, {
+                id,
+                sessionId: 'test',
+                windowName,
+                source: 'run_command',
+                command: `cmd ${id}`,
+                cwd: '/repo',
+                started: 1000,
+                ended: null,
+                exitCode: null,
+                ...overrides
+            });
+        }
+
+        test('fills in exit codes and end times from the scrollback', async () => {
+            logEntry('aaaaaaaa', 'main');
+            logEntry('bbbbbbbb', 'main');
+            logEntry('cccccccc', 'main', { source: 'send_input' });
+            logEntry('dddddddd', 'main', { sessionId: 'other' });
+            spyOn(tmuxManager, 'windowExists').mockResolvedValue(true);
+            const captureSpy = spyOn(tmuxManager, 'capturePane').mockResolvedValue(
+                '__MCP_START_aaaaaaaa__\n__MCP_END_aaaaaaaa:3:1700000000__\n__MCP_START_bbbbbbbb__\nstill running\n'
+            );
+
+            const history = await tmuxManager.getCommandHistory('test');
+
+            expect(captureSpy).toHaveBeenCalledTimes(1);
+            expect(_.map(history, 'id')).toEqual(['aaaaaaaa', 'bbbbbbbb', 'cccccccc']);
+            expect(history[0]).toMatchObject({ exitCode: 3, ended: 1700000000000 });
+            expect(history[1]).toMatchObject({ exitCode: null, ended: null });
+        });
+
+        test('filters by window and skips windows that no longer exist', async () => {
+            logEntry('aaaaaaaa', 'main');
+            logEntry('bbbbbbbb', 'gone');
+            spyOn(tmuxManager, 'windowExists').mockResolvedValue(false);
+            const captureSpy = spyOn(tmuxManager, 'capturePane');
+
+            const history = await tmuxManager.getCommandHistory('test', 'gone');
+
+            expect(_.map(history, 'id')).toEqual(['bbbbbbbb']);
+            expect(captureSpy).not.toHaveBeenCalled();
+        });
+
+        test('picks up commands recorded on the window by other servers', async () => {
+            logEntry('aaaaaaaa', 'main', { started: 1000 });
+            logEntry('bbbbbbbb', 'build', { started: 3000 });
+            const records = [
+                recordOption({ id: 'bbbbbbbb', command: 'cmd bbbbbbbb', started: 3000, ended: 4000, exitCode: 0 }),
+                recordOption({ id: 'cccccccc', source: 'send_input', command: 'y', cwd: '/other', started: 2000, ended: null, exitCode: null })
+            ].join('\n');
+            mockSpawn.mockImplementation(() => createMockProcess(`automatic-rename off\n${records}\n`));
+            spyOn(tmuxManager, 'windowExists').mockResolvedValue(true);
+            spyOn(tmuxManager, 'capturePane').mockResolvedValue('');
+
+            // Another server renamed build to main
+            const history = await tmuxManager.getCommandHistory('test', 'main');
+
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', ['show-options', '-w', '-t', 'test-MCP:main'], expect.any(Object));
+            expect(_.map(history, 'id')).toEqual(['aaaaaaaa', 'cccccccc', 'bbbbbbbb']);
+            expect(history[1]).toMatchObject({ sessionId: 'test', windowName: 'main', command: 'y', cwd: '/other' });
+            expect(history[2]).toMatchObject({ windowName: 'main', ended: 4000, exitCode: 0 });
+        });
+
+        test('keeps only the newest records on a window', async () => {
+            const records = _.times(102, index => recordOption({ id: `id${_.padStart(String(index), 6, '0')}`, command: 'ls', started: index, ended: null }));
+            mockSpawn.mockImplementation((command, args) => createMockProcess(args[0] === 'show-options' ? records.join('\n') : ''));
+
+            await tmuxManager._syncCommandRecords('test', 'main');
+
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', ['set-option', '-w', '-u', '-t', 'test-MCP:main', '@mcp-command-id000000'], expect.any(Object));
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', ['set-option', '-w', '-u', '-t', 'test-MCP:main', '@mcp-command-id000001'], expect.any(Object));
+            expect(mockSpawn).toHaveBeenCalledTimes(3);
+            expect(tmuxManager.commandLog.size).toBe(100);
+        });
+
+        test('records commands on their window in a form tmux does not quote', async () => {
+            mockSpawn.mockImplementation(() => createMockProcess());
+
+            await tmuxManager._logCommand({ id: 'aaaaaaaa', sessionId: 'test', windowName: 'main', source: 'run_command', command: `echo "$HOME" ${'x'.repeat(2000)}`, cwd: '/repo', started: 1 });
+
+            const args = mockSpawn.mock.calls[0][1];
+            expect(_.take(args, 5)).toEqual(['set-option', '-w', '-t', 'test-MCP:main', '@mcp-command-aaaaaaaa']);
+            expect(args[5]).toMatch(/^[\w-]+$/);
+            const record = JSON.parse(Buffer.from(args[5], 'base64url').toString());
+            expect(record).toMatchObject({ id: 'aaaaaaaa', cwd: '/repo', ended: null });
+            expect(record).not.toHaveProperty('windowName');
+            expect(record.command).toHaveLength(1025);
+            expect(record.command).toEndWith('…');
+        });
+    });
+
+    describe('findCommandBlocks', () => {
+        test('splits the scrollback into command blocks', () => {
+            tmuxManager.commandLog.set('aaaaaaaa', { id: 'aaaaaaaa', command: 'make' });
+            const output = [
+                'printf ... # echoed line',
+                '__MCP_START_aaaaaaaa__',
+                'building',
+                '',
+                '__MCP_END_aaaaaaaa:2__',
+                '$ printf ...',
+                '__MCP_START_bbbbbbbb__',
+                'serving',
+                ''
+            ].join('\n');
+
+            const blocks = tmuxManager.findCommandBlocks(output);
+
+            expect(blocks).toEqual([
+                { id: 'aaaaaaaa', index: 1, command: 'make', start: 1, end: 4, exitCode: 2, ended: null, output: 'building', timedOut: false, stoppedBy: null, closed: false, interrupted: false },
+                { id: 'bbbbbbbb', index: 2, command: null, start: 6, end: null, exitCode: null, ended: null, output: 'serving', timedOut: false, stoppedBy: null, closed: false, interrupted: false }
+            ]);
+        });
+
+        test('keeps blocks whose start scrolled out of history', () => {
+            const blocks = tmuxManager.findCommandBlocks('tail of output\nno newline\n__MCP_END_cccccccc:0:1700000000__\n$ ');
+
+            expect(blocks).toEqual([
+                { id: 'cccccccc', index: 1, command: null, start: -1, end: 2, exitCode: 0, ended: 1700000000000, output: 'tail of output\nno newline', timedOut: false, stoppedBy: null, closed: false, interrupted: false }
+            ]);
+        });
+
+        test('leaves the next command line out of a block stopped with C-c', () => {
+            const output = [
+                '__MCP_START_aaaaaaaa__',
+                '^C',
+                `$ printf '\\033[8m__MCP_START_%s__\\033[0m\\n' bbbbbbbb; eval 'ls'; printf '\\033[8m\\n__MCP_END_%s:%d:%s__\\033[0m\\n' bbbbbbbb $? "$(date +%s)"`,
+                '__MCP_START_bbbbbbbb__',
+                'file',
+                '',
+                '__MCP_END_bbbbbbbb:0__',
+                '$ '
+            ].join('\n');
+
+            const blocks = tmuxManager.findCommandBlocks(output);
+
+            expect(_.map(blocks, 'output')).toEqual(['^C', 'file']);
+            expect(_.map(blocks, 'interrupted')).toEqual([true, false]);
+        });
+
+        test('takes how a block without an end sentinel was stopped from the log', () => {
+            tmuxManager.commandLog.set('aaaaaaaa', { id: 'aaaaaaaa', command: 'tail -f log', timedOut: true, stoppedBy: 'C-c' });
+
+            const [block] = tmuxManager.findCommandBlocks('__MCP_START_aaaaaaaa__\nline\n^C\n$ ');
+
+            expect(block).toMatchObject({ end: null, timedOut: true, stoppedBy: 'C-c', interrupted: false });
+        });
+    });
+
+    describe('executeCommand', () => {
+        let sendKeysSpy, literalSpy;
+
+        function sentCommand() {
+            return literalSpy.mock.calls[0][2];
+        }
+
+        function sentinelId() {
+            return sentCommand().match(/__MCP_START_%s__\S*' ([0-9a-f]{8}); /)[1];
+        }
+
+        beforeEach(() => {
+            tmuxManager.pollInterval = 1;
+            sendKeysSpy = spyOn(tmuxManager, 'sendKeys').mockResolvedValue();
+            literalSpy = spyOn(tmuxManager, 'sendLiteral').mockResolvedValue();
+            spyOn(tmuxManager, '_getLaunchPath').mockResolvedValue('/repo');
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue(false);
+            spyOn(tmuxManager, '_getPaneId').mockResolvedValue('%3');
+        });
+
+        test('wraps the command with sentinels and returns only its output', async () => {
+            spyOn(tmuxManager, '_captureCommandPane').mockImplementation(async () => {
+                const id = sentinelId();
+                return `$ old command\nold output\n$ ${sentCommand()}\n__MCP_START_${id}__\nhello\nworld\n\n__MCP_END_${id}:0__\n$ \n\n`;
+            });
+
+            const result = await tmuxManager.executeCommand('test', 'main', 'echo hello; echo world');
+
+            expect(sendKeysSpy.mock.calls).toEqual([['test', 'main', ['C-m'], undefined]]);
+            expect(sentCommand()).toContain('; eval \'echo hello; echo world\'; printf \'\\033[8m\\n__MCP_END_%s:%d:%s__\\033[0m\\n\'');
+            expect(result).toEqual({
+                output: 'hello\nworld',
+                exitCode: 0,
+                timedOut: false,
+                stoppedBy: null,
+                closed: false,
+                duration: expect.any(Number)
+            });
+            expect(_.head([...tmuxManager.commandLog.values()])).toMatchObject({ exitCode: 0, ended: expect.any(Number) });
+        });
+
+        test('reports non-zero exit codes and output without trailing newline', async () => {
+            spyOn(tmuxManager, '_captureCommandPane').mockImplementation(async () => {
+                const id = sentinelId();
+                return `__MCP_START_${id}__\nfirst\npartial\n__MCP_END_${id}:2__\n$ `;
+            });
+
+            const result = await tmuxManager.executeCommand('test', 'main', 'false');
+
+            expect(result.output).toBe('first\npartial');
+            expect(result.exitCode).toBe(2);
+        });
+
+        test('hands the command to eval so nothing in it reaches the end sentinel', async () => {
+            spyOn(tmuxManager, '_captureCommandPane').mockImplementation(async () => {
+                const id = literalSpy.mock.calls.at(-1)[2].match(/__MCP_START_%s__\S*' ([0-9a-f]{8}); /)[1];
+                return `__MCP_START_${id}__\n__MCP_END_${id}:0__\n`;
+            });
+
+            await tmuxManager.executeCommand('test', 'main', 'echo done # it\'s a comment');
+            await tmuxManager.executeCommand('test', 'main', 'find . -exec touch {} \\;');
+            await tmuxManager.executeCommand('test', 'main', 'cat <<EOF\nhello\nEOF');
+
+            const [comment, find, heredoc] = _.map(literalSpy.mock.calls, 2);
+            expect(comment).toContain('; eval \'echo done # it\'\\\'\'s a comment\'; printf');
+            expect(find).toContain('; eval \'find . -exec touch {} \\;\'; printf');
+            // The heredoc's delimiter gets the newline it needs
+            expect(heredoc).toContain('; eval \'cat <<EOF\nhello\nEOF\n\'; printf');
+        });
+
+        test('returns partial output when the wait times out', async () => {
+            const captureSpy = spyOn(tmuxManager, '_captureCommandPane').mockImplementation(async () => {
+                return `__MCP_START_${sentinelId()}__\nstill going\n\n`;
+            });
+
+            const result = await tmuxManager.executeCommand('test', 'main', 'sleep 100', { timeout: 20 });
+
+            expect(result.timedOut).toBe(true);
+            expect(result.exitCode).toBe(null);
+            expect(result.output).toBe('still going');
+            expect(captureSpy).toHaveBeenCalledWith('%3', 0);
+            expect(captureSpy).toHaveBeenLastCalledWith('%3');
+            expect(_.head([...tmuxManager.commandLog.values()]).timedOut).toBe(false);
+        });
+
+        test('interrupts the command when asked to and records the timeout', async () => {
+            let stopped = false;
+            spyOn(tmuxManager, '_captureCommandPane').mockImplementation(async () => {
+                const id = sentinelId();
+                return stopped
+                    ? `__MCP_START_${id}__\nstill going\nTerminated\n\n__MCP_END_${id}:143:1700000000__\n$ `
+                    : `__MCP_START_${id}__\nstill going\n\n`;
+            });
+            const interruptSpy = spyOn(tmuxManager, 'interruptCommand').mockImplementation(async () => {
+                stopped = true;
+                return 'SIGTERM';
+            });
+
+            const result = await tmuxManager.executeCommand('test', 'main', 'sleep 100', { timeout: 20, interrupt: true });
+
+            expect(interruptSpy).toHaveBeenCalledWith('test', 'main', sentinelId(), '%3');
+            expect(result).toMatchObject({ timedOut: true, stoppedBy: 'SIGTERM', exitCode: 143, output: 'still going\nTerminated' });
+            expect(_.head([...tmuxManager.commandLog.values()])).toMatchObject({ timedOut: true, stoppedBy: 'SIGTERM', exitCode: 143 });
+        });
+
+        test('reports a command that ended its shell instead of waiting in a new window', async () => {
+            let polls = 0;
+            spyOn(tmuxManager, '_captureCommandPane').mockImplementation(async () => {
+                polls++;
+                return polls === 1 ? `__MCP_START_${sentinelId()}__\nbye\n` : null;
+            });
+            const createSpy = tmuxManager.createWindow;
+
+            const result = await tmuxManager.executeCommand('test', 'main', 'echo bye; exit 3', { timeout: 5000 });
+
+            expect(result).toEqual({
+                output: 'bye',
+                exitCode: null,
+                timedOut: false,
+                stoppedBy: null,
+                closed: true,
+                duration: expect.any(Number)
+            });
+            expect(result.duration).toBeLessThan(5000);
+            // Only the window the command was started in
+            expect(createSpy).toHaveBeenCalledTimes(1);
+            expect(_.head([...tmuxManager.commandLog.values()])).toMatchObject({ closed: true, exitCode: null, ended: expect.any(Number) });
+        });
+    });
+
+    describe('_captureCommandPane', () => {
+        test('captures the pane by id, joining wrapped lines', async () => {
+            mockSpawn
+            .mockReturnValueOnce(createMockProcess('%3 0\n'))
+            .mockReturnValueOnce(createMockProcess('$ make\nok\n'));
+
+            expect(await tmuxManager._captureCommandPane('%3', 0)).toBe('$ make\nok\n');
+            expect(mockSpawn).toHaveBeenLastCalledWith('tmux', ['capture-pane', '-p', '-J', '-t', '%3', '-S', '-0'], expect.any(Object));
+        });
+
+        test('returns null for a pane that has closed', async () => {
+            // tmux prints an empty line for a pane id it no longer knows
+            mockSpawn.mockReturnValueOnce(createMockProcess('\n'));
+
+            expect(await tmuxManager._captureCommandPane('%3')).toBe(null);
+            expect(mockSpawn).toHaveBeenCalledTimes(1);
+        });
+
+        test('returns null for a pane whose shell has exited', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('%3 1\n'));
+
+            expect(await tmuxManager._captureCommandPane('%3')).toBe(null);
+        });
+    });
+
+    test('executeCommand refuses to wait for a command in a shell the wrapper does not work in', async () => {
+        const sendKeysSpy = spyOn(tmuxManager, 'sendKeys').mockResolvedValue();
+        spyOn(tmuxManager, 'createWindow').mockResolvedValue(false);
+        spyOn(tmuxManager, 'getCurrentCommand').mockResolvedValue('nu');
+
+        await expect(tmuxManager.executeCommand('test', 'main', 'ls')).rejects.toThrow('Cannot wait for a command in nu: the end of a command is only known in a POSIX-style shell (bash, zsh, sh)');
+        expect(sendKeysSpy).not.toHaveBeenCalled();
+    });
+
+    describe('runSequence', () => {
+        function result(exitCode, extra = {}) {
+            return { output: '', exitCode, timedOut: false, stoppedBy: null, duration: 1, ...extra };
+        }
+
+        test('runs every step in order while they succeed', async () => {
+            const executeSpy = spyOn(tmuxManager, 'executeCommand').mockResolvedValue(result(0));
+
+            const steps = await tmuxManager.runSequence('test', 'main', ['npm ci', 'npm test'], { timeout: 100, interrupt: true });
+
+            expect(_.map(steps, 'command')).toEqual(['npm ci', 'npm test']);
+            expect(executeSpy.mock.calls).toEqual([
+                ['test', 'main', 'npm ci', { timeout: 100, interrupt: true }],
+                ['test', 'main', 'npm test', { timeout: 100, interrupt: true }]
+            ]);
+        });
+
+        test('stops at the first failing step by default', async () => {
+            spyOn(tmuxManager, 'executeCommand')
+            .mockResolvedValueOnce(result(1))
+            .mockResolvedValueOnce(result(0));
+
+            const steps = await tmuxManager.runSequence('test', 'main', ['false', 'true']);
+
+            expect(steps).toHaveLength(1);
+            expect(steps[0].exitCode).toBe(1);
+        });
+
+        test('continues past failures when asked to', async () => {
+            spyOn(tmuxManager, 'executeCommand')
+            .mockResolvedValueOnce(result(1))
+            .mockResolvedValueOnce(result(0));
+
+            const steps = await tmuxManager.runSequence('test', 'main', ['false', 'true'], { stopOnFailure: false });
+
+            expect(_.map(steps, 'exitCode')).toEqual([1, 0]);
+        });
+
+        test('stops after a step that ended the shell', async () => {
+            spyOn(tmuxManager, 'executeCommand').mockResolvedValue(result(null, { closed: true }));
+
+            const steps = await tmuxManager.runSequence('test', 'main', ['exit 3', 'npm test'], { stopOnFailure: false });
+
+            expect(steps).toHaveLength(1);
+        });
+
+        test('never types the next step into one that is still running', async () => {
+            spyOn(tmuxManager, 'executeCommand').mockResolvedValue(result(null, { timedOut: true }));
+
+            const steps = await tmuxManager.runSequence('test', 'main', ['npm start', 'npm test'], { stopOnFailure: false });
+
+            expect(steps).toHaveLength(1);
+        });
+    });
+
+    describe('runBatch', () => {
+        const entries = [{ windowName: 'lint', command: 'npm run lint' }, { windowName: 'test', command: 'npm test' }];
+
+        test('creates the windows and waits for every command', async () => {
+            const createSpy = spyOn(tmuxManager, 'createWindow').mockResolvedValue();
+            const executeSpy = spyOn(tmuxManager, 'executeCommand').mockImplementation(async (sessionId, windowName) => {
+                return { output: windowName, exitCode: 0, timedOut: false, stoppedBy: null, duration: 1 };
+            });
+
+            const results = await tmuxManager.runBatch('test', entries, { timeout: 100, interrupt: true });
+
+            expect(createSpy.mock.calls).toEqual([['test', 'lint'], ['test', 'test']]);
+            expect(executeSpy).toHaveBeenCalledWith('test', 'lint', 'npm run lint', { timeout: 100, interrupt: true });
+            expect(results).toEqual([
+                { windowName: 'lint', command: 'npm run lint', output: 'lint', exitCode: 0, timedOut: false, stoppedBy: null, duration: 1 },
+                { windowName: 'test', command: 'npm test', output: 'test', exitCode: 0, timedOut: false, stoppedBy: null, duration: 1 }
+            ]);
+        });
+
+        test('only starts the commands when not waiting', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue();
+            const startSpy = spyOn(tmuxManager, 'startCommand').mockResolvedValue('abcd1234');
+            const executeSpy = spyOn(tmuxManager, 'executeCommand');
+
+            const results = await tmuxManager.runBatch('test', entries, { wait: false, timeout: 100 });
+
+            expect(startSpy).toHaveBeenCalledWith('test', 'test', 'npm test', { timeout: 100 });
+            expect(executeSpy).not.toHaveBeenCalled();
+            expect(_.map(results, 'id')).toEqual(['abcd1234', 'abcd1234']);
+        });
+    });
+
+    describe('getWindowStatus', () => {
+        const format = '#{window_name}::#{pane_index}::#{pane_id}::#{pane_active}::#{pane_current_command}::#{pane_pid}::#{pane_dead}::#{pane_dead_status}::#{pane_width}::#{pane_height}::#{cursor_x}::#{cursor_y}::#{history_size}::#{window_activity}::#{pane_current_path}';
+
+        test('parses one window\'s panes', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('main::0::%3::1::node::4242::0::::80::24::2::23::1500::1700000000::/home/me/my::project\n'));
+
+            const panes = await tmuxManager.getWindowStatus('test', 'main');
+
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', ['list-panes', '-t', 'test-MCP:main', '-F', format], expect.any(Object));
+            expect(panes).toEqual([{
+                windowName: 'main',
+                paneIndex: 0,
+                paneId: '%3',
+                active: true,
+                command: 'node',
+                pid: 4242,
+                path: '/home/me/my::project',
+                dead: false,
+                deadStatus: null,
+                width: 80,
+                height: 24,
+                cursorX: 2,
+                cursorY: 23,
+                historySize: 1500,
+                lastActivity: 1700000000000,
+                atShell: false
+            }]);
+        });
+
+        test('lists every pane in the session and reports dead panes', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess([
+                'main::0::%1::1::-zsh::100::0::::80::24::0::0::0::1700000000::/repo',
+                'build::0::%2::1::make::200::1::2::80::24::0::5::10::1700000100::/repo',
+                ''
+            ].join('\n')));
+
+            const panes = await tmuxManager.getWindowStatus('test');
+
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', ['list-panes', '-s', '-t', 'test-MCP', '-F', format], expect.any(Object));
+            expect(_.map(panes, pane => _.pick(pane, ['windowName', 'atShell', 'dead', 'deadStatus']))).toEqual([
+                { windowName: 'main', atShell: true, dead: false, deadStatus: null },
+                { windowName: 'build', atShell: false, dead: true, deadStatus: 2 }
+            ]);
+        });
+    });
+
+    describe('getResourceUsage', () => {
+        const processes = [
+            { pid: 100, parentPid: 1, cpu: 0.5, memRss: 4096 },
+            { pid: 101, parentPid: 100, cpu: 40, memRss: 102400 },
+            { pid: 102, parentPid: 101, cpu: 10, memRss: 2048 },
+            { pid: 200, parentPid: 1, cpu: 0.1, memRss: 4096 },
+            { pid: 201, parentPid: 200, cpu: 1, memRss: 512000 },
+            { pid: 300, parentPid: 1, cpu: 5, memRss: 1024 },
+            { pid: 999, parentPid: 1, cpu: 90, memRss: 900000 }
+        ];
+
+        beforeEach(() => {
+            tmuxManager.listProcesses = mock(async () => processes);
+        });
+
+        test('sums each window\'s process tree, heaviest first', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('100::build\n200::db\n'));
+
+            const { windows, workspaces } = await tmuxManager.getResourceUsage('proj');
+
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', ['list-panes', '-s', '-t', 'proj-MCP', '-F', '#{pane_pid}::#{window_name}'], expect.any(Object));
+            expect(windows).toEqual([
+                { workspace: 'proj', windowName: 'build', cpu: 50.5, memory: 108544 * 1024, processes: 3 },
+                { workspace: 'proj', windowName: 'db', cpu: 1.1, memory: 516096 * 1024, processes: 2 }
+            ]);
+            expect(workspaces).toEqual([
+                { workspace: 'proj', cpu: 51.6, memory: 624640 * 1024, processes: 5 }
+            ]);
+        });
+
+        test('covers every workspace and can sort by memory', async () => {
+            spyOn(tmuxManager, 'listSessions').mockResolvedValue(['proj', 'other']);
+            mockSpawn
+            .mockReturnValueOnce(createMockProcess('100::build\n200::db\n'))
+            .mockReturnValueOnce(createMockProcess('300::main\n'));
+
+            const { windows, workspaces } = await tmuxManager.getResourceUsage(undefined, { sortBy: 'memory' });
+
+            expect(_.map(windows, 'windowName')).toEqual(['db', 'build', 'main']);
+            expect(_.map(workspaces, 'workspace')).toEqual(['proj', 'other']);
+        });
+
+        test('adds up every pane of a split window', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('100::dev\n300::dev\n'));
+
+            const { windows } = await tmuxManager.getResourceUsage('proj');
+
+            expect(windows).toEqual([{ workspace: 'proj', windowName: 'dev', cpu: 55.5, memory: 109568 * 1024, processes: 4 }]);
+        });
+    });
+
+    describe('getCursorLine', () => {
+        test('adds the history size to the cursor row', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('120 5\n'));
+
+            const line = await tmuxManager.getCursorLine('test', 'main');
+
+            expect(line).toBe(125);
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', ['display-message', '-p', '-t', 'test-MCP:main', '#{history_size} #{cursor_y} #{pane_height}'], expect.any(Object));
+        });
+    });
+
+    describe('output cursors', () => {
+        function mockExistingWindow() {
+            // createSession - sessionExists returns true
+            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
+            // createWindow - windowExists returns true
+            mockSpawn.mockReturnValueOnce(createMockProcess('main\n'));
+        }
+
+        test('getOutputCursor anchors on the lines above the cursor', async () => {
+            mockExistingWindow();
+            mockSpawn.mockReturnValueOnce(createMockProcess('2 3\n'));
+            mockSpawn.mockReturnValueOnce(createMockProcess('c\nd\ne\n$ \n'));
+
+            const cursor = await tmuxManager.getOutputCursor('test', 'main');
+
+            expect(mockSpawn).toHaveBeenNthCalledWith(4, 'tmux', ['capture-pane', '-p', '-t', 'test-MCP:main', '-S', '0', '-E', '3'], expect.any(Object));
+            expect(JSON.parse(Buffer.from(cursor, 'base64url').toString())).toEqual({
+                line: 5,
+                size: 3,
+                anchor: expect.any(String),
+                current: expect.any(String)
+            });
+        });
+
+        test('getOutputCursor needs no anchor on an empty pane', async () => {
+            mockExistingWindow();
+            mockSpawn.mockReturnValueOnce(createMockProcess('0 0\n'));
+            mockSpawn.mockReturnValueOnce(createMockProcess('$ \n'));
+
+            const cursor = await tmuxManager.getOutputCursor('test', 'main');
+
+            expect(mockSpawn).toHaveBeenNthCalledWith(4, 'tmux', ['capture-pane', '-p', '-t', 'test-MCP:main', '-S', '0', '-E', '0'], expect.any(Object));
+            expect(JSON.parse(Buffer.from(cursor, 'base64url').toString())).toMatchObject({ line: 0, size: 0 });
+        });
+
+        describe('captureSince', () => {
+            async function cursorFor(history) {
+                const lines = history.split('\n');
+                const cursorY = lines.length - 1;
+                mockExistingWindow();
+                mockSpawn.mockReturnValueOnce(createMockProcess(`0 ${cursorY}\n`));
+                mockSpawn.mockReturnValueOnce(createMockProcess(`${lines.slice(Math.max(0, cursorY - 3)).join('\n')}\n`));
+                const cursor = await tmuxManager.getOutputCursor('test', 'main');
+                mockSpawn.mockReset();
+                return cursor;
+            }
+
+            test('returns the line the previous cursor points at', async () => {
+                const since = await cursorFor('one\ntwo\nthree\n$ ');
+                spyOn(tmuxManager, 'getOutputCursor').mockResolvedValue('next-cursor');
+                spyOn(tmuxManager, 'capturePane').mockResolvedValue('one\ntwo\nthree\n$ ls\nfile\n$ \n');
+
+                const result = await tmuxManager.captureSince('test', 'main', since);
+
+                expect(result).toEqual({
+                    output: 'one\ntwo\nthree\n$ ls\nfile\n$ \n',
+                    fromLine: 3,
+                    wrapped: false,
+                    cursor: 'next-cursor',
+                    markers: []
+                });
+            });
+
+            test('follows lines that moved up when history was trimmed', async () => {
+                const since = await cursorFor('one\ntwo\nthree\nfour\n$ ');
+                spyOn(tmuxManager, 'getOutputCursor').mockResolvedValue('next-cursor');
+                spyOn(tmuxManager, 'capturePane').mockResolvedValue('two\nthree\nfour\n$ ls\nfile\n');
+
+                const result = await tmuxManager.captureSince('test', 'main', since);
+
+                expect(result.fromLine).toBe(3);
+                expect(result.wrapped).toBe(false);
+            });
+
+            test('skips the cursor line when it has not changed', async () => {
+                const since = await cursorFor('one\ntwo\nthree\n$ ');
+                spyOn(tmuxManager, 'getOutputCursor').mockResolvedValue('next-cursor');
+                spyOn(tmuxManager, 'capturePane').mockResolvedValue('one\ntwo\nthree\n$ \n\n');
+
+                const result = await tmuxManager.captureSince('test', 'main', since);
+
+                expect(result.fromLine).toBe(4);
+            });
+
+            test('reports the scrollback line of the cursor when lines are joined', async () => {
+                const since = await cursorFor('one\ntwo\nthree\n$ ');
+                spyOn(tmuxManager, 'getOutputCursor').mockResolvedValue('next-cursor');
+                const joinedSpy = spyOn(tmuxManager, 'captureJoined').mockResolvedValue({
+                    output: 'one\ntwo\nthree\n$ ls --long-option\nfile\n',
+                    lineNumbers: [0, 1, 2, 3, 5, 6],
+                    unjoined: ['one', 'two', 'three', '$ ls --lon', 'g-option', 'file', '']
+                });
+
+                const result = await tmuxManager.captureSince('test', 'main', since, undefined, { join: true });
+
+                expect(joinedSpy).toHaveBeenCalledWith('test', 'main', undefined, undefined, { join: true });
+                expect(result).toEqual({
+                    output: 'one\ntwo\nthree\n$ ls --long-option\nfile\n',
+                    fromLine: 3,
+                    wrapped: false,
+                    cursor: 'next-cursor',
+                    lineNumbers: [0, 1, 2, 3, 5, 6],
+                    markers: []
+                });
+            });
+
+            test('finds the cursor in a capture with escapes', async () => {
+                const since = await cursorFor('one\ntwo\nthree\n$ ');
+                spyOn(tmuxManager, 'getOutputCursor').mockResolvedValue('next-cursor');
+                const captureSpy = spyOn(tmuxManager, 'capturePane').mockResolvedValue('one\n\x1b[32mtwo\x1b[39m\nthree\n$ ls\n\x1b[1mfile\x1b[0m\n');
+
+                const result = await tmuxManager.captureSince('test', 'main', since, undefined, { escapes: true });
+
+                expect(captureSpy).toHaveBeenCalledWith('test', 'main', undefined, undefined, { escapes: true });
+                expect(result.fromLine).toBe(3);
+                expect(result.output).toContain('\x1b[1mfile');
+            });
+
+            test('flags a cursor that scrolled out of history', async () => {
+                const since = await cursorFor('one\ntwo\nthree\n$ ');
+                spyOn(tmuxManager, 'getOutputCursor').mockResolvedValue('next-cursor');
+                spyOn(tmuxManager, 'capturePane').mockResolvedValue('x\ny\nz\nw\n');
+
+                const result = await tmuxManager.captureSince('test', 'main', since);
+
+                expect(result.fromLine).toBe(0);
+                expect(result.wrapped).toBe(true);
+            });
+
+            test('rejects malformed cursors', async () => {
+                await expect(tmuxManager.captureSince('test', 'main', 'garbage'))
+        .rejects.toThrow('Invalid output cursor: garbage');
+            });
+        });
+    });
+
+    describe('getCurrentCommand', () => {
+        test('returns the foreground command of the pane', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('vim\n'));
+
+            const command = await tmuxManager.getCurrentCommand('test', 'editor');
+
+            expect(command).toBe('vim');
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', ['display-message', '-p', '-t', 'test-MCP:editor', '#{pane_current_command}'], expect.any(Object));
+        });
+    });
+
+    describe('getCurrentPath', () => {
+        test('returns the working directory of the pane', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('/home/user/repo\n'));
+
+            const cwd = await tmuxManager.getCurrentPath('test', 'main');
+
+            expect(cwd).toBe('/home/user/repo');
+            expect(mockSpawn).toHaveBeenCalledWith('tmux', ['display-message', '-p', '-t', 'test-MCP:main', '#{pane_current_path}'], expect.any(Object));
+        });
+    });
+
+    describe('waitForOutput', () => {
+        beforeEach(() => {
+            tmuxManager.pollInterval = 1;
+        });
+
+        // A captureJoined result for output whose lines didn't wrap
+        function joined(output) {
+            return { output, lineNumbers: _.range(_.split(output, '\n').length) };
+        }
+
+        test('polls until the pattern appears', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue();
+            const captureSpy = spyOn(tmuxManager, 'captureJoined')
+            .mockResolvedValueOnce(joined('starting\n'))
+            .mockResolvedValueOnce(joined('starting\ncompiling\n'))
+            .mockResolvedValueOnce(joined('starting\ncompiling\nready on :3000\n'));
+
+            const result = await tmuxManager.waitForOutput('test', 'server', 'ready|listening');
+
+            expect(captureSpy).toHaveBeenCalledTimes(3);
+            expect(captureSpy).toHaveBeenCalledWith('test', 'server', undefined, undefined);
+            expect(result).toEqual({
+                matched: true,
+                output: 'starting\ncompiling\nready on :3000\n',
+                lineNumbers: [0, 1, 2, 3],
+                fromLine: 0,
+                duration: expect.any(Number)
+            });
+        });
+
+        test('only captures the lines after the cursor when newOnly is set', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue();
+            spyOn(tmuxManager, 'getCursorLine').mockResolvedValue(1);
+            // The first lines have scrolled into the history by the second poll
+            spyOn(tmuxManager, '_getPanePosition')
+            .mockResolvedValueOnce({ historySize: 0, cursorY: 1, height: 24 })
+            .mockResolvedValueOnce({ historySize: 2, cursorY: 23, height: 24 });
+            const captureSpy = spyOn(tmuxManager, 'captureJoined')
+            .mockResolvedValueOnce(joined('$ '))
+            .mockResolvedValueOnce(joined('$ npm start\nready\n'));
+
+            const result = await tmuxManager.waitForOutput('test', 'server', 'ready', { newOnly: true });
+
+            expect(captureSpy).toHaveBeenNthCalledWith(1, 'test', 'server', undefined, undefined, { start: 1, end: '-' });
+            expect(captureSpy).toHaveBeenNthCalledWith(2, 'test', 'server', undefined, undefined, { start: -1, end: '-' });
+            expect(result).toEqual({
+                matched: true,
+                output: '$ npm start\nready\n',
+                lineNumbers: [1, 2, 3],
+                fromLine: 1,
+                duration: expect.any(Number)
+            });
+        });
+
+        test('matches a line that wrapped and numbers lines by the row they start on', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue();
+            spyOn(tmuxManager, 'captureJoined').mockResolvedValue({
+                output: `${'a'.repeat(70)} SERVER-READY   \n$ `,
+                lineNumbers: [0, 2]
+            });
+
+            const result = await tmuxManager.waitForOutput('test', 'server', 'SERVER-READY$');
+
+            expect(result.output).toBe(`${'a'.repeat(70)} SERVER-READY\n$`);
+            expect(result.lineNumbers).toEqual([0, 2]);
+        });
+
+        test('does not match the echoed command line, however it wrapped', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue();
+            const wrapper = `$ printf '\\033[8m__MCP_START_%s__\\033[0m\\n' aaaaaaaa; eval 'npm start # until ready'; printf '\\033[8m\\n__MCP_END_%s:%d:%s__\\033[0m\\n' aaaaaaaa $? "$(date +%s)"`;
+            // The wrapper takes up rows 0 to 2
+            const captureSpy = spyOn(tmuxManager, 'captureJoined')
+            .mockResolvedValueOnce({ output: `${wrapper}\n__MCP_START_aaaaaaaa__\nstarting\n`, lineNumbers: [0, 3, 4, 5] })
+            .mockResolvedValueOnce({ output: `${wrapper}\n__MCP_START_aaaaaaaa__\nstarting\nready\n`, lineNumbers: [0, 3, 4, 5, 6] });
+
+            const result = await tmuxManager.waitForOutput('test', 'server', 'ready');
+
+            expect(captureSpy).toHaveBeenCalledTimes(2);
+            expect(result.output).toBe('starting\nready\n');
+            expect(result.lineNumbers).toEqual([4, 5, 6]);
+        });
+
+        test('returns the last screen on timeout, without the lines run_command added', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue();
+            const captureSpy = spyOn(tmuxManager, 'captureJoined').mockImplementation(async (sessionId, windowName, lines) => {
+                return joined(lines === 0 ? ' printf \'__MCP_START_%s__\' x; eval \'tail -f log\'; printf \'__MCP_END_%s:\' x\n__MCP_START_abcd1234__\nscreen\n' : 'history\nscreen\n');
+            });
+
+            const result = await tmuxManager.waitForOutput('test', 'main', 'never', { timeout: 10 });
+
+            expect(result.matched).toBe(false);
+            expect(result.screen).toBe('screen\n');
+            expect(captureSpy).toHaveBeenLastCalledWith('test', 'main', 0, undefined);
+        });
+
+        test('rejects invalid patterns before polling', async () => {
+            const captureSpy = spyOn(tmuxManager, 'captureJoined');
+
+            await expect(tmuxManager.waitForOutput('test', 'main', '[invalid')).rejects.toThrow();
+            expect(captureSpy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('file transfer', () => {
+        let directory;
+
+        beforeEach(async () => {
+            directory = await mkdtemp(path.join(tmpdir(), 'tmux-mcp-test-'));
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue();
+            spyOn(tmuxManager, 'getCurrentPath').mockResolvedValue(directory);
+        });
+
+        afterEach(async () => {
+            await rm(directory, { recursive: true, force: true });
+        });
+
+        test('writes relative paths into the window\'s directory', async () => {
+            const result = await tmuxManager.writeFile('test', 'main', 'notes.txt', 'it\'s "quoted" $HOME\n');
+
+            expect(result).toEqual({ path: path.join(directory, 'notes.txt'), bytes: 20 });
+            expect(await readFile(path.join(directory, 'notes.txt'), 'utf8')).toBe('it\'s "quoted" $HOME\n');
+        });
+
+        test('round-trips binary content as base64', async () => {
+            const bytes = Buffer.from([0, 255, 1, 254]);
+            await tmuxManager.writeFile('test', 'main', 'data.bin', bytes.toString('base64'), { encoding: 'base64' });
+
+            expect(await readFile(path.join(directory, 'data.bin'))).toEqual(bytes);
+            expect(await tmuxManager.readFile('test', 'main', 'data.bin', { encoding: 'base64' })).toEqual({
+                path: path.join(directory, 'data.bin'),
+                bytes: 4,
+                content: 'AP8B/g=='
+            });
+        });
+
+        test('reads text files', async () => {
+            await writeFile(path.join(directory, 'config.json'), '{"a": 1}');
+
+            const result = await tmuxManager.readFile('test', 'main', 'config.json');
+
+            expect(result.content).toBe('{"a": 1}');
+        });
+
+        test('refuses to read binary files as text', async () => {
+            await writeFile(path.join(directory, 'image.png'), Buffer.from([0x89, 0x50, 0xff, 0xfe]));
+
+            await expect(tmuxManager.readFile('test', 'main', 'image.png')).rejects.toThrow('is not valid UTF-8 text; read it with encoding base64');
+        });
+
+        test('enforces the size limit in both directions', async () => {
+            tmuxManager.maxFileSize = 4;
+            await writeFile(path.join(directory, 'big.txt'), 'hello');
+
+            await expect(tmuxManager.writeFile('test', 'main', 'out.txt', 'hello')).rejects.toThrow('Content is 5 bytes, over the 4 byte limit');
+            await expect(tmuxManager.readFile('test', 'main', 'big.txt')).rejects.toThrow(`${path.join(directory, 'big.txt')} is 5 bytes, over the 4 byte limit`);
+        });
+
+        test('rejects invalid base64 and unknown encodings', async () => {
+            await expect(tmuxManager.writeFile('test', 'main', 'x', 'not base64!', { encoding: 'base64' })).rejects.toThrow('Content is not valid base64');
+            await expect(tmuxManager.readFile('test', 'main', 'x', { encoding: 'hex' })).rejects.toThrow('Unknown file encoding: hex (expected utf8 or base64)');
+        });
+
+        test('accepts absolute paths inside the window\'s directory', async () => {
+            const target = path.join(directory, 'absolute.txt');
+
+            const result = await tmuxManager.writeFile('test', 'elsewhere', target, 'x');
+
+            expect(result.path).toBe(target);
+        });
+
+        test('refuses paths that lead outside the window\'s directory', async () => {
+            const outside = await mkdtemp(path.join(tmpdir(), 'tmux-mcp-outside-'));
+            await writeFile(path.join(outside, 'secret.txt'), 'secret');
+            await symlink(outside, path.join(directory, 'link'));
+
+            try {
+                await expect(tmuxManager.readFile('test', 'main', path.join(outside, 'secret.txt'))).rejects.toThrow(`${path.join(outside, 'secret.txt')} is outside the window's current directory (${directory})`);
+                await expect(tmuxManager.writeFile('test', 'main', '../escape.txt', 'x')).rejects.toThrow('../escape.txt is outside the window\'s current directory');
+                await expect(tmuxManager.readFile('test', 'main', 'link/secret.txt')).rejects.toThrow('link/secret.txt is outside the window\'s current directory');
+                await expect(tmuxManager.writeFile('test', 'main', 'link/new.txt', 'x')).rejects.toThrow('link/new.txt is outside the window\'s current directory');
+            } finally {
+                await rm(outside, { recursive: true, force: true });
+            }
+        });
+
+        test('refuses to write through a link to a file that does not exist', async () => {
+            const outside = await mkdtemp(path.join(tmpdir(), 'tmux-mcp-outside-'));
+            await symlink(path.join(outside, 'new.txt'), path.join(directory, 'dangling'));
+
+            try {
+                await expect(tmuxManager.writeFile('test', 'main', 'dangling', 'x')).rejects.toThrow('dangling is a symlink to a file that doesn\'t exist');
+                await expect(stat(path.join(outside, 'new.txt'))).rejects.toThrow();
+            } finally {
+                await rm(outside, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('waitForIdle', () => {
+        let currentCommandSpy;
+
+        beforeEach(() => {
+            tmuxManager.pollInterval = 1;
+            spyOn(tmuxManager, 'getCursorLine').mockResolvedValue(10);
+            currentCommandSpy = spyOn(tmuxManager, 'getCurrentCommand').mockResolvedValue('-zsh');
+        });
+
+        test('resolves once the screen stops changing', async () => {
+            let captures = 0;
+            spyOn(tmuxManager, 'capturePane').mockImplementation(async () => {
+                captures++;
+                return captures < 5 ? `progress ${captures * 20}%` : 'done\n$ ';
+            });
+
+            const result = await tmuxManager.waitForIdle('test', 'build', { quietPeriod: 20, timeout: 1000 });
+
+            expect(captures).toBeGreaterThan(5);
+            expect(result.idle).toBe(true);
+            expect(result.quietFor).toBeGreaterThanOrEqual(20);
+            expect(result.command).toBe('-zsh');
+            expect(result.atShell).toBe(true);
+        });
+
+        test('times out while output keeps changing', async () => {
+            let captures = 0;
+            spyOn(tmuxManager, 'capturePane').mockImplementation(async () => `tick ${captures++}`);
+            currentCommandSpy.mockResolvedValue('node');
+
+            const result = await tmuxManager.waitForIdle('test', 'build', { quietPeriod: 1000, timeout: 20 });
+
+            expect(result.idle).toBe(false);
+            expect(result.atShell).toBe(false);
+        });
+    });
+
+    describe('capturePane', () => {
+        test('captures pane output with default scrollback', async () => {
+            // createSession - sessionExists returns true
+            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
+            // createWindow - windowExists returns true
+            mockSpawn.mockReturnValueOnce(createMockProcess('main\n'));
+            // capturePane succeeds
+            mockSpawn.mockReturnValueOnce(createMockProcess('line1\nline2\nline3\n'));
+
+            const output = await tmuxManager.capturePane('test', 'main');
+
+            expect(output).toBe('line1\nline2\nline3\n');
+            expect(mockSpawn).toHaveBeenNthCalledWith(3, 'tmux', ['capture-pane', '-p', '-t', 'test-MCP:main', '-S', '-'], expect.any(Object));
+        });
+
+        test('captures pane output with specific line count', async () => {
+            // createSession - sessionExists returns true
+            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
+            // createWindow - windowExists returns true
+            mockSpawn.mockReturnValueOnce(createMockProcess('main\n'));
+            // capturePane succeeds
+            mockSpawn.mockReturnValueOnce(createMockProcess('last 50 lines\n'));
+
+            const output = await tmuxManager.capturePane('test', 'main', 50);
+
+            expect(output).toBe('last 50 lines\n');
+            expect(mockSpawn).toHaveBeenNthCalledWith(3, 'tmux', ['capture-pane', '-p', '-t', 'test-MCP:main', '-S', '-50'], expect.any(Object));
+        });
+
+        test('keeps escape sequences when asked', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
+            mockSpawn.mockReturnValueOnce(createMockProcess('main\n'));
+            mockSpawn.mockReturnValueOnce(createMockProcess('\x1b[31mred\x1b[39m\n'));
+
+            const output = await tmuxManager.capturePane('test', 'main', undefined, undefined, { escapes: true });
+
+            expect(output).toBe('\x1b[31mred\x1b[39m\n');
+            expect(mockSpawn).toHaveBeenNthCalledWith(3, 'tmux', ['capture-pane', '-p', '-t', 'test-MCP:main', '-e', '-S', '-'], expect.any(Object));
+        });
+
+        test('joins wrapped lines and keeps trailing spaces when asked', async () => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue(false);
+
+            await tmuxManager.capturePane('test', 'main', 10, undefined, { join: true });
+            await tmuxManager.capturePane('test', 'main', 10, undefined, { trailingSpaces: true });
+
+            expect(mockSpawn).toHaveBeenNthCalledWith(1, 'tmux', ['capture-pane', '-p', '-t', 'test-MCP:main', '-J', '-S', '-10'], expect.any(Object));
+            expect(mockSpawn).toHaveBeenNthCalledWith(2, 'tmux', ['capture-pane', '-p', '-t', 'test-MCP:main', '-N', '-S', '-10'], expect.any(Object));
+        });
+
+        test('creates window if it does not exist', async () => {
+            // createSession - sessionExists returns true
+            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
+            // createWindow - windowExists returns false
+            mockSpawn.mockReturnValueOnce(createMockProcess('main\n'));
+            // createWindow - new-window succeeds
+            mockSpawn.mockReturnValueOnce(createMockProcess('', '', 0));
+            // capturePane succeeds
+            mockSpawn.mockReturnValueOnce(createMockProcess('output\n'));
+
+            const output = await tmuxManager.capturePane('test', 'window1');
+
+            expect(output).toBe('output\n');
+            expect(mockSpawn).toHaveBeenCalledTimes(4);
+        });
+    });
+
+    describe('captureJoined', () => {
+        test('finds the line each joined line starts on', async () => {
+            const captureSpy = spyOn(tmuxManager, 'capturePane')
+            // Spaces at a wrap point are only kept with -N
+            .mockResolvedValueOnce('short\nabcdefghij0123\nspaces    X    Y\n\nend   \n')
+            .mockResolvedValueOnce('short\nabcdefghij\n0123\nspaces    \n  X    Y\n\nend   \n');
+
+            const result = await tmuxManager.captureJoined('test', 'main', undefined, '1');
+
+            expect(captureSpy).toHaveBeenNthCalledWith(1, 'test', 'main', undefined, '1', { join: true });
+            expect(captureSpy).toHaveBeenNthCalledWith(2, 'test', 'main', undefined, '1', { trailingSpaces: true });
+            expect(result).toEqual({
+                output: 'short\nabcdefghij0123\nspaces    X    Y\n\nend   \n',
+                lineNumbers: [0, 1, 3, 5, 6, 7],
+                unjoined: ['short', 'abcdefghij', '0123', 'spaces', '  X    Y', '', 'end', '']
+            });
+        });
+
+        test('matches lines by their text when the capture has escapes', async () => {
+            spyOn(tmuxManager, 'capturePane')
+            .mockResolvedValueOnce('\x1b[31mabcdefghij0123\x1b[39m\nnext')
+            .mockResolvedValueOnce('abcdefghij\n0123\nnext');
+
+            const result = await tmuxManager.captureJoined('test', 'main', undefined, undefined, { escapes: true });
+
+            expect(result.lineNumbers).toEqual([0, 2]);
+        });
+    });
+
+    describe('findMarkers', () => {
+        const wrapper = `$ printf '\\033[8m__MCP_START_%s__\\033[0m\\n' aaaaaaaa; eval 'make'; printf '\\033[8m\\n__MCP_END_%s:%d:%s__\\033[0m\\n' aaaaaaaa $? "$(date +%s)"`;
+
+        test('finds every row of a command line that wrapped', async () => {
+            const rows = [wrapper.slice(0, 60), wrapper.slice(60), '__MCP_START_aaaaaaaa__', 'built', '', '__MCP_END_aaaaaaaa:0__', '$ '];
+            const captureSpy = spyOn(tmuxManager, 'captureJoined').mockResolvedValue({
+                output: [wrapper, ..._.drop(rows, 2)].join('\n'),
+                lineNumbers: [0, 2, 3, 4, 5, 6],
+                unjoined: rows
+            });
+
+            const markers = await tmuxManager.findMarkers('test', 'main', rows.join('\n'), 50, '1', { escapes: false });
+
+            expect(captureSpy).toHaveBeenCalledWith('test', 'main', 50, '1', {});
+            expect(markers).toEqual([0, 1, 2, 4, 5]);
+        });
+
+        test('skips the second capture when there are no markers', async () => {
+            const captureSpy = spyOn(tmuxManager, 'captureJoined');
+
+            expect(await tmuxManager.findMarkers('test', 'main', '$ ls\nfile\n')).toEqual([]);
+            expect(captureSpy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('captureRange', () => {
+        beforeEach(() => {
+            spyOn(tmuxManager, 'createWindow').mockResolvedValue(false);
+        });
+
+        test('captures lines of the scrollback counted from its top', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('1000 12 40\n'));
+            mockSpawn.mockReturnValueOnce(createMockProcess('a\nb\nc\n'));
+
+            const result = await tmuxManager.captureRange('test', 'main', { start: 100, end: 102 });
+
+            expect(mockSpawn).toHaveBeenNthCalledWith(2, 'tmux', ['capture-pane', '-p', '-t', 'test-MCP:main', '-S', '-900', '-E', '-898'], expect.any(Object));
+            expect(result).toEqual({
+                output: 'a\nb\nc\n',
+                lineNumbers: [100, 101, 102, 103],
+                start: 100,
+                end: 102,
+                historySize: 1000,
+                totalLines: 1040,
+                markers: []
+            });
+        });
+
+        test('stops at the last line of the visible screen', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('1000 12 40\n'));
+            mockSpawn.mockReturnValueOnce(createMockProcess('screen\n'));
+
+            const result = await tmuxManager.captureRange('test', 'main', { start: 1020 }, undefined, { escapes: true });
+
+            expect(mockSpawn).toHaveBeenNthCalledWith(2, 'tmux', ['capture-pane', '-p', '-t', 'test-MCP:main', '-e', '-S', '20', '-E', '39'], expect.any(Object));
+            expect(result.end).toBe(1039);
+        });
+
+        test('offsets the line numbers of joined lines', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('50 0 10\n'));
+            const joinedSpy = spyOn(tmuxManager, 'captureJoined').mockResolvedValue({ output: 'long line\nnext\n', lineNumbers: [0, 2, 3] });
+
+            const result = await tmuxManager.captureRange('test', 'main', { start: 10, end: 12 }, undefined, { join: true });
+
+            expect(joinedSpy).toHaveBeenCalledWith('test', 'main', undefined, undefined, { join: true, start: -40, end: -38 });
+            expect(result.lineNumbers).toEqual([10, 12, 13]);
+        });
+
+        test('throws when the range starts past the end of the scrollback', async () => {
+            mockSpawn.mockReturnValueOnce(createMockProcess('0 3 40\n'));
+
+            await expect(tmuxManager.captureRange('test', 'main', { start: 40 })).rejects.toThrow('Line 41 is past the end of the scrollback (40 lines)');
+        });
+    });
+
+    describe('parent session detection', () => {
+        let consoleErrorSpy;
+
+        beforeEach(() => {
+            // Set up console.error spy for tests that need it
+            consoleErrorSpy = null;
+        });
+
+        afterEach(() => {
+            // Clean up console.error spy if it was used
+            if(consoleErrorSpy && isFunction(consoleErrorSpy.mockRestore)) {
+                try {
+                    consoleErrorSpy.mockRestore();
+                    consoleErrorSpy = null;
+                } catch{
+                    // Ignore restoration errors
+                    consoleErrorSpy = null;
+                }
+            }
+        });
+
+        test('detects when running inside tmux', async () => {
+            // Set tmux environment variables
+            process.env.TMUX = '/tmp/tmux-1000/default,12345,0';
+            process.env.TMUX_PANE = '%42';
+
+            // Mock the list-panes command to return session and window info
+            mockSpawn
+            .mockReturnValueOnce(createMockProcess('my-session my-window\n'))
+            .mockReturnValueOnce(createMockProcess('history-limit 2000\n'))
+            .mockReturnValueOnce(createMockProcess(''));
 
             getTTYForPidMock = mock(async () => null);
             tmuxManager = new TmuxManager({ getTTYForPid: getTTYForPidMock });
@@ -0,0 +1,132 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { homedir, tmpdir } from 'os';
+import path from 'path';
+import { parseWorkspaceDefinition, readWorkspaceDefinition } from '../../src/workspace-definition.js';
+
+describe('parseWorkspaceDefinition', () => {
+    test('reads tmuxp definitions', () => {
+        const definition = parseWorkspaceDefinition({
+            session_name: 'dev',
+            start_directory: '/repo',
+            environment: { NODE_ENV: 'development' },
+            shell_command_before: 'nvm use',
+            windows: [
+                {
+                    window_name: 'server',
+                    layout: 'main-vertical',
+                    start_directory: 'api',
+                    panes: [
+                        'npm run dev',
+                        { shell_command: ['cd log', 'tail -f dev.log'], environment: { PORT: 3000 } },
+                        'blank',
+                        null
+                    ]
+                },
+                { window_name: 'shell', window_shell: 'zsh' }
+            ]
+        });
+
+        expect(definition).toEqual({
+            name: 'dev',
+            windows: [
+                {
+                    name: 'server',
+                    layout: 'main-vertical',
+                    panes: [
+                        { cwd: '/repo/api', env: { NODE_ENV: 'development' }, commands: ['nvm use', 'npm run dev'] },
+                        { cwd: '/repo/api', env: { NODE_ENV: 'development', PORT: '3000' }, commands: ['nvm use', 'cd log', 'tail -f dev.log'] },
+                        { cwd: '/repo/api', env: { NODE_ENV: 'development' }, commands: ['nvm use'] },
+                        { cwd: '/repo/api', env: { NODE_ENV: 'development' }, commands: ['nvm use'] }
+                    ]
+                },
+                {
+                    name: 'shell',
+                    shell: 'zsh',
+                    panes: [{ cwd: '/repo', env: { NODE_ENV: 'development' }, commands: ['nvm use'] }]
+                }
+            ]
+        });
+    });
+
+    test('reads tmuxinator definitions', () => {
+        const definition = parseWorkspaceDefinition({
+            name: 'blog',
+            root: '~/blog',
+            pre_window: ['rbenv shell 3.3'],
+            windows: [
+                { editor: 'vim' },
+                { server: { layout: 'even-horizontal', panes: [{ app: 'rails s' }, ['cd log', 'tail -f development.log']] } },
+                { console: null }
+            ]
+        });
+
+        const root = path.join(homedir(), 'blog');
+        expect(definition).toEqual({
+            name: 'blog',
+            windows: [
+                { name: 'editor', panes: [{ cwd: root, env: {}, commands: ['rbenv shell 3.3', 'vim'] }] },
+                {
+                    name: 'server',
+                    layout: 'even-horizontal',
+                    panes: [
+                        { cwd: root, env: {}, commands: ['rbenv shell 3.3', 'rails s'] },
+                        { cwd: root, env: {}, commands: ['rbenv shell 3.3', 'cd log', 'tail -f development.log'] }
+                    ]
+                },
+                { name: 'console', panes: [{ cwd: root, env: {}, commands: ['rbenv shell 3.3'] }] }
+            ]
+        });
+    });
+
+    test('leaves the directory to tmux when the definition has none', () => {
+        const definition = parseWorkspaceDefinition({ windows: [{ window_name: 'main', panes: [{ start_directory: 'sub' }] }] }, '/defs');
+
+        expect(definition).toEqual({ windows: [{ name: 'main', panes: [{ cwd: '/defs/sub', env: {}, commands: [] }] }] });
+        expect(parseWorkspaceDefinition({ windows: [{ window_name: 'main' }] }).windows[0].panes[0].cwd).toBeUndefined();
+    });
+
+    test('rejects definitions it cannot use', () => {
+        expect(() => parseWorkspaceDefinition(['main'])).toThrow('Workspace definition must be a map with a list of windows');
+        expect(() => parseWorkspaceDefinition({ name: 'dev' })).toThrow('Workspace definition has no windows');
+        expect(() => parseWorkspaceDefinition({ windows: [{ layout: 'tiled', panes: [] }] })).toThrow('Window 1 of the workspace definition has no name');
+        expect(() => parseWorkspaceDefinition({ windows: [{ window_name: 'a' }, { a: 'ls' }] })).toThrow('Window a appears more than once in the workspace definition');
+        expect(() => parseWorkspaceDefinition({ environment: ['A=1'], windows: [{ window_name: 'a' }] })).toThrow('Environment of the workspace must be a map of names to values');
+    });
+});
+
+describe('readWorkspaceDefinition', () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = await mkdtemp(path.join(tmpdir(), 'tmux-mcp-workspace-'));
+    });
+
+    afterEach(async () => {
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    test('reads YAML relative to the file', async () => {
+        const file = path.join(directory, '.tmuxp.yaml');
+        await writeFile(file, 'session_name: dev\nstart_directory: ./app\nwindows:\n  - window_name: server\n    panes:\n      - npm start\n');
+
+        expect(await readWorkspaceDefinition(file)).toEqual({
+            name: 'dev',
+            windows: [{ name: 'server', panes: [{ cwd: path.join(directory, 'app'), env: {}, commands: ['npm start'] }] }]
+        });
+    });
+
+    test('reads JSON', async () => {
+        const file = path.join(directory, 'workspace.json');
+        await writeFile(file, JSON.stringify({ windows: [{ window_name: 'tests', panes: ['npm test'] }] }));
+
+        expect((await readWorkspaceDefinition(file)).windows[0]).toEqual({ name: 'tests', panes: [{ env: {}, commands: ['npm test'] }] });
+    });
+
+    test('names the file when it cannot be parsed', async () => {
+        const file = path.join(directory, 'broken.yaml');
+        await writeFile(file, 'windows: [\n');
+
+        await expect(readWorkspaceDefinition(file)).rejects.toThrow(`Invalid workspace definition in ${file}`);
+    });
+});